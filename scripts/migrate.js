@@ -0,0 +1,46 @@
+const { sequelize } = require('../src/model');
+const { createMigrator } = require('../src/migrator');
+
+/**
+ * Applies or reverts schema migrations from src/migrations.
+ *
+ *   node scripts/migrate.js              apply all pending migrations
+ *   node scripts/migrate.js down [n]     revert the last n migrations (default 1)
+ *   node scripts/migrate.js status       list applied and pending migrations
+ */
+async function main([command = 'up', steps = '1']) {
+  const migrator = createMigrator(sequelize);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up();
+      console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'No pending migrations');
+      break;
+    }
+    case 'down': {
+      const count = parseInt(steps);
+      if (isNaN(count) || count < 1) {
+        throw new Error('The number of migrations to revert must be a positive integer');
+      }
+      const reverted = await migrator.down({ steps: count });
+      console.log(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'No migrations to revert');
+      break;
+    }
+    case 'status': {
+      const executed = await migrator.executed();
+      const pending = await migrator.pending();
+      executed.forEach((name) => console.log(`up       ${name}`));
+      pending.forEach((name) => console.log(`pending  ${name}`));
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(() => sequelize.close())
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,77 @@
+const Sequelize = require('sequelize');
+const { sequelize } = require('../src/model');
+
+/**
+ * One-off conversion of an existing database from DECIMAL(12,2) amounts to
+ * integer cents. Safe to run more than once: columns that are already
+ * INTEGER are left alone.
+ *
+ *   DB_PATH=./database.sqlite3 node scripts/migrateMoneyToCents.js
+ */
+const MONEY_COLUMNS = [
+  { table: 'Profiles', column: 'balance', allowNull: false, defaultValue: 0 },
+  { table: 'Jobs', column: 'price', allowNull: false },
+  { table: 'LedgerEntries', column: 'amount', allowNull: false },
+  { table: 'JobPriceChanges', column: 'oldPrice', allowNull: false },
+  { table: 'JobPriceChanges', column: 'newPrice', allowNull: false }
+];
+
+async function migrateMoneyToCents() {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = await queryInterface.showAllTables();
+  const converted = [];
+
+  // SQLite changes a column by rebuilding the table; with foreign keys
+  // enforced, dropping the old Profiles table would null out every reference
+  // to it. The pragma is per connection and has no effect inside a
+  // transaction, so the transaction is opened by hand on the same (default)
+  // connection rather than through sequelize.transaction().
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+
+  try {
+    for (const { table, column, allowNull, defaultValue } of MONEY_COLUMNS) {
+      if (!tables.includes(table)) continue;
+
+      const description = await queryInterface.describeTable(table);
+      if (!description[column] || description[column].type === 'INTEGER') continue;
+
+      const value = defaultValue === undefined ? `"${column}"` : `COALESCE("${column}", ${defaultValue})`;
+
+      await sequelize.query('BEGIN');
+      try {
+        await sequelize.query(`UPDATE "${table}" SET "${column}" = CAST(ROUND(${value} * 100) AS INTEGER)`);
+        await queryInterface.changeColumn(table, column, {
+          type: Sequelize.INTEGER,
+          allowNull,
+          ...(defaultValue !== undefined && { defaultValue })
+        });
+        await sequelize.query('COMMIT');
+      } catch (error) {
+        await sequelize.query('ROLLBACK');
+        throw error;
+      }
+
+      converted.push(`${table}.${column}`);
+    }
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+
+  return converted;
+}
+
+if (require.main === module) {
+  migrateMoneyToCents()
+    .then((converted) => {
+      console.log(converted.length
+        ? `Converted to cents: ${converted.join(', ')}`
+        : 'All amounts are already stored in cents');
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error('Money migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateMoneyToCents;
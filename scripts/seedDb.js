@@ -1,11 +1,19 @@
-const { Profile, Contract, Job } = require('../src/model');
+const { Profile, Contract, Job, LedgerEntry, FxRate } = require('../src/model');
+const { hashPassword } = require('../src/services/auth');
+
+// Development password shared by every seeded profile.
+const SEED_PASSWORD = 'password123';
 
 async function seedDatabase() {
   try {
-    // Clear existing data
+    // Clear existing data (the ledger is only ever truncated as part of a reset)
+    await LedgerEntry.destroy({ where: {} });
     await Job.destroy({ where: {} });
     await Contract.destroy({ where: {} });
     await Profile.destroy({ where: {} });
+    await FxRate.destroy({ where: {} });
+
+    const passwordHash = await hashPassword(SEED_PASSWORD);
 
     // Create profiles
     const profiles = await Profile.bulkCreate([
@@ -14,56 +22,81 @@ async function seedDatabase() {
         lastName: 'Potter',
         profession: 'Wizard',
         balance: 1150,
-        type: 'client'
+        type: 'client',
+        email: 'harry.potter@example.com',
+        passwordHash
       },
       {
         firstName: 'Mr',
         lastName: 'Robot',
         profession: 'Hacker',
         balance: 231.11,
-        type: 'client'
+        type: 'client',
+        email: 'mr.robot@example.com',
+        passwordHash
       },
       {
         firstName: 'John',
         lastName: 'Snow',
         profession: 'Programmer',
         balance: 451.3,
-        type: 'contractor'
+        type: 'contractor',
+        email: 'john.snow@example.com',
+        passwordHash
       },
       {
         firstName: 'Ash',
         lastName: 'Ketchum',
         profession: 'Pokemon Trainer',
         balance: 1.3,
-        type: 'contractor'
+        type: 'contractor',
+        email: 'ash.ketchum@example.com',
+        passwordHash
       },
       {
         firstName: 'John',
         lastName: 'Lenon',
         profession: 'Musician',
         balance: 64,
-        type: 'contractor'
+        type: 'contractor',
+        email: 'john.lenon@example.com',
+        passwordHash
       },
       {
         firstName: 'Linus',
         lastName: 'Torvalds',
         profession: 'Programmer',
         balance: 1214,
-        type: 'contractor'
+        type: 'contractor',
+        email: 'linus.torvalds@example.com',
+        passwordHash
       },
       {
         firstName: 'Alan',
         lastName: 'Turing',
         profession: 'Programmer',
         balance: 22,
-        type: 'contractor'
+        type: 'contractor',
+        email: 'alan.turing@example.com',
+        passwordHash
       },
       {
         firstName: 'Aragorn',
         lastName: 'II Elessar Telcontarvalds',
         profession: 'Fighter',
         balance: 314,
-        type: 'client'
+        type: 'client',
+        email: 'aragorn@example.com',
+        passwordHash
+      },
+      {
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        profession: 'Administrator',
+        balance: 0,
+        type: 'admin',
+        email: 'admin@example.com',
+        passwordHash
       }
     ]);
 
@@ -165,6 +198,12 @@ async function seedDatabase() {
       }
     ]);
 
+    // Exchange rates into the default currency
+    await FxRate.bulkCreate([
+      { baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 1.1 },
+      { baseCurrency: 'GBP', quoteCurrency: 'USD', rate: 1.25 }
+    ]);
+
     console.log('Database seeded successfully');
   } catch (error) {
     console.error('Error seeding database:', error);
@@ -1,7 +1,10 @@
 // File: app.js
 const express = require('express');
-const { sequelize, Profile, Contract, Job } = require('./model');
+const { sequelize, Profile, AuthSession, Contract, Job } = require('./model');
 const { getProfile } = require('./middleware/getProfile');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { requestContext } = require('./middleware/requestContext');
+const { TooManyRequestsError } = require('./errors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 
@@ -17,7 +20,7 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  handler: (req, res, next) => next(new TooManyRequestsError('Too many requests from this IP, please try again later.'))
 });
 
 app.use(limiter);
@@ -25,42 +28,44 @@ app.use(limiter);
 // API versioning
 const v1Router = express.Router();
 
+// Authentication endpoints are public
+const authRouter = require('./routes/auth');
+v1Router.use('/auth', authRouter);
+
 // Apply authentication middleware to all routes
 v1Router.use(getProfile);
 
 // Set models in app instance
-app.set('models', { Profile, Contract, Job });
+app.set('models', { Profile, AuthSession, Contract, Job });
 
 // Import routes
 const contractsRouter = require('./routes/contracts');
 const jobsRouter = require('./routes/jobs');
 const balancesRouter = require('./routes/balances');
 const adminRouter = require('./routes/admin');
+const invoicesRouter = require('./routes/invoices');
+const webhooksRouter = require('./routes/webhooks');
+const disputesRouter = require('./routes/disputes');
 
 // Mount routes
 v1Router.use('/contracts', contractsRouter);
 v1Router.use('/jobs', jobsRouter);
 v1Router.use('/balances', balancesRouter);
 v1Router.use('/admin', adminRouter);
+v1Router.use('/invoices', invoicesRouter);
+v1Router.use('/webhooks', webhooksRouter);
+v1Router.use('/disputes', disputesRouter);
+
+// Request ids, and the context model hooks read them from (audit log)
+app.use(requestContext);
 
 // Mount v1 API
 app.use('/api/v1', v1Router);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error',
-    status: err.status || 500
-  });
-});
-
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    status: 404
-  });
-});
+app.use(notFound);
+
+// Error handling middleware, renders errors as problem+json
+app.use(errorHandler);
 
 module.exports = app;
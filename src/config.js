@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+const isTest = process.env.NODE_ENV === 'test';
+
+const readBoolean = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return value === 'true' || value === '1';
+};
+
+const config = {
+  auth: {
+    // Without AUTH_TOKEN_SECRET tokens are signed with a per-process secret and
+    // stop being valid when the server restarts.
+    tokenSecret: process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+    accessTokenTtlSeconds: parseInt(process.env.AUTH_ACCESS_TOKEN_TTL || '900'),
+    refreshTokenTtlSeconds: parseInt(process.env.AUTH_REFRESH_TOKEN_TTL || String(30 * 24 * 60 * 60)),
+    // Accept the old unauthenticated `profile_id` header. Enabled by default
+    // only for the test suite.
+    legacyHeader: readBoolean(process.env.AUTH_LEGACY_HEADER, isTest)
+  },
+  currency: {
+    // Currency of profiles and contracts created without an explicit one
+    default: process.env.DEFAULT_CURRENCY || 'USD',
+    // Currency admin reports are expressed in unless ?currency= is given
+    reporting: process.env.REPORTING_CURRENCY || process.env.DEFAULT_CURRENCY || 'USD'
+  },
+  reports: {
+    // IANA time zone whose days admin reports count in unless ?tz= is given
+    timeZone: process.env.REPORTING_TIME_ZONE || 'UTC',
+    // Longest period a report may cover, see utils/dateRange
+    maxRangeDays: parseInt(process.env.REPORT_MAX_RANGE_DAYS || '3660')
+  },
+  payouts: {
+    // Name of the registered payout provider, see services/payoutProviders
+    provider: process.env.PAYOUT_PROVIDER || 'fake'
+  },
+  deposits: {
+    // Default deposit limits, see services/depositPolicies; admins can
+    // override them per client. Deposits within the last
+    // outstandingWindowHours may not exceed outstandingPercent of the
+    // client's unpaid jobs
+    outstandingPercent: parseInt(process.env.DEPOSIT_OUTSTANDING_PERCENT || '25'),
+    outstandingWindowHours: parseInt(process.env.DEPOSIT_OUTSTANDING_WINDOW_HOURS || '24'),
+    // Caps on the deposits of the last 24 hours and 30 days, in units of the
+    // default currency; 0 disables the cap
+    dailyCap: parseFloat(process.env.DEPOSIT_DAILY_CAP || '0'),
+    monthlyCap: parseFloat(process.env.DEPOSIT_MONTHLY_CAP || '0')
+  },
+  escrow: {
+    // A delivered escrow job the client neither approves nor disputes is
+    // released to the contractor after this long
+    autoReleaseHours: parseInt(process.env.ESCROW_AUTO_RELEASE_HOURS || String(7 * 24)),
+    // How often the auto-release started by server.js looks for due jobs
+    releaseIntervalMs: parseInt(process.env.ESCROW_RELEASE_INTERVAL_MS || '60000')
+  },
+  refunds: {
+    // What a refund does when the contractor's available balance does not
+    // cover it: `reject` it, or `allow_negative` to take the balance below
+    // zero. Admins can choose per refund
+    insufficientBalance: process.env.REFUND_INSUFFICIENT_BALANCE || 'reject'
+  },
+  errors: {
+    // Prefix of the `type` URI of problem+json error responses, followed by
+    // the error code
+    problemTypeBase: process.env.PROBLEM_TYPE_BASE || 'urn:problem-type:'
+  },
+  invoices: {
+    // Invoice numbers are this prefix followed by the zero-padded sequence,
+    // e.g. INV-000042
+    numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV-'
+  },
+  webhooks: {
+    // How often the dispatcher started by server.js looks for due deliveries
+    dispatchIntervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || '5000'),
+    // Deliveries sent per dispatch
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '50'),
+    // Attempts before a delivery is dead-lettered
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+    // Retry n waits retryBaseSeconds * 2^(n-1), at most retryMaxSeconds
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30'),
+    retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS || String(6 * 60 * 60)),
+    // How long an endpoint has to answer
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+    // Accept plain http endpoints, and endpoints on loopback, private or
+    // link-local addresses, see utils/network. Enabled by default only for
+    // the test suite, whose receivers listen on 127.0.0.1.
+    allowHttp: readBoolean(process.env.WEBHOOK_ALLOW_HTTP, isTest),
+    allowPrivateTargets: readBoolean(process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS, isTest)
+  },
+  idempotency: {
+    // How long a stored response can be replayed for the same Idempotency-Key
+    keyTtlSeconds: parseInt(process.env.IDEMPOTENCY_KEY_TTL || String(24 * 60 * 60))
+  }
+};
+
+module.exports = config;
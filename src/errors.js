@@ -0,0 +1,114 @@
+/**
+ * Application errors.
+ *
+ * Anything that should reach the client as a 4xx is thrown as an AppError:
+ * it carries the HTTP status and a stable, machine-readable `code` (e.g.
+ * `job_not_found`) that clients can branch on instead of parsing the
+ * message. The error middleware renders it as RFC 7807 problem+json, see
+ * middleware/errorHandler. Any other error is reported as a 500 without its
+ * message.
+ *
+ * Each subclass has a default code; pass a more specific one where a client
+ * could act on it:
+ *
+ *   throw new NotFoundError('Contract not found', { code: 'contract_not_found' });
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message Human-readable explanation, the problem `detail`
+   * @param {{ status?: number, code?: string }} [options]
+   */
+  constructor(message, { status = 500, code = 'internal_error' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, { code = 'bad_request' } = {}) {
+    super(message, { status: 400, code });
+  }
+}
+
+/**
+ * The request failed schema validation. `details` lists every failing field,
+ * see utils/validation.
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {Array<{ location: string, field: string, message: string }>} details
+   */
+  constructor(details, { code = 'validation_failed' } = {}) {
+    super(details.map((detail) => detail.message).join('; '), { status: 400, code });
+    this.details = details;
+  }
+}
+
+/**
+ * The balance does not cover the amount to pay or withdraw.
+ */
+class InsufficientFundsError extends AppError {
+  constructor(message = 'Insufficient balance', { code = 'insufficient_funds' } = {}) {
+    super(message, { status: 400, code });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, { code = 'unauthorized' } = {}) {
+    super(message, { status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', { code = 'forbidden' } = {}) {
+    super(message, { status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not Found', { code = 'not_found' } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+/**
+ * The request conflicts with the current state of the resource, e.g. paying
+ * a job that was paid in the meantime.
+ */
+class ConflictError extends AppError {
+  constructor(message, { code = 'conflict' } = {}) {
+    super(message, { status: 409, code });
+  }
+}
+
+/**
+ * The request is well-formed but cannot be processed, e.g. a conversion
+ * without an exchange rate.
+ */
+class UnprocessableError extends AppError {
+  constructor(message, { code = 'unprocessable' } = {}) {
+    super(message, { status: 422, code });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, { code = 'rate_limited' } = {}) {
+    super(message, { status: 429, code });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  InsufficientFundsError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableError,
+  TooManyRequestsError
+};
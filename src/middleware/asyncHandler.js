@@ -0,0 +1,13 @@
+/**
+ * Wraps an async route handler or middleware so that a rejected promise is
+ * passed to next() and reaches the error middleware. Express 4 does not do
+ * this by itself; without the wrapper a thrown error leaves the request
+ * hanging.
+ *
+ *   router.get('/:id', getProfile, asyncHandler(async (req, res) => { ... }));
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+
+  module.exports = { asyncHandler };
@@ -0,0 +1,66 @@
+const http = require('http');
+const config = require('../config');
+const { AppError, BadRequestError, NotFoundError } = require('../errors');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Turns anything thrown by a route into an AppError. Errors raised by Express
+ * itself (e.g. a malformed JSON body) keep their 4xx status; anything else
+ * becomes an opaque 500.
+ */
+const toAppError = (err) => {
+    if (err instanceof AppError) return err;
+
+    if (err.type === 'entity.parse.failed') {
+      return new BadRequestError('Request body is not valid JSON', { code: 'invalid_json' });
+    }
+
+    if (err.expose && err.status >= 400 && err.status < 500) {
+      return new AppError(err.message, { status: err.status, code: (err.type || 'bad_request').replace(/\./g, '_') });
+    }
+
+    return new AppError('Internal Server Error');
+  };
+
+/**
+ * Renders an error as an RFC 7807 problem+json document:
+ *
+ *   {
+ *     "type": "urn:problem-type:job_not_found",
+ *     "title": "Not Found",
+ *     "status": 404,
+ *     "detail": "Job not found or not available for payment",
+ *     "instance": "/api/v1/jobs/42/pay",
+ *     "code": "job_not_found",
+ *     "error": "Job not found or not available for payment"
+ *   }
+ *
+ * `error` repeats `detail` for clients written against the earlier
+ * `{ "error": "..." }` responses; validation errors add `details`.
+ */
+const errorHandler = (err, req, res, next) => {
+    const error = toAppError(err);
+
+    if (error.status >= 500) console.error(err);
+
+    if (res.headersSent) return next(err);
+
+    res.status(error.status).type(PROBLEM_CONTENT_TYPE).json({
+      type: `${config.errors.problemTypeBase}${error.code}`,
+      title: http.STATUS_CODES[error.status],
+      status: error.status,
+      detail: error.message,
+      instance: req.originalUrl,
+      code: error.code,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  };
+
+// Answers requests that no route matched
+const notFound = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: 'route_not_found' }));
+  };
+
+  module.exports = { PROBLEM_CONTENT_TYPE, errorHandler, notFound };
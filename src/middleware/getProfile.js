@@ -1,16 +1,51 @@
-const getProfile = async (req, res, next) => {
+const config = require('../config');
+const auth = require('../services/auth');
+const { UnauthorizedError } = require('../errors');
+const { asyncHandler } = require('./asyncHandler');
+
+/**
+ * Resolves the calling profile from an `Authorization: Bearer <token>` header.
+ * When `config.auth.legacyHeader` is enabled, a raw `profile_id` header is
+ * still accepted for requests without a bearer token.
+ */
+const getProfile = asyncHandler(async (req, res, next) => {
     const { Profile } = req.app.get('models');
+    const authorization = req.get('authorization');
+
+    if (authorization) {
+      const [scheme, token] = authorization.split(' ');
+
+      if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError('Authorization header must use the Bearer scheme'));
+      }
+
+      const session = await auth.findActiveSession(token);
+
+      if (!session) return next(new UnauthorizedError('Invalid or expired token'));
+
+      const profile = await Profile.findOne({ where: { id: session.ProfileId } });
+
+      if (!profile) return next(new UnauthorizedError('Unauthorized: profile not found'));
+
+      req.profile = profile;
+      req.authSession = session;
+      return next();
+    }
+
+    if (!config.auth.legacyHeader) {
+      return next(new UnauthorizedError('Missing bearer token'));
+    }
+
     const profileId = req.get('profile_id');
-  
-    if (!profileId) return res.status(401).json({ error: 'Missing profile_id in headers' });
-  
+
+    if (!profileId) return next(new UnauthorizedError('Missing profile_id in headers'));
+
     const profile = await Profile.findOne({ where: { id: profileId } });
-  
-    if (!profile) return res.status(401).json({ error: 'Unauthorized: profile not found' });
-  
+
+    if (!profile) return next(new UnauthorizedError('Unauthorized: profile not found'));
+
     req.profile = profile;
     next();
-  };
-  
+  });
+
   module.exports = { getProfile };
-  
\ No newline at end of file
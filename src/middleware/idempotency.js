@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const config = require('../config');
+const { IdempotencyKey } = require('../model');
+const { BadRequestError, ConflictError, UnprocessableError } = require('../errors');
+const { asyncHandler } = require('./asyncHandler');
+const { PROBLEM_CONTENT_TYPE } = require('./errorHandler');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted object keys, so that retries that serialize the
+// same body in a different key order hash identically.
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(canonicalize({ method: req.method, path: req.originalUrl, body: req.body }))
+  .digest('hex');
+
+const inProgress = () => new ConflictError(
+  'A request with this Idempotency-Key is still being processed',
+  { code: 'idempotency_key_in_use' }
+);
+
+/**
+ * Honors an optional `Idempotency-Key` header on state-changing routes. Must
+ * run after getProfile; keys are scoped to the calling profile.
+ *
+ * - First request with a key: processed normally; its response is stored.
+ * - Same key while the first request is still running: 409.
+ * - Same key and same request: the stored response is replayed.
+ * - Same key, different request: 422.
+ *
+ * 5xx responses are not stored, so the client can retry with the same key.
+ */
+const idempotency = asyncHandler(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return next(new BadRequestError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, { code: 'invalid_idempotency_key' }));
+    }
+
+    const { profile } = req;
+    const requestHash = hashRequest(req);
+
+    let record = await IdempotencyKey.findOne({ where: { ProfileId: profile.id, key } });
+
+    if (record && record.expiresAt <= new Date()) {
+      await record.destroy();
+      record = null;
+    }
+
+    if (record) {
+      if (record.statusCode === null) {
+        return next(inProgress());
+      }
+
+      if (record.requestHash !== requestHash) {
+        return next(new UnprocessableError('Idempotency-Key was already used for a different request', { code: 'idempotency_key_reused' }));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      if (record.statusCode >= 400) res.type(PROBLEM_CONTENT_TYPE);
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    try {
+      record = await IdempotencyKey.create({
+        ProfileId: profile.id,
+        key,
+        requestHash,
+        expiresAt: new Date(Date.now() + config.idempotency.keyTtlSeconds * 1000)
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) return next(inProgress());
+      throw error;
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode >= 500
+        ? record.destroy()
+        : record.update({ statusCode: res.statusCode, responseBody: body });
+
+      // Send only once the response is stored, so that a replay can never
+      // observe a half-finished key.
+      stored
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  });
+
+  module.exports = { idempotency };
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const context = require('../services/requestContext');
+
+// Ids supplied by callers or proxies are kept only if they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an id, the caller's `X-Request-Id` when it is a
+ * plausible one and a new UUID otherwise, echoes it in the response, and
+ * runs the rest of the request inside services/requestContext. Must run
+ * after the body parser, so that the context is not lost to its stream
+ * callbacks.
+ */
+const requestContext = (req, res, next) => {
+    const supplied = req.get('X-Request-Id');
+
+    req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    context.run({ req }, next);
+  };
+
+  module.exports = { requestContext };
@@ -0,0 +1,21 @@
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+/**
+ * Restricts a route to profiles of the given types (roles). Must run after
+ * getProfile.
+ *
+ *   router.use(getProfile, requireRole('admin'));
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    const { profile } = req;
+
+    if (!profile) return next(new UnauthorizedError('Unauthorized'));
+
+    if (!roles.includes(profile.type)) {
+      return next(new ForbiddenError(`Forbidden: requires ${roles.join(' or ')} role`));
+    }
+
+    next();
+  };
+
+  module.exports = { requireRole };
@@ -0,0 +1,35 @@
+const { ValidationError } = require('../errors');
+const { validateValues } = require('../utils/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validates the request against a schema per location, e.g.
+ *
+ *   validate({ params: { id: id() }, body: { amount: amount({ required: true }) } })
+ *
+ * See utils/validation for the rules. A location left out of the schema
+ * accepts no fields at all. On success the parsed values replace
+ * req.params, req.query and req.body; otherwise a ValidationError listing
+ * every failing field is passed on to the error middleware.
+ */
+const validate = (schema) => (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      try {
+        parsed[location] = validateValues(schema[location] || {}, req[location] || {}, location);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) return next(error);
+        details.push(...error.details);
+      }
+    }
+
+    if (details.length) return next(new ValidationError(details));
+
+    Object.assign(req, parsed);
+    next();
+  };
+
+  module.exports = { validate };
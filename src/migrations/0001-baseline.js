@@ -0,0 +1,204 @@
+/**
+ * Baseline: the schema as it was when migrations were introduced.
+ *
+ * Tables are created only if they do not exist yet, so a database that was
+ * previously created with sequelize.sync() can adopt migrations by running
+ * this one. Amounts are integer cents; run `npm run migrate:money` first on a
+ * database that still stores them as decimals.
+ */
+
+const timestamps = (Sequelize, { updatedAt = true } = {}) => ({
+  createdAt: { type: Sequelize.DATE, allowNull: false },
+  ...(updatedAt && { updatedAt: { type: Sequelize.DATE, allowNull: false } })
+});
+
+const id = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  primaryKey: true,
+  autoIncrement: true
+});
+
+const reference = (Sequelize, table) => ({
+  type: Sequelize.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+const currency = (Sequelize, options = {}) => ({
+  type: Sequelize.STRING(3),
+  allowNull: false,
+  ...options
+});
+
+// Child tables first, for `down`
+const TABLES = [
+  'LedgerEntries',
+  'Payouts',
+  'BalanceHolds',
+  'Payments',
+  'FxRates',
+  'ContractTransitions',
+  'JobPriceChanges',
+  'IdempotencyKeys',
+  'Jobs',
+  'Contracts',
+  'AuthSessions',
+  'Profiles'
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Profiles', {
+      id: id(Sequelize),
+      firstName: { type: Sequelize.STRING, allowNull: false },
+      lastName: { type: Sequelize.STRING, allowNull: false },
+      profession: { type: Sequelize.STRING, allowNull: false },
+      balance: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      currency: currency(Sequelize, { defaultValue: 'USD' }),
+      type: { type: Sequelize.ENUM('client', 'contractor', 'admin') },
+      email: { type: Sequelize.STRING, unique: true },
+      passwordHash: { type: Sequelize.STRING },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.createTable('AuthSessions', {
+      id: id(Sequelize),
+      refreshTokenHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      revokedAt: { type: Sequelize.DATE },
+      ...timestamps(Sequelize),
+      ProfileId: reference(Sequelize, 'Profiles')
+    });
+
+    await queryInterface.createTable('Contracts', {
+      id: id(Sequelize),
+      terms: { type: Sequelize.TEXT, allowNull: false },
+      status: { type: Sequelize.ENUM('new', 'in_progress', 'terminated') },
+      currency: currency(Sequelize, { defaultValue: 'USD' }),
+      ...timestamps(Sequelize),
+      ContractorId: reference(Sequelize, 'Profiles'),
+      ClientId: reference(Sequelize, 'Profiles')
+    });
+
+    await queryInterface.createTable('Jobs', {
+      id: id(Sequelize),
+      description: { type: Sequelize.TEXT, allowNull: false },
+      price: { type: Sequelize.INTEGER, allowNull: false },
+      paid: { type: Sequelize.BOOLEAN, defaultValue: false },
+      paymentDate: { type: Sequelize.DATE },
+      cancelledAt: { type: Sequelize.DATE },
+      ...timestamps(Sequelize),
+      ContractId: reference(Sequelize, 'Contracts')
+    });
+
+    await queryInterface.createTable('IdempotencyKeys', {
+      id: id(Sequelize),
+      key: { type: Sequelize.STRING, allowNull: false },
+      requestHash: { type: Sequelize.STRING, allowNull: false },
+      statusCode: { type: Sequelize.INTEGER },
+      responseBody: { type: Sequelize.JSON },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      ...timestamps(Sequelize),
+      ProfileId: reference(Sequelize, 'Profiles')
+    });
+    await queryInterface.sequelize.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS `idempotency_keys__profile_id_key` ON `IdempotencyKeys` (`ProfileId`, `key`)'
+    );
+
+    await queryInterface.createTable('JobPriceChanges', {
+      id: id(Sequelize),
+      oldPrice: { type: Sequelize.INTEGER, allowNull: false },
+      newPrice: { type: Sequelize.INTEGER, allowNull: false },
+      ...timestamps(Sequelize, { updatedAt: false }),
+      JobId: reference(Sequelize, 'Jobs'),
+      ChangedById: reference(Sequelize, 'Profiles')
+    });
+
+    await queryInterface.createTable('ContractTransitions', {
+      id: id(Sequelize),
+      fromStatus: { type: Sequelize.ENUM('new', 'in_progress', 'terminated') },
+      toStatus: { type: Sequelize.ENUM('new', 'in_progress', 'terminated'), allowNull: false },
+      ...timestamps(Sequelize, { updatedAt: false }),
+      ContractId: reference(Sequelize, 'Contracts'),
+      ActorId: reference(Sequelize, 'Profiles')
+    });
+
+    await queryInterface.createTable('FxRates', {
+      id: id(Sequelize),
+      baseCurrency: currency(Sequelize),
+      quoteCurrency: currency(Sequelize),
+      rate: { type: Sequelize.DECIMAL(18, 8), allowNull: false },
+      ...timestamps(Sequelize)
+    });
+    await queryInterface.sequelize.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS `fx_rates_base_currency_quote_currency` ON `FxRates` (`baseCurrency`, `quoteCurrency`)'
+    );
+
+    await queryInterface.createTable('Payments', {
+      id: id(Sequelize),
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      currency: currency(Sequelize),
+      debitAmount: { type: Sequelize.INTEGER, allowNull: false },
+      debitCurrency: currency(Sequelize),
+      debitRate: { type: Sequelize.DECIMAL(18, 8), allowNull: false },
+      creditAmount: { type: Sequelize.INTEGER, allowNull: false },
+      creditCurrency: currency(Sequelize),
+      creditRate: { type: Sequelize.DECIMAL(18, 8), allowNull: false },
+      ...timestamps(Sequelize, { updatedAt: false }),
+      JobId: reference(Sequelize, 'Jobs'),
+      ClientId: reference(Sequelize, 'Profiles'),
+      ContractorId: reference(Sequelize, 'Profiles')
+    });
+
+    await queryInterface.createTable('BalanceHolds', {
+      id: id(Sequelize),
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      currency: currency(Sequelize),
+      reason: { type: Sequelize.STRING, allowNull: false },
+      status: { type: Sequelize.ENUM('active', 'released', 'captured'), allowNull: false, defaultValue: 'active' },
+      ...timestamps(Sequelize),
+      ProfileId: reference(Sequelize, 'Profiles')
+    });
+
+    await queryInterface.createTable('Payouts', {
+      id: id(Sequelize),
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      currency: currency(Sequelize),
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'completed', 'rejected', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      provider: { type: Sequelize.STRING },
+      providerReference: { type: Sequelize.STRING },
+      failureReason: { type: Sequelize.STRING },
+      reviewedAt: { type: Sequelize.DATE },
+      completedAt: { type: Sequelize.DATE },
+      ...timestamps(Sequelize),
+      ProfileId: reference(Sequelize, 'Profiles'),
+      ReviewedById: reference(Sequelize, 'Profiles'),
+      HoldId: reference(Sequelize, 'BalanceHolds')
+    });
+
+    await queryInterface.createTable('LedgerEntries', {
+      id: id(Sequelize),
+      transferId: { type: Sequelize.UUID, allowNull: false },
+      account: { type: Sequelize.STRING, allowNull: false },
+      direction: { type: Sequelize.ENUM('debit', 'credit'), allowNull: false },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      currency: currency(Sequelize),
+      kind: { type: Sequelize.ENUM('opening_balance', 'deposit', 'payment', 'payout'), allowNull: false },
+      description: { type: Sequelize.STRING },
+      ...timestamps(Sequelize, { updatedAt: false }),
+      ProfileId: reference(Sequelize, 'Profiles'),
+      JobId: reference(Sequelize, 'Jobs')
+    });
+  },
+
+  async down(queryInterface) {
+    for (const table of TABLES) {
+      await queryInterface.dropTable(table);
+    }
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * AuditEvents: the audit log of writes made by mutating requests, see
+ * services/audit.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('AuditEvents', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      action: { type: Sequelize.ENUM('create', 'update', 'delete'), allowNull: false },
+      entityType: { type: Sequelize.STRING, allowNull: false },
+      entityId: { type: Sequelize.INTEGER },
+      before: { type: Sequelize.JSON },
+      after: { type: Sequelize.JSON },
+      route: { type: Sequelize.STRING },
+      requestId: { type: Sequelize.STRING },
+      ip: { type: Sequelize.STRING },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      ActorId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'Profiles', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      }
+    });
+    await queryInterface.addIndex('AuditEvents', ['entityType', 'entityId']);
+    await queryInterface.addIndex('AuditEvents', ['ActorId']);
+    await queryInterface.addIndex('AuditEvents', ['createdAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('AuditEvents');
+  }
+};
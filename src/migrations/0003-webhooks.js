@@ -0,0 +1,59 @@
+/**
+ * Webhooks: subscriptions, the outbox of events and their deliveries, see
+ * services/webhooks.
+ */
+
+const reference = (Sequelize, table, { onDelete = 'SET NULL' } = {}) => ({
+  type: Sequelize.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('WebhookSubscriptions', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      url: { type: Sequelize.STRING(2048), allowNull: false },
+      events: { type: Sequelize.JSON, allowNull: false },
+      secret: { type: Sequelize.STRING, allowNull: false },
+      description: { type: Sequelize.STRING },
+      active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+      ProfileId: reference(Sequelize, 'Profiles', { onDelete: 'CASCADE' })
+    });
+    await queryInterface.addIndex('WebhookSubscriptions', ['ProfileId']);
+
+    await queryInterface.createTable('WebhookEvents', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      type: { type: Sequelize.STRING, allowNull: false },
+      payload: { type: Sequelize.JSON, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false }
+    });
+
+    await queryInterface.createTable('WebhookDeliveries', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      status: { type: Sequelize.ENUM('pending', 'delivered', 'dead'), allowNull: false, defaultValue: 'pending' },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      nextAttemptAt: { type: Sequelize.DATE },
+      lastAttemptAt: { type: Sequelize.DATE },
+      responseStatus: { type: Sequelize.INTEGER },
+      lastError: { type: Sequelize.STRING(1000) },
+      deliveredAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+      WebhookSubscriptionId: reference(Sequelize, 'WebhookSubscriptions', { onDelete: 'CASCADE' }),
+      WebhookEventId: reference(Sequelize, 'WebhookEvents', { onDelete: 'CASCADE' })
+    });
+    // The dispatcher polls for due pending deliveries
+    await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt']);
+    await queryInterface.addIndex('WebhookDeliveries', ['WebhookSubscriptionId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('WebhookDeliveries');
+    await queryInterface.dropTable('WebhookEvents');
+    await queryInterface.dropTable('WebhookSubscriptions');
+  }
+};
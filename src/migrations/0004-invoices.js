@@ -0,0 +1,65 @@
+const config = require('../config');
+
+/**
+ * Invoices: one per payment, see services/invoices. Payments made before
+ * invoicing existed are invoiced in payment order.
+ */
+
+const reference = (Sequelize, table) => ({
+  type: Sequelize.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete: 'SET NULL',
+  onUpdate: 'CASCADE'
+});
+
+// Same format as services/invoices formatNumber()
+const formatNumber = (sequence) => `${config.invoices.numberPrefix}${String(sequence).padStart(6, '0')}`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Invoices', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      sequence: { type: Sequelize.INTEGER, allowNull: false, unique: true },
+      number: { type: Sequelize.STRING, allowNull: false, unique: true },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      currency: { type: Sequelize.STRING(3), allowNull: false },
+      issuedAt: { type: Sequelize.DATE, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      PaymentId: reference(Sequelize, 'Payments'),
+      JobId: reference(Sequelize, 'Jobs'),
+      ContractId: reference(Sequelize, 'Contracts'),
+      ClientId: reference(Sequelize, 'Profiles'),
+      ContractorId: reference(Sequelize, 'Profiles')
+    });
+    await queryInterface.addIndex('Invoices', ['ClientId']);
+    await queryInterface.addIndex('Invoices', ['ContractorId']);
+    await queryInterface.addIndex('Invoices', ['PaymentId'], { unique: true });
+
+    const [payments] = await queryInterface.sequelize.query(
+      `SELECT Payments.id, Payments.amount, Payments.currency, Payments.createdAt, Payments.JobId,
+              Payments.ClientId, Payments.ContractorId, Jobs.ContractId
+         FROM Payments LEFT JOIN Jobs ON Jobs.id = Payments.JobId
+        ORDER BY Payments.createdAt, Payments.id`
+    );
+    if (payments.length) {
+      const now = new Date();
+      await queryInterface.bulkInsert('Invoices', payments.map((payment, index) => ({
+        sequence: index + 1,
+        number: formatNumber(index + 1),
+        amount: payment.amount,
+        currency: payment.currency,
+        issuedAt: payment.createdAt,
+        createdAt: now,
+        PaymentId: payment.id,
+        JobId: payment.JobId,
+        ContractId: payment.ContractId,
+        ClientId: payment.ClientId,
+        ContractorId: payment.ContractorId
+      })));
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Invoices');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Per-profile deposit limit overrides, see services/depositPolicies. Deposits
+ * are now limited over rolling windows, which sum the deposit entries of a
+ * profile's ledger.
+ */
+
+const reference = (Sequelize, table, { onDelete = 'SET NULL' } = {}) => ({
+  type: Sequelize.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('DepositLimitOverrides', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      outstandingPercent: { type: Sequelize.INTEGER },
+      dailyCap: { type: Sequelize.INTEGER },
+      monthlyCap: { type: Sequelize.INTEGER },
+      currency: { type: Sequelize.STRING(3), allowNull: false },
+      note: { type: Sequelize.STRING },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+      ProfileId: reference(Sequelize, 'Profiles', { onDelete: 'CASCADE' }),
+      SetById: reference(Sequelize, 'Profiles')
+    });
+    await queryInterface.addIndex('DepositLimitOverrides', ['ProfileId'], { unique: true });
+    await queryInterface.addIndex('LedgerEntries', ['ProfileId', 'kind', 'createdAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('LedgerEntries', ['ProfileId', 'kind', 'createdAt']);
+    await queryInterface.dropTable('DepositLimitOverrides');
+  }
+};
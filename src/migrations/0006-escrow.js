@@ -0,0 +1,29 @@
+/**
+ * Escrow: jobs funded up front keep their state and the hold reserving the
+ * client's money, see services/escrow.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Jobs', 'escrowStatus', {
+      type: Sequelize.ENUM('funded', 'delivered', 'disputed', 'released', 'refunded')
+    });
+    await queryInterface.addColumn('Jobs', 'fundedAt', { type: Sequelize.DATE });
+    await queryInterface.addColumn('Jobs', 'deliveredAt', { type: Sequelize.DATE });
+    await queryInterface.addColumn('Jobs', 'releaseAt', { type: Sequelize.DATE });
+    await queryInterface.addColumn('Jobs', 'EscrowHoldId', {
+      type: Sequelize.INTEGER,
+      references: { model: 'BalanceHolds', key: 'id' },
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    });
+    await queryInterface.addIndex('Jobs', ['escrowStatus', 'releaseAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('Jobs', ['escrowStatus', 'releaseAt']);
+    for (const column of ['EscrowHoldId', 'releaseAt', 'deliveredAt', 'fundedAt', 'escrowStatus']) {
+      await queryInterface.removeColumn('Jobs', column);
+    }
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Disputes on jobs and their comments, see services/disputes.
+ */
+
+const reference = (Sequelize, table, { onDelete = 'SET NULL' } = {}) => ({
+  type: Sequelize.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Disputes', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      status: { type: Sequelize.ENUM('open', 'resolved'), allowNull: false, defaultValue: 'open' },
+      reason: { type: Sequelize.TEXT, allowNull: false },
+      resolution: { type: Sequelize.ENUM('pay', 'partial_pay', 'refund') },
+      amount: { type: Sequelize.INTEGER },
+      currency: { type: Sequelize.STRING(3) },
+      resolutionNote: { type: Sequelize.TEXT },
+      resolvedAt: { type: Sequelize.DATE },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+      JobId: reference(Sequelize, 'Jobs'),
+      OpenedById: reference(Sequelize, 'Profiles'),
+      ResolvedById: reference(Sequelize, 'Profiles')
+    });
+    await queryInterface.addIndex('Disputes', ['JobId', 'status']);
+
+    await queryInterface.createTable('DisputeComments', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      body: { type: Sequelize.TEXT, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      DisputeId: reference(Sequelize, 'Disputes', { onDelete: 'CASCADE' }),
+      AuthorId: reference(Sequelize, 'Profiles')
+    });
+    await queryInterface.addIndex('DisputeComments', ['DisputeId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('DisputeComments');
+    await queryInterface.dropTable('Disputes');
+  }
+};
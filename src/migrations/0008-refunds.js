@@ -0,0 +1,42 @@
+/**
+ * Refunds reversing payments, see services/refunds. LedgerEntries.kind gains
+ * `refund`; SQLite stores ENUMs as TEXT, so only the model changes.
+ */
+
+const reference = (Sequelize, table, { onDelete = 'SET NULL' } = {}) => ({
+  type: Sequelize.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Payments', 'refundedAmount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.createTable('Refunds', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      currency: { type: Sequelize.STRING(3), allowNull: false },
+      debitAmount: { type: Sequelize.INTEGER, allowNull: false },
+      debitCurrency: { type: Sequelize.STRING(3), allowNull: false },
+      creditAmount: { type: Sequelize.INTEGER, allowNull: false },
+      creditCurrency: { type: Sequelize.STRING(3), allowNull: false },
+      reason: { type: Sequelize.TEXT },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      PaymentId: reference(Sequelize, 'Payments'),
+      JobId: reference(Sequelize, 'Jobs'),
+      RefundedById: reference(Sequelize, 'Profiles')
+    });
+    await queryInterface.addIndex('Refunds', ['PaymentId']);
+    await queryInterface.addIndex('Refunds', ['createdAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Refunds');
+    await queryInterface.removeColumn('Payments', 'refundedAmount');
+  }
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const Sequelize = require('sequelize');
+
+/**
+ * Versioned schema migrations.
+ *
+ * Migrations are the files in src/migrations, applied in file-name order.
+ * Each exports `up(queryInterface, Sequelize)` and `down(queryInterface,
+ * Sequelize)`. Applied migrations are recorded by name in the
+ * SchemaMigrations table.
+ *
+ * Every migration runs in its own transaction with foreign key checks off:
+ * SQLite alters a column by rebuilding its table, which with foreign keys
+ * enforced would null out every reference to it. The pragma is per
+ * connection and ignored inside a transaction, so the transaction is opened
+ * by hand on the default connection rather than with sequelize.transaction().
+ */
+
+const MIGRATIONS_TABLE = 'SchemaMigrations';
+const MIGRATIONS_DIRECTORY = path.join(__dirname, 'migrations');
+
+class PendingMigrationsError extends Error {
+  constructor(pending) {
+    super(`Database schema is not up to date, pending migrations: ${pending.join(', ')}. Run \`npm run migrate\`.`);
+    this.name = 'PendingMigrationsError';
+    this.pending = pending;
+  }
+}
+
+function createMigrator(sequelize, { directory = MIGRATIONS_DIRECTORY } = {}) {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const available = () => fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => ({ name: file.replace(/\.js$/, ''), ...require(path.join(directory, file)) }));
+
+  async function ensureTable() {
+    await queryInterface.createTable(MIGRATIONS_TABLE, {
+      name: { type: Sequelize.STRING, primaryKey: true },
+      executedAt: { type: Sequelize.DATE, allowNull: false }
+    });
+  }
+
+  // Names of the applied migrations, oldest first
+  async function executed() {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes(MIGRATIONS_TABLE)) return [];
+
+    const [rows] = await sequelize.query(`SELECT name FROM \`${MIGRATIONS_TABLE}\` ORDER BY name`);
+    return rows.map((row) => row.name);
+  }
+
+  async function pending() {
+    const done = new Set(await executed());
+    return available().filter((migration) => !done.has(migration.name)).map((migration) => migration.name);
+  }
+
+  async function run(migration, direction) {
+    await sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+      await sequelize.query('BEGIN');
+      try {
+        await migration[direction](queryInterface, Sequelize);
+        if (direction === 'up') {
+          await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name: migration.name, executedAt: new Date() }]);
+        } else {
+          await queryInterface.bulkDelete(MIGRATIONS_TABLE, { name: migration.name });
+        }
+        await sequelize.query('COMMIT');
+      } catch (error) {
+        await sequelize.query('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      await sequelize.query('PRAGMA foreign_keys = ON');
+    }
+  }
+
+  /**
+   * Applies every pending migration. Returns the names applied.
+   */
+  async function up() {
+    await ensureTable();
+    const todo = new Set(await pending());
+    const applied = [];
+
+    for (const migration of available().filter(({ name }) => todo.has(name))) {
+      await run(migration, 'up');
+      applied.push(migration.name);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Reverts the last `steps` applied migrations. Returns the names reverted.
+   */
+  async function down({ steps = 1 } = {}) {
+    const byName = new Map(available().map((migration) => [migration.name, migration]));
+    const toRevert = (await executed()).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const name of toRevert) {
+      const migration = byName.get(name);
+      if (!migration) {
+        throw new Error(`Migration ${name} was applied but its file is missing`);
+      }
+      await run(migration, 'down');
+      reverted.push(name);
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Throws PendingMigrationsError unless every migration has been applied.
+   */
+  async function assertUpToDate() {
+    const names = await pending();
+    if (names.length) {
+      throw new PendingMigrationsError(names);
+    }
+  }
+
+  return { up, down, pending, executed, assertUpToDate };
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  PendingMigrationsError,
+  createMigrator
+};
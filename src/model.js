@@ -1,4 +1,6 @@
 const Sequelize = require('sequelize');
+const config = require('./config');
+const { centsAttribute } = require('./utils/money');
 
 const dbPath = process.env.DB_PATH || './database.sqlite3';
 const sequelize = new Sequelize({
@@ -6,6 +8,15 @@ const sequelize = new Sequelize({
   storage: dbPath
 });
 
+// ISO 4217 currency code
+const currencyAttribute = (options = {}) => ({
+  type: Sequelize.STRING(3),
+  allowNull: false,
+  defaultValue: config.currency.default,
+  validate: { is: /^[A-Z]{3}$/ },
+  ...options
+});
+
 class Profile extends Sequelize.Model {}
 Profile.init(
   {
@@ -21,11 +32,20 @@ Profile.init(
       type: Sequelize.STRING,
       allowNull: false
     },
-    balance:{
-      type:Sequelize.DECIMAL(12,2)
-    },
+    // Amounts are stored in cents and read/written in units, see utils/money
+    balance: centsAttribute('balance', { allowNull: false, defaultValue: 0 }),
+    // Currency of the balance
+    currency: currencyAttribute(),
     type: {
-      type: Sequelize.ENUM('client', 'contractor')
+      type: Sequelize.ENUM('client', 'contractor', 'admin')
+    },
+    email: {
+      type: Sequelize.STRING,
+      unique: true,
+      validate: { isEmail: true }
+    },
+    passwordHash: {
+      type: Sequelize.STRING
     }
   },
   {
@@ -34,6 +54,35 @@ Profile.init(
   }
 );
 
+// Never serialize credentials.
+Profile.prototype.toJSON = function toJSON() {
+  const values = { ...this.get() };
+  delete values.passwordHash;
+  return values;
+};
+
+class AuthSession extends Sequelize.Model {}
+AuthSession.init(
+  {
+    refreshTokenHash: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AuthSession'
+  }
+);
+
 class Contract extends Sequelize.Model {}
 Contract.init(
   {
@@ -43,7 +92,9 @@ Contract.init(
     },
     status:{
       type: Sequelize.ENUM('new','in_progress','terminated')
-    }
+    },
+    // Currency that the contract's jobs are priced in
+    currency: currencyAttribute()
   },
   {
     sequelize,
@@ -58,16 +109,31 @@ Job.init(
       type: Sequelize.TEXT,
       allowNull: false
     },
-    price:{
-      type: Sequelize.DECIMAL(12,2),
-      allowNull: false
-    },
+    price: centsAttribute('price', { allowNull: false }),
     paid: {
       type: Sequelize.BOOLEAN,
-      default:false
+      defaultValue: false
     },
     paymentDate:{
       type: Sequelize.DATE
+    },
+    cancelledAt: {
+      type: Sequelize.DATE
+    },
+    // Escrow state of a job funded up front, see services/escrow; null for
+    // jobs paid directly
+    escrowStatus: {
+      type: Sequelize.ENUM('funded', 'delivered', 'disputed', 'released', 'refunded')
+    },
+    fundedAt: {
+      type: Sequelize.DATE
+    },
+    deliveredAt: {
+      type: Sequelize.DATE
+    },
+    // When a delivered job is released to the contractor without approval
+    releaseAt: {
+      type: Sequelize.DATE
     }
   },
   {
@@ -76,16 +142,604 @@ Job.init(
   }
 );
 
+class IdempotencyKey extends Sequelize.Model {}
+IdempotencyKey.init(
+  {
+    key: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    requestHash: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    // Null while the original request is still being processed
+    statusCode: {
+      type: Sequelize.INTEGER
+    },
+    responseBody: {
+      type: Sequelize.JSON
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'IdempotencyKey',
+    indexes: [{ unique: true, fields: ['ProfileId', 'key'] }]
+  }
+);
+
+class JobPriceChange extends Sequelize.Model {}
+JobPriceChange.init(
+  {
+    oldPrice: centsAttribute('oldPrice', { allowNull: false }),
+    newPrice: centsAttribute('newPrice', { allowNull: false })
+  },
+  {
+    sequelize,
+    modelName: 'JobPriceChange',
+    updatedAt: false
+  }
+);
+
+class ContractTransition extends Sequelize.Model {}
+ContractTransition.init(
+  {
+    fromStatus: {
+      type: Sequelize.ENUM('new','in_progress','terminated')
+    },
+    toStatus: {
+      type: Sequelize.ENUM('new','in_progress','terminated'),
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'ContractTransition',
+    updatedAt: false
+  }
+);
+
+class FxRate extends Sequelize.Model {}
+FxRate.init(
+  {
+    baseCurrency: currencyAttribute({ defaultValue: undefined }),
+    quoteCurrency: currencyAttribute({ defaultValue: undefined }),
+    // Units of quoteCurrency per one unit of baseCurrency
+    rate: {
+      type: Sequelize.DECIMAL(18,8),
+      allowNull: false,
+      validate: { min: 0.00000001 }
+    }
+  },
+  {
+    sequelize,
+    modelName: 'FxRate',
+    indexes: [{ unique: true, fields: ['baseCurrency', 'quoteCurrency'] }]
+  }
+);
+
+class Payment extends Sequelize.Model {}
+Payment.init(
+  {
+    // Job price, in the contract currency
+    amount: centsAttribute('amount', { allowNull: false }),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    // Taken from the client, in the client's currency
+    debitAmount: centsAttribute('debitAmount', { allowNull: false }),
+    debitCurrency: currencyAttribute({ defaultValue: undefined }),
+    debitRate: {
+      type: Sequelize.DECIMAL(18,8),
+      allowNull: false
+    },
+    // Given to the contractor, in the contractor's currency
+    creditAmount: centsAttribute('creditAmount', { allowNull: false }),
+    creditCurrency: currencyAttribute({ defaultValue: undefined }),
+    creditRate: {
+      type: Sequelize.DECIMAL(18,8),
+      allowNull: false
+    },
+    // Part of `amount` given back to the client by refunds
+    refundedAmount: centsAttribute('refundedAmount', { allowNull: false, defaultValue: 0 })
+  },
+  {
+    sequelize,
+    modelName: 'Payment',
+    updatedAt: false
+  }
+);
+
+// Reverses a payment, fully or in part, see services/refunds. Amounts are
+// converted at the rates of the payment; `amount` is in the contract
+// currency.
+class Refund extends Sequelize.Model {}
+Refund.init(
+  {
+    amount: centsAttribute('amount', { allowNull: false }),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    // Taken back from the contractor, in the contractor's currency
+    debitAmount: centsAttribute('debitAmount', { allowNull: false }),
+    debitCurrency: currencyAttribute({ defaultValue: undefined }),
+    // Given back to the client, in the client's currency
+    creditAmount: centsAttribute('creditAmount', { allowNull: false }),
+    creditCurrency: currencyAttribute({ defaultValue: undefined }),
+    reason: {
+      type: Sequelize.TEXT
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Refund',
+    updatedAt: false
+  }
+);
+
+// Issued for each payment. `number` is sequential (see services/invoices);
+// amount and currency are those of the job price.
+class Invoice extends Sequelize.Model {}
+Invoice.init(
+  {
+    sequence: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    number: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    amount: centsAttribute('amount', { allowNull: false }),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    issuedAt: {
+      type: Sequelize.DATE,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Invoice',
+    updatedAt: false
+  }
+);
+
+// A party contesting an unpaid job, see services/disputes. While a dispute
+// is open the job cannot be paid; an admin resolves it by paying the job in
+// full or in part, or by refunding it. `amount` is what the contractor was
+// paid, in the contract currency.
+class Dispute extends Sequelize.Model {}
+Dispute.init(
+  {
+    status: {
+      type: Sequelize.ENUM('open', 'resolved'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    reason: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    resolution: {
+      type: Sequelize.ENUM('pay', 'partial_pay', 'refund')
+    },
+    amount: centsAttribute('amount'),
+    currency: currencyAttribute({ allowNull: true, defaultValue: undefined }),
+    resolutionNote: {
+      type: Sequelize.TEXT
+    },
+    resolvedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Dispute'
+  }
+);
+
+class DisputeComment extends Sequelize.Model {}
+DisputeComment.init(
+  {
+    body: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'DisputeComment',
+    updatedAt: false
+  }
+);
+
+// Reserves part of a profile balance (e.g. for a pending payout) so that it
+// cannot be spent. A hold is `active` until it is either `released` back to
+// the available balance or `captured` when the money actually leaves.
+class BalanceHold extends Sequelize.Model {}
+BalanceHold.init(
+  {
+    amount: centsAttribute('amount', { allowNull: false }),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    reason: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.ENUM('active', 'released', 'captured'),
+      allowNull: false,
+      defaultValue: 'active'
+    }
+  },
+  {
+    sequelize,
+    modelName: 'BalanceHold'
+  }
+);
+
+class Payout extends Sequelize.Model {}
+Payout.init(
+  {
+    amount: centsAttribute('amount', { allowNull: false }),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    status: {
+      type: Sequelize.ENUM('pending', 'approved', 'completed', 'rejected', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    provider: {
+      type: Sequelize.STRING
+    },
+    // Identifier of the transfer at the payout provider
+    providerReference: {
+      type: Sequelize.STRING
+    },
+    failureReason: {
+      type: Sequelize.STRING
+    },
+    // When an admin approved or rejected the payout
+    reviewedAt: {
+      type: Sequelize.DATE
+    },
+    completedAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'Payout'
+  }
+);
+
+// Deposit limits an admin set for one client instead of the defaults in
+// config.deposits, see services/depositPolicies. A null limit keeps the
+// default. Caps are in the profile currency.
+class DepositLimitOverride extends Sequelize.Model {}
+DepositLimitOverride.init(
+  {
+    // Share of the unpaid jobs that may be deposited per window, in percent
+    outstandingPercent: {
+      type: Sequelize.INTEGER,
+      validate: { min: 0, max: 1000 }
+    },
+    dailyCap: centsAttribute('dailyCap'),
+    monthlyCap: centsAttribute('monthlyCap'),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    note: {
+      type: Sequelize.STRING
+    }
+  },
+  {
+    sequelize,
+    modelName: 'DepositLimitOverride'
+  }
+);
+
+class LedgerEntry extends Sequelize.Model {}
+LedgerEntry.init(
+  {
+    transferId: {
+      type: Sequelize.UUID,
+      allowNull: false
+    },
+    account: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    direction: {
+      type: Sequelize.ENUM('debit', 'credit'),
+      allowNull: false
+    },
+    amount: centsAttribute('amount', { allowNull: false }),
+    currency: currencyAttribute({ defaultValue: undefined }),
+    kind: {
+      type: Sequelize.ENUM('opening_balance', 'deposit', 'payment', 'payout', 'refund'),
+      allowNull: false
+    },
+    description: {
+      type: Sequelize.STRING
+    }
+  },
+  {
+    sequelize,
+    modelName: 'LedgerEntry',
+    updatedAt: false,
+    hooks: {
+      // Ledger rows are append-only; corrections are new entries, never edits.
+      beforeUpdate: () => {
+        throw new Error('Ledger entries are immutable');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Ledger entries are immutable');
+      },
+      beforeDestroy: () => {
+        throw new Error('Ledger entries are immutable');
+      }
+    }
+  }
+);
+
+class AuditEvent extends Sequelize.Model {}
+AuditEvent.init(
+  {
+    action: {
+      type: Sequelize.ENUM('create', 'update', 'delete'),
+      allowNull: false
+    },
+    // Model name and primary key of the changed row
+    entityType: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    entityId: {
+      type: Sequelize.INTEGER
+    },
+    // Changed attributes before and after the write; null for a create
+    // (before) or a delete (after)
+    before: {
+      type: Sequelize.JSON
+    },
+    after: {
+      type: Sequelize.JSON
+    },
+    // Route of the request that made the change, e.g. `POST /api/v1/jobs/:job_id/pay`
+    route: {
+      type: Sequelize.STRING
+    },
+    requestId: {
+      type: Sequelize.STRING
+    },
+    ip: {
+      type: Sequelize.STRING
+    }
+  },
+  {
+    sequelize,
+    modelName: 'AuditEvent',
+    updatedAt: false,
+    hooks: {
+      beforeUpdate: () => {
+        throw new Error('Audit events are immutable');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Audit events are immutable');
+      },
+      beforeDestroy: () => {
+        throw new Error('Audit events are immutable');
+      }
+    }
+  }
+);
+
+// An endpoint a profile registered to be notified of events (job.paid, ...)
+// concerning it, see services/webhooks
+class WebhookSubscription extends Sequelize.Model {}
+WebhookSubscription.init(
+  {
+    url: {
+      type: Sequelize.STRING(2048),
+      allowNull: false
+    },
+    // Event types delivered to the endpoint
+    events: {
+      type: Sequelize.JSON,
+      allowNull: false
+    },
+    // Key of the HMAC signature of each delivery; only shown when created
+    secret: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    description: {
+      type: Sequelize.STRING
+    },
+    active: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WebhookSubscription'
+  }
+);
+
+// Never serialize the signing secret.
+WebhookSubscription.prototype.toJSON = function toJSON() {
+  const values = { ...this.get() };
+  delete values.secret;
+  return values;
+};
+
+// Outbox: an event, written in the transaction of the change it describes
+class WebhookEvent extends Sequelize.Model {}
+WebhookEvent.init(
+  {
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    payload: {
+      type: Sequelize.JSON,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WebhookEvent',
+    updatedAt: false
+  }
+);
+
+// One event to be sent to one subscription. `pending` until the endpoint
+// answers 2xx (`delivered`), or `dead` once the attempts are exhausted.
+class WebhookDelivery extends Sequelize.Model {}
+WebhookDelivery.init(
+  {
+    status: {
+      type: Sequelize.ENUM('pending', 'delivered', 'dead'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // When a pending delivery is due to be (re)tried
+    nextAttemptAt: {
+      type: Sequelize.DATE
+    },
+    lastAttemptAt: {
+      type: Sequelize.DATE
+    },
+    // HTTP status of the last attempt, null if the endpoint did not answer
+    responseStatus: {
+      type: Sequelize.INTEGER
+    },
+    lastError: {
+      type: Sequelize.STRING(1000)
+    },
+    deliveredAt: {
+      type: Sequelize.DATE
+    }
+  },
+  {
+    sequelize,
+    modelName: 'WebhookDelivery'
+  }
+);
+
+Profile.hasMany(AuthSession)
+AuthSession.belongsTo(Profile)
+Profile.hasMany(IdempotencyKey)
+IdempotencyKey.belongsTo(Profile)
 Profile.hasMany(Contract, {as :'Contractor',foreignKey:'ContractorId'})
 Contract.belongsTo(Profile, {as: 'Contractor'})
 Profile.hasMany(Contract, {as : 'Client', foreignKey:'ClientId'})
 Contract.belongsTo(Profile, {as: 'Client'})
 Contract.hasMany(Job)
 Job.belongsTo(Contract)
+Job.hasMany(JobPriceChange)
+JobPriceChange.belongsTo(Job)
+JobPriceChange.belongsTo(Profile, {as: 'ChangedBy'})
+Contract.hasMany(ContractTransition)
+ContractTransition.belongsTo(Contract)
+ContractTransition.belongsTo(Profile, {as: 'Actor'})
+Job.hasOne(Payment)
+Payment.belongsTo(Job)
+Payment.belongsTo(Profile, {as: 'Client'})
+Payment.belongsTo(Profile, {as: 'Contractor'})
+Payment.hasOne(Invoice)
+Invoice.belongsTo(Payment)
+Payment.hasMany(Refund)
+Refund.belongsTo(Payment)
+Job.hasMany(Refund)
+Refund.belongsTo(Job)
+Refund.belongsTo(Profile, {as: 'RefundedBy'})
+Job.hasOne(Invoice)
+Invoice.belongsTo(Job)
+Invoice.belongsTo(Contract)
+Invoice.belongsTo(Profile, {as: 'Client'})
+Invoice.belongsTo(Profile, {as: 'Contractor'})
+Profile.hasMany(BalanceHold)
+BalanceHold.belongsTo(Profile)
+Profile.hasMany(Payout)
+Payout.belongsTo(Profile)
+Payout.belongsTo(Profile, {as: 'ReviewedBy'})
+Payout.belongsTo(BalanceHold, {as: 'Hold'})
+Job.belongsTo(BalanceHold, {as: 'EscrowHold'})
+Job.hasMany(Dispute)
+Dispute.belongsTo(Job)
+Dispute.belongsTo(Profile, {as: 'OpenedBy'})
+Dispute.belongsTo(Profile, {as: 'ResolvedBy'})
+Dispute.hasMany(DisputeComment, {as: 'Comments'})
+DisputeComment.belongsTo(Dispute)
+DisputeComment.belongsTo(Profile, {as: 'Author'})
+
+// Jobs without an open dispute, e.g. the ones that can be paid
+Job.addScope('undisputed', {
+  where: {
+    id: { [Sequelize.Op.notIn]: sequelize.literal("(SELECT `JobId` FROM `Disputes` WHERE `status` = 'open' AND `JobId` IS NOT NULL)") }
+  }
+})
+Profile.hasOne(DepositLimitOverride)
+DepositLimitOverride.belongsTo(Profile)
+DepositLimitOverride.belongsTo(Profile, {as: 'SetBy'})
+Profile.hasMany(LedgerEntry)
+LedgerEntry.belongsTo(Profile)
+Job.hasMany(LedgerEntry)
+LedgerEntry.belongsTo(Job)
+AuditEvent.belongsTo(Profile, {as: 'Actor'})
+Profile.hasMany(WebhookSubscription)
+WebhookSubscription.belongsTo(Profile)
+WebhookSubscription.hasMany(WebhookDelivery)
+WebhookDelivery.belongsTo(WebhookSubscription)
+WebhookEvent.hasMany(WebhookDelivery)
+WebhookDelivery.belongsTo(WebhookEvent)
+
+// Every profile starts with an opening-balance entry so that Profile.balance
+// can always be rebuilt from the ledger alone.
+const recordOpeningBalance = async (profile, options) => {
+  const ledger = require('./services/ledger');
+  await ledger.recordOpeningBalance(profile, { transaction: options.transaction });
+};
+
+Profile.afterCreate(recordOpeningBalance);
+Profile.afterBulkCreate(async (profiles, options) => {
+  for (const profile of profiles) {
+    await recordOpeningBalance(profile, options);
+  }
+});
 
 module.exports = {
   sequelize,
   Profile,
+  AuthSession,
+  IdempotencyKey,
   Contract,
-  Job
+  Job,
+  JobPriceChange,
+  ContractTransition,
+  FxRate,
+  Payment,
+  Refund,
+  Invoice,
+  Dispute,
+  DisputeComment,
+  BalanceHold,
+  Payout,
+  DepositLimitOverride,
+  LedgerEntry,
+  AuditEvent,
+  WebhookSubscription,
+  WebhookEvent,
+  WebhookDelivery
 };
+
+// Writes made while handling a mutating request are recorded in AuditEvents.
+// Installed once the models are exported, as services/audit needs them.
+require('./services/audit').installHooks(sequelize);
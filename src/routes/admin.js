@@ -1,103 +1,304 @@
 const express = require('express');
 const router = express.Router();
 const { getProfile } = require('../middleware/getProfile');
-const { Profile, Job, Contract } = require('../model');
-const { Op } = require('sequelize');
-const { sequelize } = require('../model');
+const { requireRole } = require('../middleware/requireRole');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { Profile, FxRate, Payout } = require('../model');
+const { Op, UniqueConstraintError } = require('sequelize');
+const payouts = require('../services/payouts');
+const depositPolicies = require('../services/depositPolicies');
+const escrow = require('../services/escrow');
+const audit = require('../services/audit');
+const reports = require('../services/reports');
+const reportsRouter = require('./reports');
+const { runExclusive } = require('../services/transactions');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const { pageQuery, paginate } = require('../utils/pagination');
+const { reportQuery, endDate, toRange } = require('../utils/dateRange');
+const { respond } = require('../utils/export');
+const { string, integer, id, number, amount, date, oneOf, listOf, currency } = require('../utils/validation');
+
+// Every admin route exposes platform-wide data
+router.use(getProfile, requireRole('admin'));
+
+const currencyColumn = { header: 'Currency', type: 'string', value: 'currency' };
+
+const noReportData = () => new NotFoundError('No data found for the specified period', { code: 'no_report_data' });
 
 /**
- * GET /admin/best-profession?start=<date>&end=<date>
- * Returns the profession that earned the most money within the given time range
+ * GET /admin/best-profession?start=<date>&end=<date>&currency=<code>&format=<json|csv|xlsx>
+ * Returns the profession that earned the most money within the given time range,
+ * in the reporting currency, net of refunds
  */
-router.get('/best-profession', getProfile, async (req, res) => {
-  const { start, end } = req.query;
+router.get('/best-profession', validate({ query: reportQuery() }), asyncHandler(async (req, res) => {
+  const { currency } = req.query;
+  const { data: [best] } = await reports.ranking('professions', toRange(req.query), currency, { limit: 1, compare: false });
 
-  if (!start || !end) {
-    return res.status(400).json({ error: 'Start and end dates are required' });
+  if (!best) {
+    throw noReportData();
   }
 
-  const result = await Job.findAll({
-    attributes: [
-      [sequelize.fn('SUM', sequelize.col('price')), 'totalEarned'],
-      [sequelize.col('Contract.Contractor.profession'), 'profession']
+  const body = { profession: best.profession, totalEarned: best.total, currency };
+  await respond(req, res, body, {
+    name: 'best-profession',
+    columns: [
+      { header: 'Profession', type: 'string', value: 'profession' },
+      { header: 'Total Earned', type: 'money', value: 'totalEarned' },
+      currencyColumn
     ],
-    include: [{
-      model: Contract,
-      include: [{
-        model: Profile,
-        as: 'Contractor',
-        attributes: ['profession']
-      }]
-    }],
-    where: {
-      paid: true,
-      paymentDate: {
-        [Op.between]: [start, end]
-      }
-    },
-    group: [sequelize.col('Contract.Contractor.profession')],
-    order: [[sequelize.fn('SUM', sequelize.col('price')), 'DESC']],
-    limit: 1
+    rows: [body]
   });
+}));
 
-  if (!result.length) {
-    return res.status(404).json({ error: 'No data found for the specified period' });
+/**
+ * GET /admin/best-clients?start=<date>&end=<date>&limit=<integer>&currency=<code>&format=<json|csv|xlsx>
+ * Returns clients who paid the most for jobs within the specified period,
+ * in the reporting currency, net of refunds
+ */
+router.get('/best-clients', validate({
+  query: { ...reportQuery(), limit: integer({ min: 1, max: 100, default: 2 }) }
+}), asyncHandler(async (req, res) => {
+  const { limit, currency } = req.query;
+  const { data } = await reports.ranking('clients', toRange(req.query), currency, { limit, compare: false });
+
+  if (!data.length) {
+    throw noReportData();
   }
 
-  res.json({
-    profession: result[0].Contract.Contractor.profession,
-    totalEarned: result[0].dataValues.totalEarned
+  const clients = data.map(({ id: clientId, fullName, total }) => ({ id: clientId, fullName, paid: total, currency }));
+  await respond(req, res, clients, {
+    name: 'best-clients',
+    columns: [
+      { header: 'Client ID', type: 'integer', value: 'id' },
+      { header: 'Full Name', type: 'string', value: 'fullName' },
+      { header: 'Paid', type: 'money', value: 'paid' },
+      currencyColumn
+    ],
+    rows: clients
   });
-});
+}));
 
 /**
- * GET /admin/best-clients?start=<date>&end=<date>&limit=<integer>
- * Returns clients who paid the most for jobs within the specified period
+ * Time series, rankings and averages, see routes/reports
  */
-router.get('/best-clients', getProfile, async (req, res) => {
-  const { start, end, limit = 2 } = req.query;
+router.use('/reports', reportsRouter);
+
+const fxRateParams = { id: id() };
 
-  if (!start || !end) {
-    return res.status(400).json({ error: 'Start and end dates are required' });
+const fxRateNotFound = () => new NotFoundError('Exchange rate not found', { code: 'fx_rate_not_found' });
+
+/**
+ * GET /admin/fx-rates?sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the exchange rates used to convert between currencies, with the list
+ * envelope
+ */
+router.get('/fx-rates', validate({
+  query: pageQuery({ sortFields: ['baseCurrency', 'quoteCurrency', 'updatedAt', 'id'], defaultSort: 'baseCurrency' })
+}), asyncHandler(async (req, res) => {
+  res.json(await paginate(FxRate, { page: req.query }));
+}));
+
+/**
+ * POST /admin/fx-rates
+ * Adds the rate converting one unit of baseCurrency into quoteCurrency
+ */
+router.post('/fx-rates', validate({
+  body: {
+    baseCurrency: currency({ required: true }),
+    quoteCurrency: currency({ required: true }),
+    rate: number({ positive: true, required: true })
   }
+}), asyncHandler(async (req, res) => {
+  const { baseCurrency, quoteCurrency, rate } = req.body;
 
-  const results = await Job.findAll({
-    attributes: [
-      [sequelize.fn('SUM', sequelize.col('price')), 'paid'],
-      [sequelize.col('Contract.Client.id'), 'id'],
-      [sequelize.col('Contract.Client.firstName'), 'firstName'],
-      [sequelize.col('Contract.Client.lastName'), 'lastName']
-    ],
-    include: [{
-      model: Contract,
-      include: [{
-        model: Profile,
-        as: 'Client',
-        attributes: ['id', 'firstName', 'lastName']
-      }]
-    }],
-    where: {
-      paid: true,
-      paymentDate: {
-        [Op.between]: [start, end]
-      }
-    },
-    group: [sequelize.col('Contract.Client.id')],
-    order: [[sequelize.fn('SUM', sequelize.col('price')), 'DESC']],
-    limit: parseInt(limit)
-  });
+  if (baseCurrency === quoteCurrency) {
+    throw new BadRequestError('baseCurrency and quoteCurrency must differ', { code: 'same_currency' });
+  }
+
+  try {
+    const fxRate = await runExclusive((t) => FxRate.create({ baseCurrency, quoteCurrency, rate }, { transaction: t }));
+    res.status(201).json(fxRate);
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) {
+      throw new ConflictError(`A rate from ${baseCurrency} to ${quoteCurrency} already exists`, { code: 'fx_rate_exists' });
+    }
+    throw err;
+  }
+}));
 
-  if (!results.length) {
-    return res.status(404).json({ error: 'No data found for the specified period' });
+/**
+ * PUT /admin/fx-rates/:id
+ * Replaces the rate of an existing currency pair
+ */
+router.put('/fx-rates/:id', validate({
+  params: fxRateParams,
+  body: { rate: number({ positive: true, required: true }) }
+}), asyncHandler(async (req, res) => {
+  const fxRate = await FxRate.findByPk(req.params.id);
+  if (!fxRate) {
+    throw fxRateNotFound();
   }
 
-  const clients = results.map(result => ({
-    id: result.Contract.Client.id,
-    fullName: `${result.Contract.Client.firstName} ${result.Contract.Client.lastName}`,
-    paid: result.dataValues.paid
+  await runExclusive((t) => fxRate.update({ rate: req.body.rate }, { transaction: t }));
+  res.json(fxRate);
+}));
+
+/**
+ * DELETE /admin/fx-rates/:id
+ * Removes a rate; payments between that pair fail until a new one is added
+ */
+router.delete('/fx-rates/:id', validate({ params: fxRateParams }), asyncHandler(async (req, res) => {
+  const fxRate = await FxRate.findByPk(req.params.id);
+  if (!fxRate) {
+    throw fxRateNotFound();
+  }
+
+  await runExclusive((t) => fxRate.destroy({ transaction: t }));
+  res.status(204).end();
+}));
+
+const PAYOUT_STATUSES = ['pending', 'approved', 'completed', 'rejected', 'failed'];
+
+/**
+ * GET /admin/payouts?status=<statuses>&sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists payouts, oldest first by default, optionally filtered by status (e.g.
+ * the pending ones awaiting review), with the list envelope
+ */
+router.get('/payouts', validate({
+  query: {
+    status: listOf(PAYOUT_STATUSES),
+    ...pageQuery({ sortFields: ['createdAt', 'amount', 'id'], defaultSort: 'createdAt' })
+  }
+}), asyncHandler(async (req, res) => {
+  const { query } = req;
+
+  res.json(await paginate(Payout, {
+    where: query.status ? { status: { [Op.in]: query.status } } : {},
+    include: [{ model: Profile, attributes: ['id', 'firstName', 'lastName'] }],
+    page: query
   }));
+}));
 
-  res.json(clients);
+/**
+ * POST /admin/payouts/:id/approve
+ * Approves a pending payout and sends it to the payout provider. Responds
+ * with the payout, `completed` or `failed` depending on the provider
+ */
+router.post('/payouts/:id/approve', validate({ params: { id: id() } }), asyncHandler(async (req, res) => {
+  res.json(await payouts.approvePayout(req.params.id, req.profile));
+}));
+
+/**
+ * POST /admin/payouts/:id/reject
+ * Rejects a pending payout and releases its hold
+ */
+router.post('/payouts/:id/reject', validate({
+  params: { id: id() },
+  body: { reason: string({ max: 1000 }) }
+}), asyncHandler(async (req, res) => {
+  const { reason = null } = req.body;
+
+  res.json(await payouts.rejectPayout(req.params.id, req.profile, reason));
+}));
+
+/**
+ * POST /admin/escrow/:job_id/release
+ * Releases a job funded in escrow to its contractor, e.g. to settle a
+ * dispute in the contractor's favour. Responds with the paid job
+ */
+router.post('/escrow/:job_id/release', validate({ params: { job_id: id() } }), asyncHandler(async (req, res) => {
+  res.json(await escrow.release(req.params.job_id));
+}));
+
+/**
+ * POST /admin/escrow/:job_id/refund
+ * Gives the money held for a job back to its client and cancels the job
+ */
+router.post('/escrow/:job_id/refund', validate({ params: { job_id: id() } }), asyncHandler(async (req, res) => {
+  res.json(await escrow.refund(req.params.job_id));
+}));
+
+const depositLimitParams = { profileId: id() };
+
+// Loads the client whose deposit limits are managed
+async function findClient(profileId) {
+  const profile = await Profile.findByPk(profileId);
+  if (!profile) {
+    throw new NotFoundError('Profile not found', { code: 'profile_not_found' });
+  }
+  if (profile.type !== 'client') {
+    throw new BadRequestError('Only clients have deposit limits', { code: 'not_a_client' });
+  }
+  return profile;
+}
+
+const depositLimits = async (profile) => ({
+  profileId: profile.id,
+  ...await depositPolicies.describeLimits(profile),
+  override: await depositPolicies.findOverride(profile)
 });
 
+/**
+ * GET /admin/deposit-limits/:profileId
+ * Returns the deposit limits of a client, how much each one still allows,
+ * and the override set for the client, if any
+ */
+router.get('/deposit-limits/:profileId', validate({ params: depositLimitParams }), asyncHandler(async (req, res) => {
+  res.json(await depositLimits(await findClient(req.params.profileId)));
+}));
+
+/**
+ * PUT /admin/deposit-limits/:profileId
+ * Replaces the deposit limit override of a client. Limits left out fall back
+ * to the defaults; caps are in the client's currency
+ */
+router.put('/deposit-limits/:profileId', validate({
+  params: depositLimitParams,
+  body: {
+    outstandingPercent: integer({ min: 0, max: 1000 }),
+    dailyCap: amount(),
+    monthlyCap: amount(),
+    note: string({ max: 255 })
+  }
+}), asyncHandler(async (req, res) => {
+  const profile = await findClient(req.params.profileId);
+
+  await depositPolicies.setOverride(profile, req.body, req.profile);
+  res.json(await depositLimits(profile));
+}));
+
+/**
+ * DELETE /admin/deposit-limits/:profileId
+ * Removes the deposit limit override of a client, back to the defaults
+ */
+router.delete('/deposit-limits/:profileId', validate({ params: depositLimitParams }), asyncHandler(async (req, res) => {
+  const profile = await findClient(req.params.profileId);
+
+  if (!await depositPolicies.removeOverride(profile)) {
+    throw new NotFoundError('No deposit limit override for this profile', { code: 'deposit_limit_override_not_found' });
+  }
+  res.status(204).end();
+}));
+
+/**
+ * GET /admin/audit?actorId=<id>&entityType=<model>&entityId=<id>&action=<actions>&requestId=<id>&from=<date>&to=<date>&sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the audit log, newest first by default, with the list envelope.
+ * See services/audit for what is recorded
+ */
+router.get('/audit', validate({
+  query: {
+    actorId: id(),
+    entityType: oneOf(audit.entityTypes()),
+    entityId: id(),
+    action: listOf(audit.ACTIONS),
+    requestId: string({ max: 128 }),
+    from: date(),
+    to: endDate({ from: 'from' }),
+    ...pageQuery({ sortFields: ['createdAt', 'id'] })
+  }
+}), asyncHandler(async (req, res) => {
+  res.json(await audit.listEvents({ ...req.query, page: req.query }));
+}));
+
 module.exports = router;
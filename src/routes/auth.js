@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { getProfile } = require('../middleware/getProfile');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { Profile } = require('../model');
+const auth = require('../services/auth');
+const { BadRequestError, UnauthorizedError } = require('../errors');
+const { string } = require('../utils/validation');
+
+/**
+ * POST /auth/login
+ * Exchanges email and password for an access token and a refresh token.
+ */
+router.post('/login', validate({
+  body: {
+    email: string({ required: true }),
+    password: string({ max: 1024, required: true })
+  }
+}), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const profile = await Profile.findOne({ where: { email } });
+  // Checked for an unknown email too, so that it takes as long to answer
+  const valid = await auth.verifyPassword(password, profile && profile.passwordHash);
+
+  // Same response for unknown email and wrong password.
+  if (!profile || !valid) {
+    throw new UnauthorizedError('Invalid email or password', { code: 'invalid_credentials' });
+  }
+
+  res.json(await auth.createSession(profile));
+}));
+
+/**
+ * POST /auth/refresh
+ * Exchanges a refresh token for a new token pair. The old refresh token
+ * stops working.
+ */
+router.post('/refresh', validate({
+  body: { refreshToken: string({ max: 1024, required: true }) }
+}), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokens = await auth.refreshSession(refreshToken);
+
+  if (!tokens) {
+    throw new UnauthorizedError('Invalid or expired refresh token', { code: 'invalid_refresh_token' });
+  }
+
+  res.json(tokens);
+}));
+
+/**
+ * POST /auth/logout
+ * Revokes the session of the bearer token, invalidating both the access
+ * token and its refresh token.
+ */
+router.post('/logout', getProfile, validate({}), asyncHandler(async (req, res) => {
+  if (!req.authSession) {
+    throw new BadRequestError('Logout requires a bearer token', { code: 'bearer_token_required' });
+  }
+
+  await auth.revokeSession(req.authSession);
+  res.status(204).end();
+}));
+
+module.exports = router;
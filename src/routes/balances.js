@@ -1,64 +1,152 @@
 const express = require('express');
 const router = express.Router();
 const { getProfile } = require('../middleware/getProfile');
-const { Profile, Job, Contract } = require('../model');
-const { Op } = require('sequelize');
+const { idempotency } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { Profile, Payout } = require('../model');
+const ledger = require('../services/ledger');
+const payments = require('../services/payments');
+const payouts = require('../services/payouts');
+const holds = require('../services/holds');
+const depositPolicies = require('../services/depositPolicies');
+const { ForbiddenError, NotFoundError } = require('../errors');
+const { toCents, fromCents } = require('../utils/money');
+const { pageQuery, paginate } = require('../utils/pagination');
+const { endDate } = require('../utils/dateRange');
+const { id, amount, date } = require('../utils/validation');
+
+const userParams = { userId: id() };
+
+const amountBody = { amount: amount({ required: true }) };
 
 /**
  * POST /balances/deposit/:userId
- * Deposits funds into a client's account.
- * Validation: Cannot deposit more than 25% of the total unpaid jobs.
+ * Deposits funds, in the client's own currency, into a client's account.
+ * The deposits of a client are limited, see services/depositPolicies.
+ * Accepts an optional Idempotency-Key header.
  */
-router.post('/deposit/:userId', getProfile, async (req, res) => {
+router.post('/deposit/:userId', getProfile, idempotency, validate({ params: userParams, body: amountBody }), asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { amount } = req.body;
+  const amountCents = toCents(req.body.amount);
   const { profile } = req;
 
-  if (!amount) {
-    return res.status(400).json({ error: 'Amount is required' });
+  if (profile.type !== 'client') {
+    throw new ForbiddenError('Only clients can deposit money');
   }
 
-  if (amount < 0) {
-    return res.status(400).json({ error: 'Amount cannot be negative' });
+  if (profile.id !== userId) {
+    throw new ForbiddenError('You can only deposit to your own account');
   }
 
+  const updatedProfile = await payments.deposit(profile, amountCents);
+  res.json({ balance: updatedProfile.balance, currency: updatedProfile.currency });
+}));
+
+/**
+ * GET /balances/:userId/deposit-limits
+ * Returns the deposit limits of a client and how much each one still allows
+ * to deposit now
+ */
+router.get('/:userId/deposit-limits', getProfile, validate({ params: userParams }), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { profile } = req;
+
+  if (profile.id !== userId) {
+    throw new ForbiddenError('You can only view your own deposit limits');
+  }
   if (profile.type !== 'client') {
-    return res.status(403).json({ error: 'Only clients can deposit money' });
+    throw new ForbiddenError('Only clients can deposit money');
   }
 
-  if (profile.id !== parseInt(userId)) {
-    return res.status(403).json({ error: 'You can only deposit to your own account' });
+  res.json(await depositPolicies.describeLimits(profile));
+}));
+
+/**
+ * POST /balances/withdraw/:userId
+ * Requests a payout of part of a contractor's available balance. The amount
+ * is put on hold until an admin approves (and the provider completes) or
+ * rejects the payout.
+ * Accepts an optional Idempotency-Key header.
+ */
+router.post('/withdraw/:userId', getProfile, idempotency, validate({ params: userParams, body: amountBody }), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const amountCents = toCents(req.body.amount);
+  const { profile } = req;
+
+  if (profile.type !== 'contractor') {
+    throw new ForbiddenError('Only contractors can withdraw money');
   }
 
-  // Calculate total of jobs to pay
-  const jobsToPay = await Job.findAll({
-    include: [{
-      model: Contract,
-      where: {
-        ClientId: profile.id,
-        status: 'in_progress'
-      }
-    }],
-    where: {
-      paid: false
-    }
-  });
+  if (profile.id !== userId) {
+    throw new ForbiddenError('You can only withdraw from your own account');
+  }
 
-  const totalToPay = jobsToPay.reduce((sum, job) => sum + parseFloat(job.price), 0);
-  const maxDeposit = totalToPay * 0.25;
+  res.status(201).json(await payouts.requestPayout(profile, amountCents));
+}));
 
-  if (amount > maxDeposit) {
-    return res.status(400).json({ error: 'Cannot deposit more than 25% of jobs to pay' });
+/**
+ * GET /balances/:userId/payouts?sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists a contractor's own payouts, newest first by default, with the list
+ * envelope.
+ */
+router.get('/:userId/payouts', getProfile, validate({
+  params: userParams,
+  query: pageQuery({ sortFields: ['createdAt', 'amount', 'id'] })
+}), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { profile } = req;
+
+  if (profile.id !== userId) {
+    throw new ForbiddenError('You can only view your own payouts');
   }
 
-  try {
-    const updatedProfile = await profile.update({ 
-      balance: parseFloat(profile.balance) + parseFloat(amount) 
-    });
-    res.json({ balance: updatedProfile.balance });
-  } catch (error) {
-    res.status(500).json({ error: 'Deposit failed' });
+  res.json(await paginate(Payout, { where: { ProfileId: profile.id }, page: req.query }));
+}));
+
+/**
+ * GET /balances/:userId/ledger?from=<date>&to=<date>&limit=<integer>&cursor=<cursor>
+ * Returns the ledger entries of a profile's account, newest first, with the
+ * list envelope, together with a reconciliation of Profile.balance against
+ * the ledger. Clients and contractors can only read their own ledger, admins
+ * any profile's, to audit it.
+ */
+router.get('/:userId/ledger', getProfile, validate({
+  params: userParams,
+  query: {
+    from: date(),
+    to: endDate({ from: 'from' }),
+    ...pageQuery({ sortFields: ['createdAt'] })
   }
-});
+}), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { from, to } = req.query;
+
+  if (req.profile.id !== userId && req.profile.type !== 'admin') {
+    throw new ForbiddenError('You can only view your own ledger');
+  }
+
+  const profile = req.profile.id === userId ? req.profile : await Profile.findByPk(userId);
+  if (!profile) {
+    throw new NotFoundError('Profile not found', { code: 'profile_not_found' });
+  }
+
+  const [entries, reconciliation, held] = await Promise.all([
+    ledger.listEntries(profile.id, { from, to, page: req.query }),
+    ledger.reconcile(profile),
+    holds.heldAmount(profile.id)
+  ]);
+
+  res.json({
+    currency: profile.currency,
+    balance: fromCents(reconciliation.balance),
+    ledgerBalance: fromCents(reconciliation.ledgerBalance),
+    difference: fromCents(reconciliation.difference),
+    reconciled: reconciliation.reconciled,
+    held: fromCents(held),
+    available: fromCents(reconciliation.balance - held),
+    ...entries
+  });
+}));
 
 module.exports = router;
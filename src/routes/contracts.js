@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const { getProfile } = require('../middleware/getProfile');
-const { Contract } = require('../model');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const { Contract, Profile, Job } = require('../model');
 const { Op } = require('sequelize');
+const contractStateMachine = require('../services/contractStateMachine');
+const escrow = require('../services/escrow');
+const { runExclusive } = require('../services/transactions');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+const { pageQuery, paginate, range } = require('../utils/pagination');
+const { endDate } = require('../utils/dateRange');
+const { string, id, amount, boolean, date, listOf, currency } = require('../utils/validation');
+
+const CONTRACT_STATUSES = ['new', 'in_progress', 'terminated'];
+
+const contractParams = { params: { id: id() } };
+
+const contractNotFound = () => new NotFoundError('Contract not found', { code: 'contract_not_found' });
 
 // Get contract by id
-router.get('/:id', getProfile, async (req, res) => {
+router.get('/:id', getProfile, validate(contractParams), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { profile } = req;
 
@@ -13,31 +28,166 @@ router.get('/:id', getProfile, async (req, res) => {
     where: { id }
   });
 
-  if (!contract) return res.status(404).json({ error: 'Contract not found' });
+  if (!contract) throw contractNotFound();
 
   const hasAccess = profile.type === 'client' 
     ? contract.ClientId === profile.id 
     : contract.ContractorId === profile.id;
 
-  if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+  if (!hasAccess) throw new ForbiddenError();
 
+  res.json(contract);
+}));
+
+/**
+ * GET /contracts?status=<statuses>&counterpartyId=<id>&createdFrom=<date>&createdTo=<date>&sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the profile's contracts, by default the non-terminated ones,
+ * paginated with the list envelope, see utils/pagination.
+ */
+router.get('/', getProfile, validate({
+  query: {
+    status: listOf(CONTRACT_STATUSES),
+    counterpartyId: id(),
+    createdFrom: date(),
+    createdTo: endDate({ from: 'createdFrom' }),
+    ...pageQuery({ sortFields: ['createdAt', 'updatedAt', 'id'] })
+  }
+}), asyncHandler(async (req, res) => {
+  const { profile, query } = req;
+  const [ownSide, otherSide] = profile.type === 'client'
+    ? ['ClientId', 'ContractorId']
+    : ['ContractorId', 'ClientId'];
+
+  const where = {
+    [ownSide]: profile.id,
+    status: query.status ? { [Op.in]: query.status } : { [Op.ne]: 'terminated' }
+  };
+
+  if (query.counterpartyId !== undefined) where[otherSide] = query.counterpartyId;
+
+  const created = range(query.createdFrom, query.createdTo);
+  if (created) where.createdAt = created;
+
+  res.json(await paginate(Contract, { where, page: query }));
+}));
+
+/**
+ * POST /contracts
+ * A client proposes terms to a contractor. The contract starts in `new`
+ * and becomes active once the contractor accepts it. Its jobs are priced in
+ * `currency`, which defaults to the client's currency.
+ */
+router.post('/', getProfile, validate({
+  body: {
+    contractorId: id({ required: true }),
+    terms: string({ max: 10000, required: true }),
+    currency: currency()
+  }
+}), asyncHandler(async (req, res) => {
+  const { contractorId, terms, currency = req.profile.currency } = req.body;
+  const { profile } = req;
+
+  if (profile.type !== 'client') {
+    throw new ForbiddenError('Only clients can propose contracts');
+  }
+
+  const contractor = await Profile.findOne({ where: { id: contractorId, type: 'contractor' } });
+
+  if (!contractor) {
+    throw new NotFoundError('Contractor not found', { code: 'contractor_not_found' });
+  }
+
+  const contract = await runExclusive(async (t) => {
+    const created = await Contract.create({
+      terms,
+      status: 'new',
+      currency,
+      ClientId: profile.id,
+      ContractorId: contractor.id
+    }, { transaction: t });
+    await contractStateMachine.recordTransition(created, null, 'new', profile, { transaction: t });
+    return created;
+  });
+
+  res.status(201).json(contract);
+}));
+
+// The contract is read inside the exclusive transaction, so that concurrent
+// transitions see each other's status and only the first one applies
+const transitionHandler = (action) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { profile } = req;
+
+  const contract = await runExclusive(async (t) => {
+    const current = await Contract.findByPk(id, { transaction: t });
+
+    if (!current) throw contractNotFound();
+
+    return contractStateMachine.transition(current, action, profile, { transaction: t });
+  });
   res.json(contract);
 });
 
-// Get all non-terminated contracts
-router.get('/', getProfile, async (req, res) => {
+/**
+ * POST /contracts/:id/accept
+ * The contractor accepts a proposed contract: new -> in_progress.
+ */
+router.post('/:id/accept', getProfile, validate(contractParams), transitionHandler('accept'));
+
+/**
+ * POST /contracts/:id/terminate
+ * Either party terminates a contract. Refused while the contract still has
+ * unpaid jobs.
+ */
+router.post('/:id/terminate', getProfile, validate(contractParams), transitionHandler('terminate'));
+
+/**
+ * POST /contracts/:id/jobs
+ * Posts a new job against an active contract. Only the contract's client can
+ * create and price jobs. With `escrow: true` the client funds the job from
+ * its available balance right away, see services/escrow.
+ */
+router.post('/:id/jobs', getProfile, validate({
+  ...contractParams,
+  body: {
+    description: string({ max: 1000, required: true }),
+    price: amount({ required: true }),
+    escrow: boolean({ default: false })
+  }
+}), asyncHandler(async (req, res) => {
+  const { description, price } = req.body;
   const { profile } = req;
 
-  const contracts = await Contract.findAll({
-    where: {
-      [profile.type === 'client' ? 'ClientId' : 'ContractorId']: profile.id,
-      status: {
-        [Op.ne]: 'terminated'
-      }
+  const contract = await Contract.findOne({ where: { id: req.params.id } });
+
+  if (!contract) throw contractNotFound();
+
+  if (contract.ClientId !== profile.id) {
+    throw new ForbiddenError('Only the contract\'s client can create jobs');
+  }
+
+  if (contract.status !== 'in_progress') {
+    throw new ConflictError('Jobs can only be added to active contracts', { code: 'contract_not_active' });
+  }
+
+  const job = await runExclusive(async (t) => {
+    // A termination may have been committed since the check above
+    const { status } = await Contract.findByPk(contract.id, { attributes: ['status'], transaction: t });
+    if (status !== 'in_progress') {
+      throw new ConflictError('Jobs can only be added to active contracts', { code: 'contract_not_active' });
     }
+
+    const created = await Job.create({
+      description,
+      price,
+      paid: false,
+      ContractId: contract.id
+    }, { transaction: t });
+
+    return req.body.escrow ? escrow.fund(created, contract, profile, { transaction: t }) : created;
   });
 
-  res.json(contracts);
-});
+  res.status(201).json(job);
+}));
 
 module.exports = router;
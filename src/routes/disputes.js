@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { getProfile } = require('../middleware/getProfile');
+const { requireRole } = require('../middleware/requireRole');
+const { idempotency } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const disputes = require('../services/disputes');
+const { toCents } = require('../utils/money');
+const { pageQuery } = require('../utils/pagination');
+const { string, id, amount, oneOf, listOf } = require('../utils/validation');
+
+const disputeParams = { id: id() };
+
+/**
+ * GET /disputes?status=<open,resolved>&jobId=<id>&sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the disputes on the jobs of the caller's contracts, or every
+ * dispute for an admin, newest first by default, with the list envelope
+ */
+router.get('/', getProfile, validate({
+  query: {
+    status: listOf(['open', 'resolved']),
+    jobId: id(),
+    ...pageQuery({ sortFields: ['createdAt', 'id'], defaultSort: '-createdAt' })
+  }
+}), asyncHandler(async (req, res) => {
+  res.json(await disputes.listDisputes(req.profile, { ...req.query, page: req.query }));
+}));
+
+/**
+ * GET /disputes/:id
+ * Returns a dispute with its job and comments, to the parties of the
+ * contract and admins
+ */
+router.get('/:id', getProfile, validate({ params: disputeParams }), asyncHandler(async (req, res) => {
+  const { id: disputeId } = req.params;
+
+  await disputes.findVisibleDispute(disputeId, req.profile);
+  res.json(await disputes.findDispute(disputeId));
+}));
+
+/**
+ * POST /disputes/:id/comments
+ * Adds a comment to an open dispute, by a party of the contract or an admin
+ */
+router.post('/:id/comments', getProfile, validate({
+  params: disputeParams,
+  body: { body: string({ required: true, max: 5000 }) }
+}), asyncHandler(async (req, res) => {
+  res.status(201).json(await disputes.addComment(req.params.id, req.profile, req.body));
+}));
+
+/**
+ * POST /disputes/:id/resolve
+ * Admins only. Resolves an open dispute: `pay` pays the job in full,
+ * `partial_pay` pays it `amount` (in the contract currency, below the
+ * price) and `refund` cancels it, giving any escrow back to the client.
+ * Accepts an optional Idempotency-Key header.
+ */
+router.post('/:id/resolve', getProfile, requireRole('admin'), idempotency, validate({
+  params: disputeParams,
+  body: {
+    resolution: oneOf(disputes.RESOLUTIONS, { required: true }),
+    amount: amount(),
+    note: string({ max: 1000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { resolution, amount: paid, note } = req.body;
+
+  res.json(await disputes.resolveDispute(req.params.id, req.profile, {
+    resolution,
+    amount: paid === undefined ? undefined : toCents(paid),
+    note
+  }));
+}));
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { getProfile } = require('../middleware/getProfile');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const invoices = require('../services/invoices');
+const { ForbiddenError, NotFoundError } = require('../errors');
+const { pageQuery } = require('../utils/pagination');
+const { endDate } = require('../utils/dateRange');
+const { id, date, oneOf } = require('../utils/validation');
+
+const FORMATS = ['json', 'html', 'pdf'];
+
+/**
+ * GET /invoices?role=<client|contractor>&contractId=<id>&from=<date>&to=<date>&sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the invoices the caller received (as client) or issued (as
+ * contractor), newest first by default, with the list envelope
+ */
+router.get('/', getProfile, validate({
+  query: {
+    role: oneOf(['client', 'contractor']),
+    contractId: id(),
+    from: date(),
+    to: endDate({ from: 'from' }),
+    ...pageQuery({ sortFields: ['issuedAt', 'sequence', 'amount', 'id'], defaultSort: '-issuedAt' })
+  }
+}), asyncHandler(async (req, res) => {
+  res.json(await invoices.listInvoices(req.profile, { ...req.query, page: req.query }));
+}));
+
+/**
+ * GET /invoices/:id?format=<json|html|pdf>
+ * Returns an invoice of the caller. Without `format` the Accept header
+ * picks the representation; JSON by default
+ */
+router.get('/:id', getProfile, validate({
+  params: { id: id() },
+  query: { format: oneOf(FORMATS) }
+}), asyncHandler(async (req, res) => {
+  const { profile } = req;
+  const invoice = await invoices.findInvoice(req.params.id);
+
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found', { code: 'invoice_not_found' });
+  }
+  if (invoice.ClientId !== profile.id && invoice.ContractorId !== profile.id) {
+    throw new ForbiddenError();
+  }
+
+  const format = req.query.format || req.accepts(FORMATS) || 'json';
+
+  if (format === 'html') {
+    return res.type('html').send(invoices.renderHtml(invoice));
+  }
+  if (format === 'pdf') {
+    return res
+      .type('pdf')
+      .set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`)
+      .send(invoices.renderPdf(invoice));
+  }
+  res.json(invoice);
+}));
+
+module.exports = router;
@@ -1,88 +1,374 @@
 const express = require('express');
 const router = express.Router();
 const { getProfile } = require('../middleware/getProfile');
-const { Job, Contract, Profile, sequelize } = require('../model');
+const { idempotency } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { Job, JobPriceChange, Contract, Dispute } = require('../model');
 const { Op } = require('sequelize');
+const payments = require('../services/payments');
+const escrow = require('../services/escrow');
+const disputes = require('../services/disputes');
+const refunds = require('../services/refunds');
+const { runExclusive } = require('../services/transactions');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+const { fromCents, toCents } = require('../utils/money');
+const { pageQuery, paginate, eachRow, range } = require('../utils/pagination');
+const { formatQuery, formatOf, sendTable } = require('../utils/export');
+const { endDate } = require('../utils/dateRange');
+const { string, id, amount, date, oneOf, listOf, arrayOf } = require('../utils/validation');
+
+/**
+ * Query filters shared by the job lists: price range (minPrice, maxPrice),
+ * creation dates (createdFrom, createdTo), contractId and counterpartyId, the
+ * other party of the contract.
+ */
+const JOB_FILTERS = {
+  minPrice: amount(),
+  maxPrice: amount({ from: 'minPrice' }),
+  createdFrom: date(),
+  createdTo: endDate({ from: 'createdFrom' }),
+  contractId: id(),
+  counterpartyId: id(),
+  ...pageQuery({ sortFields: ['createdAt', 'price', 'id'] })
+};
+
+/**
+ * Turns the validated JOB_FILTERS into the job and contract where-conditions.
+ */
+function jobFilters(query, profile) {
+  const [ownSide, otherSide] = profile.type === 'client'
+    ? ['ClientId', 'ContractorId']
+    : ['ContractorId', 'ClientId'];
+  const where = {};
+  const contractWhere = { [ownSide]: profile.id };
+
+  // Prices are stored in cents
+  const price = range(query.minPrice && toCents(query.minPrice), query.maxPrice && toCents(query.maxPrice));
+  if (price) where.price = price;
+
+  const created = range(query.createdFrom, query.createdTo);
+  if (created) where.createdAt = created;
+
+  if (query.contractId !== undefined) where.ContractId = query.contractId;
+  if (query.counterpartyId !== undefined) contractWhere[otherSide] = query.counterpartyId;
+
+  return { where, contractWhere };
+}
+
+const JOB_STATUSES = {
+  paid: { paid: true },
+  unpaid: { paid: false, cancelledAt: null },
+  cancelled: { cancelledAt: { [Op.ne]: null } }
+};
+
+const statusOf = (job) => {
+  if (job.paid) return 'paid';
+  return job.cancelledAt ? 'cancelled' : 'unpaid';
+};
+
+const JOB_COLUMNS = [
+  { header: 'Job ID', type: 'integer', value: 'id' },
+  { header: 'Contract ID', type: 'integer', value: 'ContractId' },
+  { header: 'Description', type: 'string', value: 'description' },
+  { header: 'Price', type: 'money', value: 'price' },
+  { header: 'Currency', type: 'string', value: (job) => job.Contract.currency },
+  { header: 'Status', type: 'string', value: statusOf },
+  { header: 'Escrow Status', type: 'string', value: 'escrowStatus' },
+  { header: 'Created At', type: 'date', value: 'createdAt' },
+  { header: 'Paid At', type: 'date', value: 'paymentDate' },
+  { header: 'Cancelled At', type: 'date', value: 'cancelledAt' }
+];
+
+/**
+ * GET /jobs?status=<paid,unpaid,cancelled>&paidFrom=<date>&paidTo=<date>&format=<json|csv|xlsx>&...
+ * Lists every job of the profile's contracts, paid or not, paginated with the
+ * list envelope. Takes JOB_FILTERS and sort, limit and cursor, see
+ * utils/pagination. As CSV or XLSX (see utils/export) every matching job is
+ * exported in `sort` order, without limit or cursor.
+ */
+router.get('/', getProfile, validate({
+  query: {
+    ...JOB_FILTERS,
+    status: listOf(Object.keys(JOB_STATUSES)),
+    paidFrom: date(),
+    paidTo: endDate({ from: 'paidFrom' }),
+    ...formatQuery()
+  }
+}), asyncHandler(async (req, res) => {
+  const { query } = req;
+  const filters = jobFilters(query, req.profile);
+
+  if (query.status) filters.where[Op.or] = query.status.map((name) => JOB_STATUSES[name]);
+
+  const paid = range(query.paidFrom, query.paidTo);
+  if (paid) filters.where.paymentDate = paid;
+
+  const include = [{ model: Contract, where: filters.contractWhere }];
+  const format = formatOf(req);
+
+  if (format !== 'json') {
+    await sendTable(res, format, {
+      name: 'jobs',
+      columns: JOB_COLUMNS,
+      rows: eachRow(Job, { where: filters.where, include, sort: query.sort })
+    });
+    return;
+  }
+
+  res.json(await paginate(Job, { where: filters.where, include, page: query }));
+}));
 
 /**
  * GET /jobs/unpaid
- * Returns all unpaid jobs for the logged-in user (client or contractor) in active contracts.
+ * Returns the unpaid jobs for the logged-in user (client or contractor) in
+ * active contracts, paginated with the list envelope. Jobs with an open
+ * dispute are left out until it is resolved. Takes the same filters as
+ * GET /jobs, except status and payment dates.
  */
-router.get('/unpaid', getProfile, async (req, res) => {
+router.get('/unpaid', getProfile, validate({ query: JOB_FILTERS }), asyncHandler(async (req, res) => {
+  const filters = jobFilters(req.query, req.profile);
+
+  res.json(await paginate(Job.scope('undisputed'), {
+    where: { ...filters.where, paid: false, cancelledAt: null },
+    include: [{ model: Contract, where: { ...filters.contractWhere, status: 'in_progress' } }],
+    page: req.query
+  }));
+}));
+
+// Jobs a single bulk payment may list
+const MAX_BULK_JOBS = 100;
+
+/**
+ * POST /jobs/pay
+ * Pays several jobs at once, given as `jobIds` or as every unpaid job of
+ * `contractId`. All of them are paid in one transaction or none is: the
+ * jobs and the total are checked against the balance first, see
+ * services/payments payJobs(). Responds with a result per job and the new
+ * balance.
+ * Accepts an optional Idempotency-Key header.
+ */
+router.post('/pay', getProfile, idempotency, validate({
+  body: {
+    jobIds: arrayOf(id(), { max: MAX_BULK_JOBS, unique: true }),
+    contractId: id()
+  }
+}), asyncHandler(async (req, res) => {
+  const { jobIds, contractId } = req.body;
   const { profile } = req;
 
-  const jobs = await Job.findAll({
-    include: [{
-      model: Contract,
-      where: {
-        status: 'in_progress',
-        [profile.type === 'client' ? 'ClientId' : 'ContractorId']: profile.id
-      }
-    }],
-    where: {
-      paid: false
-    }
-  });
+  if ((jobIds === undefined) === (contractId === undefined)) {
+    throw new ValidationError([{ location: 'body', field: 'jobIds', message: 'Provide either jobIds or contractId' }]);
+  }
+
+  if (profile.type !== 'client') {
+    throw new ForbiddenError('Only clients can pay for jobs');
+  }
 
-  res.json(jobs);
-});
+  res.json(await payments.payJobs(profile, { jobIds, contractId }));
+}));
 
 /**
  * POST /jobs/:job_id/pay
  * Pay for a job. Transfers balance from client to contractor.
+ * The job and both balances are re-read and updated atomically inside the
+ * payment transaction, see services/payments.
+ * Accepts an optional Idempotency-Key header.
  */
-router.post('/:job_id/pay', getProfile, async (req, res) => {
+router.post('/:job_id/pay', getProfile, idempotency, validate({ params: { job_id: id() } }), asyncHandler(async (req, res) => {
   const { job_id } = req.params;
   const { profile } = req;
 
   if (profile.type !== 'client') {
-    return res.status(403).json({ error: 'Only clients can pay for jobs' });
+    throw new ForbiddenError('Only clients can pay for jobs');
+  }
+
+  res.json(await payments.payJob(job_id, profile));
+}));
+
+/**
+ * POST /jobs/:job_id/deliver
+ * The contractor marks a job funded in escrow as delivered. Unless the
+ * client approves (POST /jobs/:job_id/pay) or a dispute is opened first, it is
+ * released after config.escrow.autoReleaseHours.
+ */
+router.post('/:job_id/deliver', getProfile, validate({ params: { job_id: id() } }), asyncHandler(async (req, res) => {
+  res.json(await escrow.deliver(req.params.job_id, req.profile));
+}));
+
+/**
+ * POST /jobs/:job_id/disputes
+ * A party of the contract disputes an unpaid job. Until an admin resolves
+ * the dispute (POST /disputes/:id/resolve) the job cannot be paid and a job
+ * funded in escrow stays held.
+ * Accepts an optional Idempotency-Key header.
+ */
+router.post('/:job_id/disputes', getProfile, idempotency, validate({
+  params: { job_id: id() },
+  body: { reason: string({ required: true, max: 5000 }) }
+}), asyncHandler(async (req, res) => {
+  res.status(201).json(await disputes.openDispute(req.params.job_id, req.profile, req.body));
+}));
+
+/**
+ * POST /jobs/:job_id/refund
+ * The contractor of a paid job or an admin gives the client back `amount`
+ * (in the contract currency), or all that is not refunded yet. Admins can
+ * pick what happens when the contractor's balance does not cover it
+ * (`insufficientBalance`), see services/refunds.
+ * Accepts an optional Idempotency-Key header.
+ */
+router.post('/:job_id/refund', getProfile, idempotency, validate({
+  params: { job_id: id() },
+  body: {
+    amount: amount(),
+    reason: string({ max: 1000 }),
+    insufficientBalance: oneOf(refunds.INSUFFICIENT_BALANCE_POLICIES)
   }
+}), asyncHandler(async (req, res) => {
+  const { amount: refunded, reason, insufficientBalance } = req.body;
+
+  res.status(201).json(await refunds.refundJob(req.params.job_id, req.profile, {
+    amount: refunded === undefined ? undefined : toCents(refunded),
+    reason,
+    insufficientBalance
+  }));
+}));
+
+const changedMeanwhile = () => new ConflictError('Job was paid or cancelled in the meantime', { code: 'job_not_editable' });
+
+/**
+ * Throws while the job has an open dispute; only resolving the dispute
+ * settles it then. Called inside the transaction of the change, so that a
+ * dispute opened meanwhile is seen.
+ */
+async function rejectDisputed(jobId, { transaction }) {
+  if (await Dispute.count({ where: { JobId: jobId, status: 'open' }, transaction })) {
+    throw new ConflictError('Job is disputed', { code: 'job_disputed' });
+  }
+}
+
+/**
+ * Loads a job that the requesting client may manage. Throws otherwise.
+ */
+const findEditableJob = async (req) => {
+  const { id } = req.params;
+  const { profile } = req;
 
   const job = await Job.findOne({
-    include: [{
-      model: Contract,
-      where: {
-        ClientId: profile.id,
-        status: 'in_progress'
-      },
-      include: [{
-        model: Profile,
-        as: 'Contractor'
-      }]
-    }],
-    where: {
-      id: job_id,
-      paid: false
-    }
+    include: [{ model: Contract }],
+    where: { id }
   });
 
   if (!job) {
-    return res.status(404).json({ error: 'Job not found or not available for payment' });
+    throw new NotFoundError('Job not found', { code: 'job_not_found' });
   }
 
-  if (profile.balance < job.price) {
-    return res.status(400).json({ error: 'Insufficient balance' });
+  if (job.Contract.ClientId !== profile.id) {
+    throw new ForbiddenError('Only the contract\'s client can modify jobs');
   }
 
-  const contractor = job.Contract.Contractor;
+  if (job.paid) {
+    throw new ConflictError('Paid jobs cannot be modified', { code: 'job_not_editable' });
+  }
 
-  try {
-    await sequelize.transaction(async (t) => {
-      await profile.update({ balance: profile.balance - job.price }, { transaction: t });
-      await contractor.update({ balance: contractor.balance + job.price }, { transaction: t });
-      await job.update({
-        paid: true,
-        paymentDate: new Date()
-      }, { transaction: t });
-    });
+  if (job.cancelledAt) {
+    throw new ConflictError('Job is cancelled', { code: 'job_not_editable' });
+  }
+
+  if (job.escrowStatus && job.escrowStatus !== 'funded') {
+    throw new ConflictError(`Job is ${job.escrowStatus} in escrow`, { code: 'job_not_editable' });
+  }
+
+  return job;
+};
+
+/**
+ * PATCH /jobs/:id
+ * Edits the description and/or price of an unpaid job. Price changes are
+ * kept in JobPriceChanges. A job with an open dispute cannot be edited.
+ */
+router.patch('/:id', getProfile, validate({
+  params: { id: id() },
+  body: { description: string({ max: 1000 }), price: amount() }
+}), asyncHandler(async (req, res) => {
+  const { description, price } = req.body;
+  const { profile } = req;
+
+  if (description === undefined && price === undefined) {
+    throw new BadRequestError('Nothing to update: provide description and/or price', { code: 'empty_update' });
+  }
+
+  const priceCents = price === undefined ? undefined : toCents(price);
+
+  const job = await findEditableJob(req);
 
-    // Return the updated job with paid status and payment date
-    const updatedJob = await Job.findByPk(job_id);
-    res.json(updatedJob);
-  } catch (error) {
-    res.status(500).json({ error: 'Payment failed' });
+  if (job.escrowStatus && priceCents !== undefined && priceCents !== job.getDataValue('price')) {
+    throw new ConflictError('The price of a job funded in escrow cannot change', { code: 'job_not_editable' });
   }
-});
+
+  // The job is read again inside the transaction, in case it was paid,
+  // cancelled or repriced after it was loaded, so that the price history
+  // records the price this edit actually replaced.
+  const updated = await runExclusive(async (t) => {
+    await rejectDisputed(job.id, { transaction: t });
+
+    const current = await Job.findByPk(job.id, { transaction: t });
+    if (current.paid || current.cancelledAt) return false;
+    const oldPriceCents = current.getDataValue('price');
+
+    await Job.update({
+      ...(description !== undefined && { description }),
+      ...(priceCents !== undefined && { price: fromCents(priceCents) })
+    }, { where: { id: job.id }, transaction: t });
+
+    if (priceCents !== undefined && oldPriceCents !== priceCents) {
+      await JobPriceChange.create({
+        JobId: job.id,
+        ChangedById: profile.id,
+        oldPrice: fromCents(oldPriceCents),
+        newPrice: fromCents(priceCents)
+      }, { transaction: t });
+    }
+    return true;
+  });
+
+  if (!updated) throw changedMeanwhile();
+
+  res.json(await Job.findByPk(job.id));
+}));
+
+/**
+ * DELETE /jobs/:id
+ * Cancels an unpaid job. The row is kept with `cancelledAt` set so that its
+ * history remains available; cancelled jobs can no longer be paid. A job
+ * funded in escrow can be cancelled until it is delivered; the money held
+ * goes back to the client. A job with an open dispute cannot be cancelled.
+ */
+router.delete('/:id', getProfile, validate({ params: { id: id() } }), asyncHandler(async (req, res) => {
+  const job = await findEditableJob(req);
+
+  const cancelled = await runExclusive(async (t) => {
+    await rejectDisputed(job.id, { transaction: t });
+
+    if (job.escrowStatus) {
+      const current = await Job.findByPk(job.id, { include: [{ model: Contract }], transaction: t });
+      if (current.escrowStatus !== 'funded' || current.paid) return false;
+
+      await escrow.refundJob(current, { transaction: t });
+      return true;
+    }
+
+    const [affected] = await Job.update(
+      { cancelledAt: new Date() },
+      { where: { id: job.id, paid: false, cancelledAt: null, escrowStatus: null }, transaction: t }
+    );
+    return affected === 1;
+  });
+
+  if (!cancelled) throw changedMeanwhile();
+
+  res.json(await Job.findByPk(job.id));
+}));
 
 module.exports = router;
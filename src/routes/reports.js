@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const reports = require('../services/reports');
+const { reportQuery, toRange } = require('../utils/dateRange');
+const { respond } = require('../utils/export');
+const { integer, oneOf } = require('../utils/validation');
+
+// Mounted under /admin, which restricts it to admins. Every report takes
+// reportQuery() (see utils/dateRange) and can be exported as CSV or XLSX with
+// `format` or the Accept header, see utils/export.
+
+const currencyColumn = (reportCurrency) => ({ header: 'Currency', type: 'string', value: () => reportCurrency });
+
+const REVENUE_COLUMNS = [
+  { header: 'Period', type: 'string', value: 'period' },
+  { header: 'Revenue', type: 'money', value: 'revenue' },
+  { header: 'Jobs', type: 'integer', value: 'jobs' }
+];
+
+const SUMMARY_COLUMNS = [
+  { header: 'Start', type: 'date', value: (report) => report.period.start },
+  { header: 'End', type: 'date', value: (report) => report.period.end },
+  { header: 'Revenue', type: 'money', value: 'revenue' },
+  { header: 'Jobs', type: 'integer', value: 'jobs' },
+  { header: 'Average Job Price', type: 'money', value: 'averageJobPrice' },
+  { header: 'Average Time To Payment (Hours)', type: 'number', value: 'averageTimeToPaymentHours' },
+  { header: 'Previous Revenue', type: 'money', value: (report) => report.previous.revenue },
+  { header: 'Previous Jobs', type: 'integer', value: (report) => report.previous.jobs },
+  { header: 'Previous Average Job Price', type: 'money', value: (report) => report.previous.averageJobPrice },
+  { header: 'Previous Average Time To Payment (Hours)', type: 'number', value: (report) => report.previous.averageTimeToPaymentHours }
+];
+
+// What describes an entry of each ranking, see services/reports
+const RANKED_COLUMNS = {
+  professions: [{ header: 'Profession', type: 'string', value: 'profession' }],
+  contractors: [
+    { header: 'Contractor ID', type: 'integer', value: 'id' },
+    { header: 'Full Name', type: 'string', value: 'fullName' },
+    { header: 'Profession', type: 'string', value: 'profession' }
+  ],
+  clients: [
+    { header: 'Client ID', type: 'integer', value: 'id' },
+    { header: 'Full Name', type: 'string', value: 'fullName' }
+  ]
+};
+
+const rankingColumns = (name, reportCurrency) => [
+  { header: 'Rank', type: 'integer', value: 'rank' },
+  ...RANKED_COLUMNS[name],
+  { header: 'Total', type: 'money', value: 'total' },
+  { header: 'Jobs', type: 'integer', value: 'jobs' },
+  { header: 'Previous Rank', type: 'integer', value: 'previousRank' },
+  { header: 'Previous Total', type: 'money', value: 'previousTotal' },
+  { header: 'Change (%)', type: 'number', value: 'change' },
+  currencyColumn(reportCurrency)
+];
+
+// Responds with the `name` ranking, or its entries when exported
+async function sendRanking(req, res, name) {
+  const { currency: reportCurrency, limit } = req.query;
+  const ranking = await reports.ranking(name, toRange(req.query), reportCurrency, { limit });
+
+  return respond(req, res, ranking, { name, columns: rankingColumns(name, reportCurrency), rows: ranking.data });
+}
+
+const rankingQuery = {
+  ...reportQuery(),
+  limit: integer({ min: 1, max: 100, default: 10 })
+};
+
+/**
+ * GET /admin/reports/revenue?start=<date>&end=<date>&interval=<day|week|month>&currency=<code>&format=<json|csv|xlsx>
+ * Revenue and number of jobs paid per day, week or month of the period, in
+ * days of `tz`, every bucket included, with the totals of the previous
+ * period
+ */
+router.get('/revenue', validate({
+  query: { ...reportQuery(), interval: oneOf(reports.INTERVALS, { default: 'day' }) }
+}), asyncHandler(async (req, res) => {
+  const { currency: reportCurrency, interval, tz } = req.query;
+  const report = await reports.revenue(toRange(req.query), reportCurrency, { interval, timeZone: tz });
+
+  await respond(req, res, report, {
+    name: 'revenue',
+    columns: [...REVENUE_COLUMNS, currencyColumn(reportCurrency)],
+    rows: report.series
+  });
+}));
+
+/**
+ * GET /admin/reports/summary?start=<date>&end=<date>&currency=<code>&format=<json|csv|xlsx>
+ * Revenue, jobs paid, average job price and average time to payment,
+ * compared with the previous period
+ */
+router.get('/summary', validate({ query: reportQuery() }), asyncHandler(async (req, res) => {
+  const report = await reports.summary(toRange(req.query), req.query.currency);
+
+  await respond(req, res, report, {
+    name: 'summary',
+    columns: [...SUMMARY_COLUMNS, currencyColumn(report.currency)],
+    rows: [report]
+  });
+}));
+
+/**
+ * GET /admin/reports/professions?start=<date>&end=<date>&limit=<integer>&currency=<code>&format=<json|csv|xlsx>
+ * Professions ranked by what their contractors earned, all of them unless
+ * limited
+ */
+router.get('/professions', validate({
+  query: { ...reportQuery(), limit: integer({ min: 1, max: 100 }) }
+}), asyncHandler(async (req, res) => {
+  await sendRanking(req, res, 'professions');
+}));
+
+/**
+ * GET /admin/reports/contractors?start=<date>&end=<date>&limit=<integer>&currency=<code>&format=<json|csv|xlsx>
+ * Contractors ranked by what they earned
+ */
+router.get('/contractors', validate({ query: rankingQuery }), asyncHandler(async (req, res) => {
+  await sendRanking(req, res, 'contractors');
+}));
+
+/**
+ * GET /admin/reports/clients?start=<date>&end=<date>&limit=<integer>&currency=<code>&format=<json|csv|xlsx>
+ * Clients ranked by what they paid
+ */
+router.get('/clients', validate({ query: rankingQuery }), asyncHandler(async (req, res) => {
+  await sendRanking(req, res, 'clients');
+}));
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { getProfile } = require('../middleware/getProfile');
+const { idempotency } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { WebhookSubscription, WebhookEvent, WebhookDelivery } = require('../model');
+const { Op } = require('sequelize');
+const config = require('../config');
+const webhooks = require('../services/webhooks');
+const { runExclusive } = require('../services/transactions');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+const { pageQuery, paginate } = require('../utils/pagination');
+const { isPrivateHost } = require('../utils/network');
+const { string, id, boolean, listOf, url, rule, fail } = require('../utils/validation');
+
+const subscriptionParams = { id: id() };
+
+const events = (options) => listOf(webhooks.EVENT_TYPES, options);
+
+/**
+ * Endpoint URL of a subscription: https, and not on a loopback, private or
+ * link-local address, unless config.webhooks allows it. Host names are
+ * checked again once resolved when deliveries are sent.
+ */
+const endpointUrl = (options) => rule((value, context) => {
+  const { allowHttp, allowPrivateTargets } = config.webhooks;
+
+  url({ protocols: allowHttp ? ['http:', 'https:'] : ['https:'] }).parse(value, context);
+  if (!allowPrivateTargets && isPrivateHost(new URL(value).hostname)) {
+    fail(`${context.name} must not point to a local or private address`);
+  }
+  return value;
+}, options);
+
+/**
+ * Loads the subscription of the route for its owner.
+ */
+async function findSubscription(req) {
+  const subscription = await WebhookSubscription.findByPk(req.params.id);
+
+  if (!subscription) {
+    throw new NotFoundError('Webhook subscription not found', { code: 'webhook_not_found' });
+  }
+  if (subscription.ProfileId !== req.profile.id) {
+    throw new ForbiddenError();
+  }
+  return subscription;
+}
+
+/**
+ * POST /webhooks
+ * Subscribes an endpoint URL to event types. The response is the only one
+ * that includes the signing secret.
+ * Accepts an optional Idempotency-Key header.
+ */
+router.post('/', getProfile, idempotency, validate({
+  body: {
+    url: endpointUrl({ required: true }),
+    events: events({ required: true }),
+    description: string({ max: 255 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { url, events, description = null } = req.body;
+  const secret = webhooks.generateSecret();
+
+  const subscription = await runExclusive((t) => WebhookSubscription.create({
+    ProfileId: req.profile.id,
+    url,
+    events: [...new Set(events)],
+    description,
+    secret
+  }, { transaction: t }));
+
+  res.status(201).json({ ...subscription.toJSON(), secret });
+}));
+
+/**
+ * GET /webhooks?sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the caller's subscriptions, newest first by default, with the list
+ * envelope
+ */
+router.get('/', getProfile, validate({
+  query: pageQuery({ sortFields: ['createdAt', 'id'] })
+}), asyncHandler(async (req, res) => {
+  res.json(await paginate(WebhookSubscription, { where: { ProfileId: req.profile.id }, page: req.query }));
+}));
+
+/**
+ * GET /webhooks/:id
+ * Returns one of the caller's subscriptions
+ */
+router.get('/:id', getProfile, validate({ params: subscriptionParams }), asyncHandler(async (req, res) => {
+  res.json(await findSubscription(req));
+}));
+
+/**
+ * PATCH /webhooks/:id
+ * Changes the URL, events, description or `active` flag of a subscription.
+ * Pending deliveries of an inactive subscription wait until it is active
+ * again.
+ */
+router.patch('/:id', getProfile, validate({
+  params: subscriptionParams,
+  body: {
+    url: endpointUrl(),
+    events: events(),
+    description: string({ max: 255 }),
+    active: boolean()
+  }
+}), asyncHandler(async (req, res) => {
+  const changes = { ...req.body };
+
+  if (!Object.keys(changes).length) {
+    throw new BadRequestError('Provide at least one of url, events, description, active', { code: 'empty_update' });
+  }
+  if (changes.events) changes.events = [...new Set(changes.events)];
+
+  const subscription = await findSubscription(req);
+  await runExclusive((t) => subscription.update(changes, { transaction: t }));
+  res.json(subscription);
+}));
+
+/**
+ * DELETE /webhooks/:id
+ * Deletes a subscription together with its delivery history
+ */
+router.delete('/:id', getProfile, validate({ params: subscriptionParams }), asyncHandler(async (req, res) => {
+  const subscription = await findSubscription(req);
+
+  await runExclusive(async (t) => {
+    await WebhookDelivery.destroy({ where: { WebhookSubscriptionId: subscription.id }, transaction: t });
+    await subscription.destroy({ transaction: t });
+  });
+  res.status(204).end();
+}));
+
+/**
+ * GET /webhooks/:id/deliveries?status=<statuses>&event=<types>&sort=<field>&limit=<integer>&cursor=<cursor>
+ * Lists the deliveries of a subscription with their event, attempts and last
+ * response, newest first by default, with the list envelope
+ */
+router.get('/:id/deliveries', getProfile, validate({
+  params: subscriptionParams,
+  query: {
+    status: listOf(webhooks.DELIVERY_STATUSES),
+    event: events(),
+    ...pageQuery({ sortFields: ['createdAt', 'id'] })
+  }
+}), asyncHandler(async (req, res) => {
+  const subscription = await findSubscription(req);
+  const { query } = req;
+
+  const where = { WebhookSubscriptionId: subscription.id };
+  if (query.status) where.status = { [Op.in]: query.status };
+
+  res.json(await paginate(WebhookDelivery, {
+    where,
+    include: [{
+      model: WebhookEvent,
+      ...(query.event && { where: { type: { [Op.in]: query.event } } })
+    }],
+    page: query
+  }));
+}));
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/redeliver
+ * Queues a dead delivery again with a fresh set of attempts
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', getProfile, validate({
+  params: { ...subscriptionParams, deliveryId: id() }
+}), asyncHandler(async (req, res) => {
+  const subscription = await findSubscription(req);
+
+  const delivery = await WebhookDelivery.findOne({
+    where: { id: req.params.deliveryId, WebhookSubscriptionId: subscription.id }
+  });
+  if (!delivery) {
+    throw new NotFoundError('Webhook delivery not found', { code: 'webhook_delivery_not_found' });
+  }
+
+  const [requeued] = await runExclusive((t) => WebhookDelivery.update(
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null, responseStatus: null },
+    { where: { id: delivery.id, status: 'dead' }, transaction: t }
+  ));
+  if (requeued !== 1) {
+    throw new ConflictError(`Only dead deliveries can be redelivered, this one is ${delivery.status}`, { code: 'webhook_delivery_not_dead' });
+  }
+
+  res.json(await delivery.reload());
+}));
+
+module.exports = router;
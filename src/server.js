@@ -1,12 +1,16 @@
 const app = require('./app');
 const { sequelize } = require('./model');
+const { createMigrator } = require('./migrator');
+const webhooks = require('./services/webhooks');
+const escrow = require('./services/escrow');
 
 const PORT = process.env.PORT || 3001;
 
 const startServer = async () => {
   try {
-    await sequelize.sync();
-    console.log('Database synced successfully');
+    // The schema is owned by migrations; refuse to run against an old one
+    await createMigrator(sequelize).assertUpToDate();
+    console.log('Database schema is up to date');
 
     let server;
     let currentPort = PORT;
@@ -38,9 +42,16 @@ const startServer = async () => {
       console.error('Server error:', error);
     });
 
+    // Sends the webhook deliveries queued by committed changes
+    const dispatcher = webhooks.startDispatcher();
+    // Releases delivered escrow jobs the client did not approve in time
+    const autoRelease = escrow.startAutoRelease();
+
     // Handle graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM signal received: closing HTTP server');
+      dispatcher.stop();
+      autoRelease.stop();
       server.close(() => {
         console.log('HTTP server closed');
         sequelize.close();
@@ -50,6 +61,8 @@ const startServer = async () => {
     // Handle Ctrl+C
     process.on('SIGINT', () => {
       console.log('SIGINT signal received: closing HTTP server');
+      dispatcher.stop();
+      autoRelease.stop();
       server.close(() => {
         console.log('HTTP server closed');
         sequelize.close();
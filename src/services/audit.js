@@ -0,0 +1,223 @@
+const { Op } = require('sequelize');
+const context = require('./requestContext');
+const { paginate, range } = require('../utils/pagination');
+
+/**
+ * Audit log.
+ *
+ * Every row created, updated or deleted while handling a mutating request
+ * (POST, PUT, PATCH, DELETE) is recorded as an AuditEvent with the acting
+ * profile, the route, the request id and IP, and the changed attributes
+ * before and after. Events are written by model hooks, so nothing has to
+ * remember to log, and in the transaction of the write itself: a change that
+ * is rolled back leaves no event, and an event that cannot be written rolls
+ * the change back. An audited write outside a transaction is refused.
+ *
+ * model.js installs the hooks while it is loading, so the models are
+ * required lazily here.
+ */
+
+// Not audited: the log itself, and rows that carry no business state
+// (sessions, idempotency keys, the webhook outbox) or are already an
+// append-only record (ledger)
+const UNAUDITED = new Set([
+  'AuditEvent', 'AuthSession', 'IdempotencyKey', 'LedgerEntry', 'WebhookEvent', 'WebhookDelivery'
+]);
+
+// Kept out of before/after: secrets, and timestamps every update touches
+const OMITTED = new Set(['passwordHash', 'secret', 'createdAt', 'updatedAt']);
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+const entityTypes = () => Object.keys(require('../model').sequelize.models).filter((name) => !UNAUDITED.has(name));
+
+/**
+ * Returns the request whose writes to `model` are audited, or undefined.
+ */
+function auditedRequest(model) {
+  const current = context.current();
+  if (!current || !MUTATING_METHODS.includes(current.req.method) || UNAUDITED.has(model.name)) {
+    return undefined;
+  }
+  return current.req;
+}
+
+function requireTransaction(model, options) {
+  if (auditedRequest(model) && !options.transaction) {
+    throw new Error(`${model.name} writes must run in a transaction so that they are audited with the change`);
+  }
+}
+
+/**
+ * The attributes of an instance as the API shows them (amounts in units),
+ * JSON-normalized so that they can be compared and stored.
+ */
+function snapshot(instance) {
+  const values = instance.get({ plain: true });
+  const result = {};
+
+  for (const attribute of Object.keys(instance.constructor.rawAttributes)) {
+    if (!OMITTED.has(attribute) && values[attribute] !== undefined) {
+      result[attribute] = values[attribute];
+    }
+  }
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Keeps the attributes whose value differs between two snapshots. Returns
+ * null when nothing changed.
+ */
+function diff(before, after) {
+  const changed = Object.keys({ ...before, ...after })
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  if (!changed.length) return null;
+
+  const pick = (values) => Object.fromEntries(changed.map((key) => [key, values[key] === undefined ? null : values[key]]));
+  return { before: pick(before), after: pick(after) };
+}
+
+function record(req, model, { action, entityId, before = null, after = null }, { transaction }) {
+  const { AuditEvent } = require('../model');
+
+  return AuditEvent.create({
+    action,
+    entityType: model.name,
+    entityId,
+    before,
+    after,
+    ActorId: req.profile ? req.profile.id : null,
+    route: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${req.originalUrl}`,
+    requestId: req.id,
+    ip: req.ip
+  }, { transaction });
+}
+
+async function recordCreate(instance, options) {
+  const model = instance.constructor;
+  const req = auditedRequest(model);
+  if (!req) return;
+
+  await record(req, model, { action: 'create', entityId: instance.id, after: snapshot(instance) }, options);
+}
+
+async function recordUpdate(instance, options) {
+  const model = instance.constructor;
+  const req = auditedRequest(model);
+  if (!req) return;
+
+  // previous() holds the values of the changed attributes before this save
+  const previous = model.build({ ...instance.get({ raw: true }), ...instance.previous() }, { raw: true });
+  const changes = diff(snapshot(previous), snapshot(instance));
+  if (!changes) return;
+
+  await record(req, model, { action: 'update', entityId: instance.id, ...changes }, options);
+}
+
+async function recordDestroy(instance, options) {
+  const model = instance.constructor;
+  const req = auditedRequest(model);
+  if (!req) return;
+
+  await record(req, model, { action: 'delete', entityId: instance.id, before: snapshot(instance) }, options);
+}
+
+// Bulk updates and deletes only see a where-clause: the affected rows are
+// read before the write, and again after an update, to diff them.
+const readAffected = async (options) => {
+  const { model, where, transaction } = options;
+  if (!auditedRequest(model)) return;
+
+  options.auditedRows = await model.findAll({ where, transaction });
+};
+
+async function recordBulkUpdate(options) {
+  const { model, transaction, auditedRows } = options;
+  const req = auditedRequest(model);
+  if (!req || !auditedRows || !auditedRows.length) return;
+
+  const updated = await model.findAll({ where: { id: auditedRows.map((row) => row.id) }, transaction });
+  const updatedById = new Map(updated.map((row) => [row.id, row]));
+
+  for (const row of auditedRows) {
+    const after = updatedById.get(row.id);
+    const changes = after && diff(snapshot(row), snapshot(after));
+    if (changes) {
+      await record(req, model, { action: 'update', entityId: row.id, ...changes }, options);
+    }
+  }
+}
+
+async function recordBulkDestroy(options) {
+  const req = auditedRequest(options.model);
+  if (!req || !options.auditedRows) return;
+
+  for (const row of options.auditedRows) {
+    await record(req, options.model, { action: 'delete', entityId: row.id, before: snapshot(row) }, options);
+  }
+}
+
+/**
+ * Registers the audit hooks for every model of `db`. Called once by
+ * model.js.
+ */
+function installHooks(db) {
+  db.addHook('beforeCreate', (instance, options) => requireTransaction(instance.constructor, options));
+  db.addHook('beforeUpdate', (instance, options) => requireTransaction(instance.constructor, options));
+  db.addHook('beforeDestroy', (instance, options) => requireTransaction(instance.constructor, options));
+  db.addHook('beforeBulkCreate', (instances, options) => requireTransaction(options.model, options));
+  db.addHook('beforeBulkUpdate', async (options) => {
+    requireTransaction(options.model, options);
+    await readAffected(options);
+  });
+  db.addHook('beforeBulkDestroy', async (options) => {
+    requireTransaction(options.model, options);
+    await readAffected(options);
+  });
+
+  db.addHook('afterCreate', recordCreate);
+  db.addHook('afterUpdate', recordUpdate);
+  db.addHook('afterDestroy', recordDestroy);
+  db.addHook('afterBulkCreate', async (instances, options) => {
+    for (const instance of instances) {
+      await recordCreate(instance, options);
+    }
+  });
+  db.addHook('afterBulkUpdate', recordBulkUpdate);
+  db.addHook('afterBulkDestroy', recordBulkDestroy);
+}
+
+/**
+ * Returns a page of audit events, newest first by default, with the list
+ * envelope. Filters: actorId, entityType and entityId, action (list),
+ * requestId, and a `from`/`to` range on the event time.
+ */
+async function listEvents({ actorId, entityType, entityId, action, requestId, from, to, page }) {
+  const { AuditEvent, Profile } = require('../model');
+  const where = {};
+
+  if (actorId !== undefined) where.ActorId = actorId;
+  if (entityType !== undefined) where.entityType = entityType;
+  if (entityId !== undefined) where.entityId = entityId;
+  if (action) where.action = { [Op.in]: action };
+  if (requestId !== undefined) where.requestId = requestId;
+
+  const createdAt = range(from, to);
+  if (createdAt) where.createdAt = createdAt;
+
+  return paginate(AuditEvent, {
+    where,
+    include: [{ model: Profile, as: 'Actor', attributes: ['id', 'firstName', 'lastName', 'type'] }],
+    page
+  });
+}
+
+module.exports = {
+  ACTIONS,
+  entityTypes,
+  installHooks,
+  listEvents
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const { AuthSession } = require('../model');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Passwords are stored as `scrypt$<salt>$<hash>` (hex encoded).
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// Checked instead when there is no stored hash (e.g. for an unknown email),
+// so that the answer takes as long as for a wrong password
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Whether `password` matches a stored hash. Runs scrypt even without one,
+ * so that response times do not tell which accounts exist.
+ */
+async function verifyPassword(password, stored) {
+  const usable = typeof password === 'string' && /^scrypt\$[^$]+\$[^$]+$/.test(stored || '');
+  const [, salt, hash] = (usable ? stored : DUMMY_HASH).split('$');
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(usable ? password : '', salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual) && usable;
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data) => crypto
+  .createHmac('sha256', config.auth.tokenSecret)
+  .update(data)
+  .digest('base64url');
+
+/**
+ * Issues an HS256 JWT for a profile. `sid` ties the token to an AuthSession
+ * so that logging out invalidates it before it expires.
+ */
+function signAccessToken({ profileId, sessionId }, { ttlSeconds = config.auth.accessTokenTtlSeconds } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: String(profileId),
+    sid: sessionId,
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Returns the token claims, or null if the token is malformed, tampered with
+ * or expired.
+ */
+function verifyAccessToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (alg !== 'HS256') return null;
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + config.auth.refreshTokenTtlSeconds * 1000);
+
+const tokenResponse = (session, refreshToken) => ({
+  tokenType: 'Bearer',
+  accessToken: signAccessToken({ profileId: session.ProfileId, sessionId: session.id }),
+  expiresIn: config.auth.accessTokenTtlSeconds,
+  refreshToken
+});
+
+/**
+ * Starts a new session for a profile and returns its access and refresh tokens.
+ */
+async function createSession(profile) {
+  const refreshToken = newRefreshToken();
+  const session = await AuthSession.create({
+    ProfileId: profile.id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: refreshExpiry()
+  });
+
+  return tokenResponse(session, refreshToken);
+}
+
+/**
+ * Exchanges a refresh token for a new token pair. The refresh token is
+ * rotated, so each one can be used only once. Returns null if the token is
+ * unknown, expired or its session was revoked, or if it was used meanwhile.
+ */
+async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const refreshTokenHash = hashRefreshToken(refreshToken);
+  const session = await AuthSession.findOne({ where: { refreshTokenHash } });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  // Guarded on the old hash, so that of two refreshes with the same token
+  // only the first one rotates it
+  const rotated = newRefreshToken();
+  const [affected] = await AuthSession.update({
+    refreshTokenHash: hashRefreshToken(rotated),
+    expiresAt: refreshExpiry()
+  }, { where: { id: session.id, refreshTokenHash, revokedAt: null } });
+
+  return affected === 1 ? tokenResponse(session, rotated) : null;
+}
+
+async function revokeSession(session) {
+  return session.update({ revokedAt: new Date() });
+}
+
+/**
+ * Resolves a bearer token to its live session, or null.
+ */
+async function findActiveSession(accessToken) {
+  const claims = verifyAccessToken(accessToken);
+  if (!claims) return null;
+
+  const session = await AuthSession.findOne({ where: { id: claims.sid } });
+  if (!session || session.revokedAt || String(session.ProfileId) !== claims.sub) return null;
+
+  return session;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  findActiveSession
+};
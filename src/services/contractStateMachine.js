@@ -0,0 +1,110 @@
+const { Op } = require('sequelize');
+const { Job, ContractTransition } = require('../model');
+const webhooks = require('./webhooks');
+const { BadRequestError, ConflictError, ForbiddenError } = require('../errors');
+
+/**
+ * Contract lifecycle.
+ *
+ *   new ──accept──▶ in_progress ──terminate──▶ terminated
+ *    └──────────────terminate──────────────────────▲
+ *
+ * Each transition names the party allowed to perform it and the webhook
+ * event it publishes to both parties. Every successful transition is
+ * recorded in ContractTransitions with the acting profile.
+ */
+
+const TRANSITIONS = {
+  accept: { from: ['new'], to: 'in_progress', parties: ['contractor'], event: 'contract.accepted' },
+  terminate: { from: ['new', 'in_progress'], to: 'terminated', parties: ['client', 'contractor'], event: 'contract.terminated' }
+};
+
+/**
+ * Returns which side of the contract the profile is on, or null if it is not a party.
+ */
+const partyOf = (contract, profile) => {
+  if (contract.ClientId === profile.id) return 'client';
+  if (contract.ContractorId === profile.id) return 'contractor';
+  return null;
+};
+
+const canTransition = (fromStatus, action) => {
+  const transition = TRANSITIONS[action];
+  return Boolean(transition) && transition.from.includes(fromStatus);
+};
+
+/**
+ * Records a status change without any rule checks. Used for the initial
+ * `new` status and by transition() once the rules have passed.
+ */
+async function recordTransition(contract, fromStatus, toStatus, actor, { transaction } = {}) {
+  return ContractTransition.create({
+    ContractId: contract.id,
+    ActorId: actor.id,
+    fromStatus,
+    toStatus
+  }, { transaction });
+}
+
+/**
+ * Applies a named transition ('accept', 'terminate') to a contract on behalf
+ * of `actor`. Throws ForbiddenError when the actor may not perform it and
+ * ConflictError when the contract is not in a state that allows it.
+ */
+async function transition(contract, action, actor, { transaction } = {}) {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw new BadRequestError(`Unknown contract action: ${action}`);
+  }
+
+  const party = partyOf(contract, actor);
+  if (!party) {
+    throw new ForbiddenError();
+  }
+  if (!rule.parties.includes(party)) {
+    throw new ForbiddenError(`Only the ${rule.parties.join(' or ')} can ${action} this contract`);
+  }
+
+  const fromStatus = contract.status;
+  if (!canTransition(fromStatus, action)) {
+    throw new ConflictError(
+      `Cannot transition contract from ${fromStatus} to ${rule.to}`,
+      { code: 'invalid_contract_transition' }
+    );
+  }
+
+  if (rule.to === 'terminated') {
+    const unpaidJobs = await Job.count({
+      where: { ContractId: contract.id, paid: { [Op.not]: true }, cancelledAt: null },
+      transaction
+    });
+
+    if (unpaidJobs > 0) {
+      throw new ConflictError(
+        `Cannot terminate contract with ${unpaidJobs} unpaid job(s); pay or cancel them first`,
+        { code: 'contract_has_unpaid_jobs' }
+      );
+    }
+  }
+
+  await contract.update({ status: rule.to }, { transaction });
+  await recordTransition(contract, fromStatus, rule.to, actor, { transaction });
+  await webhooks.publish(rule.event, {
+    contractId: contract.id,
+    clientId: contract.ClientId,
+    contractorId: contract.ContractorId,
+    fromStatus,
+    status: rule.to,
+    actorId: actor.id
+  }, { profileIds: [contract.ClientId, contract.ContractorId], transaction });
+
+  return contract;
+}
+
+module.exports = {
+  TRANSITIONS,
+  partyOf,
+  canTransition,
+  recordTransition,
+  transition
+};
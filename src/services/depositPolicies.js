@@ -0,0 +1,256 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { DepositLimitOverride, LedgerEntry, Job, Contract } = require('../model');
+const { BadRequestError } = require('../errors');
+const fx = require('./fx');
+const { runExclusive } = require('./transactions');
+const { toCents, fromCents } = require('../utils/money');
+
+/**
+ * Deposit limits.
+ *
+ * A client deposit is checked against each policy below. A policy sums the
+ * deposits the client made within its rolling window, adds the new one and
+ * compares the total with its limit, so splitting a deposit into several
+ * smaller ones does not get around it:
+ *
+ *   outstanding_jobs  a percentage of the unpaid jobs of the client's
+ *                     in-progress contracts, over outstandingWindowHours
+ *   daily_cap         a fixed amount over the last 24 hours
+ *   monthly_cap       a fixed amount over the last 30 days
+ *
+ * The defaults are in config.deposits; an admin can override any of them for
+ * one client (DepositLimitOverride). Limits are evaluated in the deposit
+ * transaction, which runs exclusively, so concurrent deposits count too.
+ *
+ * Amounts are integer cents in the client's currency.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A deposit exceeds one or more limits. The code is that of the first
+ * violated policy; `details` describes each of them.
+ */
+class DepositLimitError extends BadRequestError {
+  constructor(violations) {
+    super(violations.map((violation) => violation.message).join('; '), { code: violations[0].code });
+    this.details = violations.map(({ message, ...violation }) => violation);
+  }
+}
+
+const formatMoney = (cents, currency) => `${fromCents(cents).toFixed(2)} ${currency}`;
+
+// Unpaid, not cancelled jobs of the client's in-progress contracts, in the
+// client's currency. Jobs with an open dispute do not count until resolved
+async function outstandingJobs(profile, { transaction }) {
+  const jobs = await Job.scope('undisputed').findAll({
+    include: [{ model: Contract, where: { ClientId: profile.id, status: 'in_progress' } }],
+    where: { paid: false, cancelledAt: null },
+    transaction
+  });
+
+  const toClientCurrency = fx.converterTo(profile.currency, { transaction });
+  let total = 0;
+  for (const job of jobs) {
+    total += await toClientCurrency(job.getDataValue('price'), job.Contract.currency);
+  }
+  return total;
+}
+
+const POLICIES = [
+  {
+    rule: 'outstanding_jobs',
+    // Kept from when this was the only limit
+    code: 'deposit_limit_exceeded',
+    setting: 'outstandingPercent',
+    windowHours: () => config.deposits.outstandingWindowHours,
+    async limit(profile, percent, { transaction }) {
+      return Math.floor(await outstandingJobs(profile, { transaction }) * percent / 100);
+    },
+    message: ({ setting, windowHours }) => `Deposits within ${windowHours} hours cannot exceed ${setting}% of the jobs to pay`
+  },
+  {
+    rule: 'daily_cap',
+    code: 'deposit_daily_cap_exceeded',
+    setting: 'dailyCap',
+    windowHours: () => 24,
+    limit: async (profile, cap) => cap,
+    message: ({ limit, currency }) => `Deposits cannot exceed ${formatMoney(limit, currency)} per day`
+  },
+  {
+    rule: 'monthly_cap',
+    code: 'deposit_monthly_cap_exceeded',
+    setting: 'monthlyCap',
+    windowHours: () => 30 * 24,
+    limit: async (profile, cap) => cap,
+    message: ({ limit, currency }) => `Deposits cannot exceed ${formatMoney(limit, currency)} per 30 days`
+  }
+];
+
+/**
+ * Returns the limits that apply to `profile`: its override where set, the
+ * configured defaults otherwise. Caps are in cents of the profile currency,
+ * null when there is none; `overridden` lists the settings taken from the
+ * override.
+ */
+async function settingsFor(profile, { transaction } = {}) {
+  const override = await DepositLimitOverride.findOne({ where: { ProfileId: profile.id }, transaction });
+  const toProfileCurrency = fx.converterTo(profile.currency, { transaction });
+  const defaultCap = async (units) => (units > 0 ? toProfileCurrency(toCents(units), config.currency.default) : null);
+
+  const settings = {
+    outstandingPercent: config.deposits.outstandingPercent,
+    dailyCap: await defaultCap(config.deposits.dailyCap),
+    monthlyCap: await defaultCap(config.deposits.monthlyCap),
+    overridden: []
+  };
+
+  for (const name of ['outstandingPercent', 'dailyCap', 'monthlyCap']) {
+    const value = override && override.getDataValue(name);
+    if (value !== null && value !== undefined) {
+      settings[name] = value;
+      settings.overridden.push(name);
+    }
+  }
+  return settings;
+}
+
+// Sum of the deposits credited to the profile in (since, now]
+async function depositedSince(profile, since, now, { transaction }) {
+  const total = await LedgerEntry.sum('amount', {
+    where: {
+      ProfileId: profile.id,
+      kind: 'deposit',
+      direction: 'credit',
+      createdAt: { [Op.gt]: since, [Op.lte]: now }
+    },
+    transaction
+  });
+  return total || 0;
+}
+
+/**
+ * Evaluates a deposit of `cents` against every policy that applies to
+ * `profile`. Returns one entry per policy with its limit, what was already
+ * deposited in its window and what remains, in cents; `allowed` tells
+ * whether the deposit fits.
+ */
+async function evaluate(profile, cents, { transaction, now = new Date() } = {}) {
+  const settings = await settingsFor(profile, { transaction });
+  const results = [];
+
+  for (const policy of POLICIES) {
+    const setting = settings[policy.setting];
+    if (setting === null) continue;
+
+    const windowHours = policy.windowHours();
+    const limit = await policy.limit(profile, setting, { transaction });
+    const deposited = await depositedSince(profile, new Date(now.getTime() - windowHours * HOUR_MS), now, { transaction });
+
+    results.push({
+      rule: policy.rule,
+      code: policy.code,
+      overridden: settings.overridden.includes(policy.setting),
+      windowHours,
+      limit,
+      deposited,
+      requested: cents,
+      remaining: Math.max(limit - deposited, 0),
+      currency: profile.currency,
+      allowed: deposited + cents <= limit,
+      message: policy.message({ setting, windowHours, limit, currency: profile.currency })
+    });
+  }
+  return results;
+}
+
+/**
+ * Throws DepositLimitError unless a deposit of `cents` fits every policy.
+ * Must be called in the deposit transaction.
+ */
+async function enforce(profile, cents, { transaction, now } = {}) {
+  const violations = (await evaluate(profile, cents, { transaction, now }))
+    .filter((result) => !result.allowed)
+    .map(({ allowed, overridden, ...result }) => ({
+      ...result,
+      message: `${result.message}: ${formatMoney(result.remaining, result.currency)} left`,
+      limit: fromCents(result.limit),
+      deposited: fromCents(result.deposited),
+      requested: fromCents(result.requested),
+      remaining: fromCents(result.remaining)
+    }));
+
+  if (violations.length) {
+    throw new DepositLimitError(violations);
+  }
+}
+
+/**
+ * Describes the limits of `profile` and how much of each is left, with
+ * amounts in units.
+ */
+async function describeLimits(profile, { now } = {}) {
+  const results = await evaluate(profile, 0, { now });
+
+  return {
+    currency: profile.currency,
+    policies: results.map(({ rule, code, overridden, windowHours, limit, deposited, remaining }) => ({
+      rule,
+      code,
+      overridden,
+      windowHours,
+      limit: fromCents(limit),
+      deposited: fromCents(deposited),
+      remaining: fromCents(remaining)
+    }))
+  };
+}
+
+/**
+ * Returns the override of `profile`, or null.
+ */
+function findOverride(profile) {
+  return DepositLimitOverride.findOne({ where: { ProfileId: profile.id } });
+}
+
+/**
+ * Replaces the override of `profile`; limits left out fall back to the
+ * defaults. Caps are in units of the profile currency.
+ */
+async function setOverride(profile, { outstandingPercent = null, dailyCap = null, monthlyCap = null, note = null }, admin) {
+  return runExclusive(async (transaction) => {
+    const values = { outstandingPercent, dailyCap, monthlyCap, note, currency: profile.currency, SetById: admin.id };
+    const existing = await DepositLimitOverride.findOne({ where: { ProfileId: profile.id }, transaction });
+
+    if (existing) {
+      return existing.update(values, { transaction });
+    }
+    return DepositLimitOverride.create({ ...values, ProfileId: profile.id }, { transaction });
+  });
+}
+
+/**
+ * Deletes the override of `profile`. Resolves with false when it had none.
+ */
+async function removeOverride(profile) {
+  return runExclusive(async (transaction) => {
+    const override = await DepositLimitOverride.findOne({ where: { ProfileId: profile.id }, transaction });
+    if (!override) return false;
+
+    await override.destroy({ transaction });
+    return true;
+  });
+}
+
+module.exports = {
+  POLICIES,
+  DepositLimitError,
+  settingsFor,
+  evaluate,
+  enforce,
+  describeLimits,
+  findOverride,
+  setOverride,
+  removeOverride
+};
@@ -0,0 +1,231 @@
+const { Op } = require('sequelize');
+const { Dispute, DisputeComment, Job, Contract, Profile, Payment, Invoice } = require('../model');
+const escrow = require('./escrow');
+const payments = require('./payments');
+const webhooks = require('./webhooks');
+const { runExclusive } = require('./transactions');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+const { fromCents } = require('../utils/money');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Disputes.
+ *
+ * Either party of a contract can dispute one of its unpaid jobs: a client
+ * contesting the work, a contractor contesting non-payment. While the
+ * dispute is open the job cannot be paid, is left out of the unpaid jobs
+ * and of the deposit limit, and a job funded in escrow is `disputed` and no
+ * longer released. The parties and admins discuss it in comments; an admin
+ * resolves it:
+ *
+ *   open ──pay──────────▶ resolved, the job is paid its full price
+ *     ├──partial_pay──▶ resolved, the job is paid `amount`
+ *     └──refund───────▶ resolved, the job is cancelled unpaid
+ *
+ * Payments are made from the client's balance, or from the escrow of a job
+ * funded in escrow; a refund gives the escrow back to the client.
+ */
+
+const RESOLUTIONS = ['pay', 'partial_pay', 'refund'];
+
+const PARTY_ATTRIBUTES = ['id', 'firstName', 'lastName'];
+
+const DETAIL_INCLUDE = [
+  { model: Job, attributes: ['id', 'description', 'price', 'paid', 'cancelledAt', 'escrowStatus', 'ContractId'] },
+  { model: Profile, as: 'OpenedBy', attributes: PARTY_ATTRIBUTES },
+  { model: Profile, as: 'ResolvedBy', attributes: PARTY_ATTRIBUTES },
+  {
+    model: DisputeComment,
+    as: 'Comments',
+    include: [{ model: Profile, as: 'Author', attributes: PARTY_ATTRIBUTES }],
+    separate: true,
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  }
+];
+
+const disputeNotFound = () => new NotFoundError('Dispute not found', { code: 'dispute_not_found' });
+
+const notOpen = () => new ConflictError('Dispute is already resolved', { code: 'dispute_not_open' });
+
+const isParty = (contract, profile) => contract.ClientId === profile.id || contract.ContractorId === profile.id;
+
+const publish = (type, dispute, contract, extra, { transaction }) => webhooks.publish(type, {
+  disputeId: dispute.id,
+  jobId: dispute.JobId,
+  contractId: contract.id,
+  clientId: contract.ClientId,
+  contractorId: contract.ContractorId,
+  openedById: dispute.OpenedById,
+  ...extra
+}, { profileIds: [contract.ClientId, contract.ContractorId], transaction });
+
+/**
+ * Returns a dispute with its job, parties and comments, or null.
+ */
+function findDispute(id, { transaction } = {}) {
+  return Dispute.findByPk(id, { include: DETAIL_INCLUDE, transaction });
+}
+
+/**
+ * Loads a dispute that `profile` may see, i.e. as a party of its contract
+ * or an admin, with the contract of its job. Throws otherwise.
+ */
+async function findVisibleDispute(id, profile, { transaction } = {}) {
+  const dispute = await Dispute.findByPk(id, {
+    include: [{ model: Job, include: [{ model: Contract }] }],
+    transaction
+  });
+
+  if (!dispute) {
+    throw disputeNotFound();
+  }
+  if (profile.type !== 'admin' && !isParty(dispute.Job.Contract, profile)) {
+    throw new ForbiddenError();
+  }
+  return dispute;
+}
+
+/**
+ * Opens a dispute on an unpaid job of a contract `profile` is a party of.
+ */
+async function openDispute(jobId, profile, { reason }) {
+  return runExclusive(async (transaction) => {
+    const job = await Job.findByPk(jobId, { include: [{ model: Contract }], lock: true, transaction });
+
+    if (!job) {
+      throw new NotFoundError('Job not found', { code: 'job_not_found' });
+    }
+    if (!isParty(job.Contract, profile)) {
+      throw new ForbiddenError('Only the parties of the contract can dispute its jobs');
+    }
+    if (job.paid || job.cancelledAt) {
+      throw new ConflictError('Only unpaid jobs can be disputed', { code: 'job_not_disputable' });
+    }
+    if (await Dispute.count({ where: { JobId: job.id, status: 'open' }, transaction })) {
+      throw new ConflictError('The job already has an open dispute', { code: 'dispute_already_open' });
+    }
+
+    if (job.escrowStatus) {
+      await escrow.markDisputed(job, { transaction });
+    }
+
+    const dispute = await Dispute.create({ JobId: job.id, OpenedById: profile.id, reason }, { transaction });
+    await publish('dispute.opened', dispute, job.Contract, { reason }, { transaction });
+
+    return findDispute(dispute.id, { transaction });
+  });
+}
+
+/**
+ * Returns a page of the disputes `profile` can see, with the list envelope:
+ * those on its contracts' jobs, or all of them for an admin. Filters:
+ * `status` and `jobId`.
+ */
+function listDisputes(profile, { status, jobId, page }) {
+  const where = {};
+  if (status) where.status = { [Op.in]: status };
+  if (jobId !== undefined) where.JobId = jobId;
+
+  const contractWhere = profile.type === 'admin'
+    ? undefined
+    : { [Op.or]: [{ ClientId: profile.id }, { ContractorId: profile.id }] };
+
+  return paginate(Dispute, {
+    where,
+    include: [{
+      model: Job,
+      attributes: ['id', 'description', 'price', 'ContractId'],
+      required: true,
+      include: [{ model: Contract, attributes: ['id', 'ClientId', 'ContractorId', 'currency'], where: contractWhere }]
+    }],
+    page
+  });
+}
+
+/**
+ * Adds a comment of `profile` to an open dispute it can see.
+ */
+async function addComment(disputeId, profile, { body }) {
+  return runExclusive(async (transaction) => {
+    const dispute = await findVisibleDispute(disputeId, profile, { transaction });
+    if (dispute.status !== 'open') {
+      throw notOpen();
+    }
+
+    return DisputeComment.create({ DisputeId: dispute.id, AuthorId: profile.id, body }, { transaction });
+  });
+}
+
+/**
+ * Resolves an open dispute on behalf of `admin`: `pay` pays the job its
+ * price, `partial_pay` pays it `amount` cents (less than the price, in the
+ * contract currency) and `refund` cancels it unpaid. Responds with the
+ * resolved dispute and the job, with its payment and invoice if it was paid.
+ */
+async function resolveDispute(disputeId, admin, { resolution, amount, note = null }) {
+  return runExclusive(async (transaction) => {
+    const dispute = await Dispute.findByPk(disputeId, {
+      include: [{ model: Job, include: [{ model: Contract }] }],
+      lock: true,
+      transaction
+    });
+
+    if (!dispute) {
+      throw disputeNotFound();
+    }
+    if (dispute.status !== 'open') {
+      throw notOpen();
+    }
+
+    const job = dispute.Job;
+    const price = job.getDataValue('price');
+    let paid = 0;
+
+    if (resolution === 'partial_pay') {
+      if (amount === undefined || amount >= price) {
+        throw new BadRequestError('A partial payment needs an amount below the job price', { code: 'invalid_partial_amount' });
+      }
+      paid = amount;
+    } else if (resolution === 'pay') {
+      paid = price;
+    }
+
+    if (paid) {
+      await payments.payDisputed(job.id, paid, { transaction });
+    } else if (job.escrowStatus) {
+      await escrow.refundJob(job, { transaction });
+    } else {
+      await job.update({ cancelledAt: new Date() }, { transaction });
+    }
+
+    await dispute.update({
+      status: 'resolved',
+      resolution,
+      amount: fromCents(paid),
+      currency: job.Contract.currency,
+      resolutionNote: note,
+      ResolvedById: admin.id,
+      resolvedAt: new Date()
+    }, { transaction });
+
+    await publish('dispute.resolved', dispute, job.Contract, {
+      resolution,
+      amount: dispute.amount,
+      currency: dispute.currency
+    }, { transaction });
+
+    const resolved = await findDispute(dispute.id, { transaction });
+    const resolvedJob = await Job.findByPk(job.id, { include: [{ model: Payment }, { model: Invoice }], transaction });
+    return { ...resolved.toJSON(), Job: resolvedJob };
+  });
+}
+
+module.exports = {
+  RESOLUTIONS,
+  findDispute,
+  findVisibleDispute,
+  openDispute,
+  listDisputes,
+  addComment,
+  resolveDispute
+};
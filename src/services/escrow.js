@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Job, Contract, Profile, BalanceHold } = require('../model');
+const fx = require('./fx');
+const holds = require('./holds');
+const payments = require('./payments');
+const webhooks = require('./webhooks');
+const { runExclusive } = require('./transactions');
+const { ConflictError, ForbiddenError, InsufficientFundsError, NotFoundError } = require('../errors');
+const { fromCents } = require('../utils/money');
+
+/**
+ * Escrow.
+ *
+ * A client may fund a job when creating it: its price, converted into the
+ * client's currency, is put on hold (a BalanceHold with reason `escrow`), so
+ * the money stays in the client's balance but can no longer be spent. The
+ * job is paid with the usual payment (Job.paid, Payment, invoice,
+ * `job.paid`) when the escrow is released:
+ *
+ *   funded ──deliver──▶ delivered ──approve / auto-release──▶ released
+ *    │  └──────────────approve───────────────────────────────────▲
+ *    ├──dispute──▶ disputed ──resolved: pay / partial pay─────────┘
+ *    │               └──resolved: refund──▶ refunded
+ *    └──cancel / admin refund─────────────▶ refunded
+ *
+ * The client approves with POST /jobs/:job_id/pay. A delivered job that is
+ * neither approved nor disputed is released config.escrow.autoReleaseHours
+ * after delivery by releaseDue(). Disputes are opened and resolved by
+ * services/disputes. A refund releases the hold and cancels the job.
+ */
+
+const TRANSITIONS = {
+  deliver: { from: ['funded'], to: 'delivered', party: 'contractor', event: 'job.delivered' }
+};
+
+// Escrow statuses a job can be refunded or released from by an admin,
+// outside of a dispute
+const OPEN_STATUSES = ['funded', 'delivered'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const jobNotFound = () => new NotFoundError('Job not found', { code: 'job_not_found' });
+
+const eventData = (job, contract, extra = {}) => ({
+  jobId: job.id,
+  contractId: contract.id,
+  clientId: contract.ClientId,
+  contractorId: contract.ContractorId,
+  escrowStatus: job.escrowStatus,
+  ...extra
+});
+
+/**
+ * Funds a new job of `contract` from the client's available balance. Must be
+ * called in the transaction that creates the job. Throws
+ * InsufficientFundsError when the available balance does not cover the
+ * price.
+ */
+async function fund(job, contract, client, { transaction }) {
+  const payer = await Profile.findByPk(client.id, { lock: true, transaction });
+  const debit = await fx.convert(job.getDataValue('price'), contract.currency, payer.currency, { transaction });
+
+  if (await holds.availableBalance(payer, { transaction }) < debit.cents) {
+    throw new InsufficientFundsError('Insufficient balance to fund the job');
+  }
+
+  const hold = await holds.placeHold(payer, debit.cents, 'escrow', { transaction });
+  await job.update({ escrowStatus: 'funded', fundedAt: new Date(), EscrowHoldId: hold.id }, { transaction });
+
+  await webhooks.publish('job.funded', eventData(job, contract, {
+    amount: fromCents(debit.cents),
+    currency: payer.currency
+  }), { profileIds: [contract.ClientId, contract.ContractorId], transaction });
+  return job;
+}
+
+/**
+ * Loads a job funded in escrow with its contract, locked. Throws when there
+ * is none.
+ */
+async function findEscrowJob(jobId, { transaction }) {
+  const job = await Job.findByPk(jobId, { include: [{ model: Contract }], lock: true, transaction });
+
+  if (!job) {
+    throw jobNotFound();
+  }
+  if (!job.escrowStatus) {
+    throw new ConflictError('Job is not funded in escrow', { code: 'job_not_in_escrow' });
+  }
+  return job;
+}
+
+const checkStatus = (job, from, action) => {
+  if (!from.includes(job.escrowStatus)) {
+    throw new ConflictError(`Cannot ${action} a job that is ${job.escrowStatus}`, { code: 'invalid_escrow_transition' });
+  }
+};
+
+/**
+ * Applies a named transition ('deliver') to a job funded in escrow on
+ * behalf of `actor`.
+ */
+async function transition(jobId, action, actor) {
+  const rule = TRANSITIONS[action];
+
+  return runExclusive(async (transaction) => {
+    const job = await findEscrowJob(jobId, { transaction });
+    const contract = job.Contract;
+    const partyId = rule.party === 'client' ? contract.ClientId : contract.ContractorId;
+
+    if (partyId !== actor.id) {
+      throw new ForbiddenError(`Only the contract's ${rule.party} can ${action} this job`);
+    }
+    checkStatus(job, rule.from, action);
+
+    const now = new Date();
+    const releaseAt = new Date(now.getTime() + config.escrow.autoReleaseHours * HOUR_MS);
+
+    const [affected] = await Job.update(
+      { escrowStatus: rule.to, deliveredAt: now, releaseAt },
+      { where: { id: job.id, escrowStatus: job.escrowStatus, paid: false }, transaction }
+    );
+    if (affected !== 1) {
+      throw new ConflictError('Job changed in the meantime', { code: 'invalid_escrow_transition' });
+    }
+
+    await job.reload({ transaction });
+    await webhooks.publish(rule.event, eventData(job, contract, { releaseAt: job.releaseAt }), {
+      profileIds: [contract.ClientId, contract.ContractorId],
+      transaction
+    });
+
+    return Job.findByPk(job.id, { include: [{ model: BalanceHold, as: 'EscrowHold' }], transaction });
+  });
+}
+
+const deliver = (jobId, contractor) => transition(jobId, 'deliver', contractor);
+
+/**
+ * Holds a job funded in escrow while a dispute on it is open: it is no
+ * longer released automatically or on approval. Must be called in the
+ * transaction that opens the dispute, with the job loaded in it.
+ */
+async function markDisputed(job, { transaction }) {
+  checkStatus(job, ['funded', 'delivered'], 'dispute');
+  await job.update({ escrowStatus: 'disputed', releaseAt: null }, { transaction });
+  return job;
+}
+
+/**
+ * Gives the money held for a job back to the client and cancels the job.
+ * Must be called in a transaction, with the job loaded in it.
+ */
+async function refundJob(job, { transaction }) {
+  await holds.releaseHold(job.EscrowHoldId, { transaction });
+  await job.update({ escrowStatus: 'refunded', releaseAt: null, cancelledAt: new Date() }, { transaction });
+
+  const contract = job.Contract || await Contract.findByPk(job.ContractId, { transaction });
+  await webhooks.publish('job.escrow_refunded', eventData(job, contract), {
+    profileIds: [contract.ClientId, contract.ContractorId],
+    transaction
+  });
+  return job;
+}
+
+/**
+ * Refunds a job funded in escrow that is neither released nor disputed.
+ */
+async function refund(jobId) {
+  return runExclusive(async (transaction) => {
+    const job = await findEscrowJob(jobId, { transaction });
+    checkStatus(job, OPEN_STATUSES, 'refund');
+
+    await refundJob(job, { transaction });
+    return Job.findByPk(job.id, { include: [{ model: BalanceHold, as: 'EscrowHold' }], transaction });
+  });
+}
+
+/**
+ * Releases a job funded in escrow that is neither released nor disputed.
+ */
+const release = (jobId) => payments.releaseEscrow(jobId, { statuses: OPEN_STATUSES });
+
+/**
+ * Releases up to `limit` delivered jobs whose release date has passed.
+ * A job that cannot be released (e.g. a missing exchange rate) is logged
+ * and retried on the next run. Resolves with the number released.
+ */
+async function releaseDue({ now = new Date(), limit = 50 } = {}) {
+  const due = await Job.findAll({
+    attributes: ['id'],
+    where: { escrowStatus: 'delivered', releaseAt: { [Op.lte]: now } },
+    order: [['releaseAt', 'ASC'], ['id', 'ASC']],
+    limit
+  });
+
+  let released = 0;
+  for (const { id } of due) {
+    try {
+      await payments.releaseEscrow(id, { statuses: ['delivered'] });
+      released++;
+    } catch (error) {
+      console.error(`Escrow auto-release of job ${id} failed:`, error);
+    }
+  }
+  return released;
+}
+
+/**
+ * Runs releaseDue() every `intervalMs` until stopped. The timer does not
+ * keep the process alive.
+ */
+function startAutoRelease({ intervalMs = config.escrow.releaseIntervalMs } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await releaseDue();
+    } catch (error) {
+      console.error('Escrow auto-release failed:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  TRANSITIONS,
+  fund,
+  deliver,
+  markDisputed,
+  refundJob,
+  refund,
+  release,
+  releaseDue,
+  startAutoRelease
+};
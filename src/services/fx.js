@@ -0,0 +1,60 @@
+const { FxRate } = require('../model');
+const { UnprocessableError } = require('../errors');
+
+/**
+ * Currency conversion against the locally managed FxRates table.
+ *
+ * A rate converts its baseCurrency into its quoteCurrency. When only the
+ * opposite pair is stored, its inverse is used. Converted amounts are
+ * rounded to the nearest cent.
+ */
+
+class FxError extends UnprocessableError {
+  constructor(message) {
+    super(message, { code: 'fx_rate_unavailable' });
+  }
+}
+
+/**
+ * Returns the rate that converts `from` into `to`.
+ */
+async function getRate(from, to, { transaction } = {}) {
+  if (from === to) return 1;
+
+  const direct = await FxRate.findOne({ where: { baseCurrency: from, quoteCurrency: to }, transaction });
+  if (direct) return Number(direct.rate);
+
+  const inverse = await FxRate.findOne({ where: { baseCurrency: to, quoteCurrency: from }, transaction });
+  if (inverse) return 1 / Number(inverse.rate);
+
+  throw new FxError(`No exchange rate from ${from} to ${to}`);
+}
+
+/**
+ * Converts integer cents from one currency to another.
+ * Returns the converted cents and the rate that was applied.
+ */
+async function convert(cents, from, to, { transaction } = {}) {
+  const rate = await getRate(from, to, { transaction });
+  return { cents: Math.round(cents * rate), rate };
+}
+
+/**
+ * Returns a converter that looks every rate up once, for converting many
+ * amounts (e.g. report rows) into the same currency.
+ */
+function converterTo(to, { transaction } = {}) {
+  const rates = new Map();
+
+  return async (cents, from) => {
+    if (!rates.has(from)) rates.set(from, await getRate(from, to, { transaction }));
+    return Math.round(cents * rates.get(from));
+  };
+}
+
+module.exports = {
+  FxError,
+  getRate,
+  convert,
+  converterTo
+};
@@ -0,0 +1,70 @@
+const { BalanceHold } = require('../model');
+const { fromCents } = require('../utils/money');
+
+/**
+ * Balance holds.
+ *
+ * A hold reserves part of a profile balance without moving it: the money
+ * stays in Profile.balance (and in the ledger) but is no longer available to
+ * spend or withdraw. Anything that takes money out of a balance must check
+ * the available balance, i.e. the balance minus all active holds.
+ *
+ * All amounts passed to and returned by this module are integer cents.
+ */
+
+/**
+ * Total of the active holds on a profile.
+ */
+async function heldAmount(profileId, { transaction } = {}) {
+  const total = await BalanceHold.sum('amount', {
+    where: { ProfileId: profileId, status: 'active' },
+    transaction
+  });
+  return Number(total) || 0;
+}
+
+/**
+ * Balance of a profile that is not reserved by a hold.
+ */
+async function availableBalance(profile, { transaction } = {}) {
+  const held = await heldAmount(profile.id, { transaction });
+  return profile.getDataValue('balance') - held;
+}
+
+/**
+ * Reserves `cents` of a profile balance. The caller checks the available
+ * balance inside the same transaction.
+ */
+async function placeHold(profile, cents, reason, { transaction } = {}) {
+  return BalanceHold.create({
+    ProfileId: profile.id,
+    amount: fromCents(cents),
+    currency: profile.currency,
+    reason
+  }, { transaction });
+}
+
+/**
+ * Ends an active hold. Returns whether the hold was still active.
+ */
+async function settleHold(holdId, status, { transaction }) {
+  const [affected] = await BalanceHold.update(
+    { status },
+    { where: { id: holdId, status: 'active' }, transaction }
+  );
+  return affected === 1;
+}
+
+// Gives the reserved amount back to the available balance
+const releaseHold = (holdId, options) => settleHold(holdId, 'released', options);
+
+// Marks the reserved amount as spent; the caller debits the balance
+const captureHold = (holdId, options) => settleHold(holdId, 'captured', options);
+
+module.exports = {
+  heldAmount,
+  availableBalance,
+  placeHold,
+  releaseHold,
+  captureHold
+};
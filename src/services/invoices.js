@@ -0,0 +1,192 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Invoice, Payment, Job, Contract, Profile } = require('../model');
+const { paginate, range } = require('../utils/pagination');
+const pdf = require('../utils/pdf');
+
+/**
+ * Invoices.
+ *
+ * Every payment is invoiced in its own transaction: the contractor bills the
+ * client for the paid job, in the contract currency. Invoice numbers are a
+ * single sequence without gaps; a payment that is rolled back takes its
+ * number with it. Invoices are rendered as JSON, HTML or PDF with the
+ * parties' current profile details.
+ */
+
+const formatNumber = (sequence) => `${config.invoices.numberPrefix}${String(sequence).padStart(6, '0')}`;
+
+const PARTY_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profession', 'email'];
+
+const INCLUDE = [
+  { model: Profile, as: 'Client', attributes: PARTY_ATTRIBUTES },
+  { model: Profile, as: 'Contractor', attributes: PARTY_ATTRIBUTES },
+  { model: Job, attributes: ['id', 'description'] },
+  { model: Contract, attributes: ['id', 'currency'] },
+  { model: Payment, attributes: ['id', 'debitAmount', 'debitCurrency', 'debitRate'] }
+];
+
+/**
+ * Issues the invoice of a payment with the next number. Must run in the
+ * payment transaction, which also serializes the numbering.
+ */
+async function issueForPayment(payment, { job, transaction }) {
+  const last = await Invoice.max('sequence', { transaction });
+  const sequence = (last || 0) + 1;
+
+  return Invoice.create({
+    sequence,
+    number: formatNumber(sequence),
+    amount: payment.amount,
+    currency: payment.currency,
+    issuedAt: payment.createdAt,
+    PaymentId: payment.id,
+    JobId: job.id,
+    ContractId: job.ContractId,
+    ClientId: payment.ClientId,
+    ContractorId: payment.ContractorId
+  }, { transaction });
+}
+
+/**
+ * Returns an invoice with its parties, job and payment, or null.
+ */
+function findInvoice(id) {
+  return Invoice.findByPk(id, { include: INCLUDE });
+}
+
+/**
+ * Returns a page of the invoices `profile` issued or received, with the list
+ * envelope. Filters: `role` (`client` for received, `contractor` for issued),
+ * contractId, and a `from`/`to` range on the issue date.
+ */
+function listInvoices(profile, { role, contractId, from, to, page }) {
+  const where = role
+    ? { [role === 'client' ? 'ClientId' : 'ContractorId']: profile.id }
+    : { [Op.or]: [{ ClientId: profile.id }, { ContractorId: profile.id }] };
+
+  if (contractId !== undefined) where.ContractId = contractId;
+
+  const issuedAt = range(from, to);
+  if (issuedAt) where.issuedAt = issuedAt;
+
+  return paginate(Invoice, { where, include: INCLUDE, page });
+}
+
+const formatMoney = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const partyName = (profile) => `${profile.firstName} ${profile.lastName}`;
+
+/**
+ * What an invoice document shows, shared by the HTML and PDF renderings.
+ */
+function contents(invoice) {
+  const party = (profile) => [partyName(profile), profile.profession, profile.email].filter(Boolean);
+  const { Payment: payment } = invoice;
+
+  return {
+    title: `Invoice ${invoice.number}`,
+    details: [
+      ['Invoice number', invoice.number],
+      ['Issued', formatDate(invoice.issuedAt)],
+      ['Contract', `#${invoice.ContractId}`]
+    ],
+    from: party(invoice.Contractor),
+    to: party(invoice.Client),
+    items: [{ description: invoice.Job.description, amount: formatMoney(invoice.amount, invoice.currency) }],
+    total: formatMoney(invoice.amount, invoice.currency),
+    // The client paid in its own currency
+    note: payment && payment.debitCurrency !== invoice.currency
+      ? `Paid as ${formatMoney(payment.debitAmount, payment.debitCurrency)} at ${Number(Number(payment.debitRate).toFixed(6))} ${payment.debitCurrency}/${invoice.currency}.`
+      : null
+  };
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Renders an invoice as a standalone HTML page.
+ */
+function renderHtml(invoice) {
+  const { title, details, from, to, items, total, note } = contents(invoice);
+  const lines = (values) => values.map(escapeHtml).join('<br>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #222; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #ddd; }
+  .amount { text-align: right; }
+  .parties { display: flex; gap: 80px; margin: 24px 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table class="details">
+${details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<div class="parties">
+<div><h2>From</h2><p>${lines(from)}</p></div>
+<div><h2>Bill to</h2><p>${lines(to)}</p></div>
+</div>
+<table class="items">
+<thead><tr><th>Description</th><th class="amount">Amount</th></tr></thead>
+<tbody>
+${items.map((item) => `<tr><td>${escapeHtml(item.description)}</td><td class="amount">${escapeHtml(item.amount)}</td></tr>`).join('\n')}
+</tbody>
+<tfoot><tr><th>Total</th><th class="amount">${escapeHtml(total)}</th></tr></tfoot>
+</table>
+${note ? `<p class="note">${escapeHtml(note)}</p>\n` : ''}</body>
+</html>
+`;
+}
+
+// Width of the item table of the PDF, in Courier characters
+const PDF_COLUMNS = 80;
+
+/**
+ * Renders an invoice as a PDF. Returns a Buffer.
+ */
+function renderPdf(invoice) {
+  const { title, details, from, to, items, total, note } = contents(invoice);
+  const row = (description, amount) => {
+    const width = PDF_COLUMNS - amount.length - 2;
+    const text = description.length > width ? `${description.slice(0, width - 3)}...` : description;
+    return { text: `${text.padEnd(width)}  ${amount}`, font: 'mono', size: 9 };
+  };
+  const rule = { text: '-'.repeat(PDF_COLUMNS), font: 'mono', size: 9 };
+
+  return pdf.renderPdf([
+    { text: title, font: 'bold', size: 18 },
+    { text: '' },
+    ...details.map(([label, value]) => ({ text: `${label}: ${value}` })),
+    { text: '' },
+    { text: 'From', font: 'bold', size: 12 },
+    ...from.map((text) => ({ text })),
+    { text: '' },
+    { text: 'Bill to', font: 'bold', size: 12 },
+    ...to.map((text) => ({ text })),
+    { text: '' },
+    row('Description', 'Amount'),
+    rule,
+    ...items.map((item) => row(item.description.replace(/\s+/g, ' '), item.amount)),
+    rule,
+    row('Total', total),
+    ...(note ? [{ text: '' }, { text: note }] : [])
+  ], { title });
+}
+
+module.exports = {
+  formatNumber,
+  issueForPayment,
+  findInvoice,
+  listInvoices,
+  renderHtml,
+  renderPdf
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { LedgerEntry, sequelize } = require('../model');
+const { fromCents } = require('../utils/money');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Double-entry ledger.
+ *
+ * Every balance movement is written as a transfer: one debit row and one
+ * credit row sharing a transferId, for the same amount. Profile balances live
+ * in `profile:<id>` accounts; money entering or leaving the platform is booked
+ * against `external:*` accounts so that every transfer stays balanced.
+ * Both rows of a transfer are in the same currency; a payment between
+ * profiles with different currencies is booked as two transfers through the
+ * `fx:<currency>` clearing accounts.
+ *
+ * All amounts passed to and returned by this module are integer cents.
+ */
+
+const ACCOUNTS = {
+  OPENING: 'external:opening',
+  DEPOSITS: 'external:deposits',
+  PAYOUTS: 'external:payouts'
+};
+
+const profileAccount = (profileId) => `profile:${profileId}`;
+
+/**
+ * Writes a balanced debit/credit pair. Must be called with the transaction
+ * that performs the matching Profile.balance update.
+ */
+async function recordTransfer({ debit, credit, amount, currency, kind, JobId = null, description = null }, { transaction } = {}) {
+  const transferId = crypto.randomUUID();
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Ledger transfer amount must be a positive number of cents');
+  }
+
+  return LedgerEntry.bulkCreate([
+    {
+      transferId,
+      account: debit.account,
+      ProfileId: debit.profileId || null,
+      direction: 'debit',
+      // The model setter stores cents
+      amount: fromCents(amount),
+      currency,
+      kind,
+      JobId,
+      description
+    },
+    {
+      transferId,
+      account: credit.account,
+      ProfileId: credit.profileId || null,
+      direction: 'credit',
+      amount: fromCents(amount),
+      currency,
+      kind,
+      JobId,
+      description
+    }
+  ], { transaction });
+}
+
+const profileSide = (profileId) => ({ account: profileAccount(profileId), profileId });
+const externalSide = (account) => ({ account });
+
+async function recordOpeningBalance(profile, { transaction } = {}) {
+  const balance = profile.getDataValue('balance');
+  if (!(balance > 0)) return null;
+
+  return recordTransfer({
+    debit: externalSide(ACCOUNTS.OPENING),
+    credit: profileSide(profile.id),
+    amount: balance,
+    currency: profile.currency,
+    kind: 'opening_balance'
+  }, { transaction });
+}
+
+async function recordDeposit(profileId, amount, currency, { transaction } = {}) {
+  return recordTransfer({
+    debit: externalSide(ACCOUNTS.DEPOSITS),
+    credit: profileSide(profileId),
+    amount,
+    currency,
+    kind: 'deposit'
+  }, { transaction });
+}
+
+async function recordPayout(profileId, amount, currency, { transaction } = {}) {
+  return recordTransfer({
+    debit: profileSide(profileId),
+    credit: externalSide(ACCOUNTS.PAYOUTS),
+    amount,
+    currency,
+    kind: 'payout'
+  }, { transaction });
+}
+
+const fxAccount = (currency) => `fx:${currency}`;
+
+/**
+ * Books a Payment: the client's account is debited with debitAmount in the
+ * client currency and the contractor's account credited with creditAmount in
+ * the contractor currency.
+ */
+async function recordPayment(payment, { job, transaction } = {}) {
+  const entry = { kind: 'payment', JobId: job.id, description: job.description };
+  const debitAmount = payment.getDataValue('debitAmount');
+  const creditAmount = payment.getDataValue('creditAmount');
+
+  if (payment.debitCurrency === payment.creditCurrency && debitAmount === creditAmount) {
+    return recordTransfer({
+      ...entry,
+      debit: profileSide(payment.ClientId),
+      credit: profileSide(payment.ContractorId),
+      amount: debitAmount,
+      currency: payment.debitCurrency
+    }, { transaction });
+  }
+
+  const debit = await recordTransfer({
+    ...entry,
+    debit: profileSide(payment.ClientId),
+    credit: externalSide(fxAccount(payment.debitCurrency)),
+    amount: debitAmount,
+    currency: payment.debitCurrency
+  }, { transaction });
+  const credit = await recordTransfer({
+    ...entry,
+    debit: externalSide(fxAccount(payment.creditCurrency)),
+    credit: profileSide(payment.ContractorId),
+    amount: creditAmount,
+    currency: payment.creditCurrency
+  }, { transaction });
+
+  return [...debit, ...credit];
+}
+
+/**
+ * Books a Refund, the reverse of recordPayment: the contractor's account is
+ * debited with debitAmount in the contractor currency and the client's
+ * account credited with creditAmount in the client currency.
+ */
+async function recordRefund(refund, { payment, job, transaction } = {}) {
+  const entry = { kind: 'refund', JobId: job.id, description: job.description };
+  const debitAmount = refund.getDataValue('debitAmount');
+  const creditAmount = refund.getDataValue('creditAmount');
+
+  if (refund.debitCurrency === refund.creditCurrency && debitAmount === creditAmount) {
+    return recordTransfer({
+      ...entry,
+      debit: profileSide(payment.ContractorId),
+      credit: profileSide(payment.ClientId),
+      amount: debitAmount,
+      currency: refund.debitCurrency
+    }, { transaction });
+  }
+
+  const debit = await recordTransfer({
+    ...entry,
+    debit: profileSide(payment.ContractorId),
+    credit: externalSide(fxAccount(refund.debitCurrency)),
+    amount: debitAmount,
+    currency: refund.debitCurrency
+  }, { transaction });
+  const credit = await recordTransfer({
+    ...entry,
+    debit: externalSide(fxAccount(refund.creditCurrency)),
+    credit: profileSide(payment.ClientId),
+    amount: creditAmount,
+    currency: refund.creditCurrency
+  }, { transaction });
+
+  return [...debit, ...credit];
+}
+
+/**
+ * Balance of a profile as derived from its ledger account: credits minus debits.
+ */
+async function getLedgerBalance(profileId, { transaction } = {}) {
+  const rows = await LedgerEntry.findAll({
+    attributes: ['direction', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+    where: { account: profileAccount(profileId) },
+    group: ['direction'],
+    raw: true,
+    transaction
+  });
+
+  const totals = rows.reduce((acc, row) => ({ ...acc, [row.direction]: Number(row.total) }), {});
+  return (totals.credit || 0) - (totals.debit || 0);
+}
+
+/**
+ * Compares the stored Profile.balance with the balance derived from the ledger.
+ */
+async function reconcile(profile, { transaction } = {}) {
+  const balance = profile.getDataValue('balance') || 0;
+  const ledgerBalance = await getLedgerBalance(profile.id, { transaction });
+
+  return {
+    balance,
+    ledgerBalance,
+    difference: balance - ledgerBalance,
+    reconciled: balance === ledgerBalance
+  };
+}
+
+/**
+ * Lists one page of the ledger entries of a profile account, see
+ * utils/pagination for `page`.
+ */
+async function listEntries(profileId, { from, to, page }) {
+  const where = { account: profileAccount(profileId) };
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = from;
+    if (to) where.createdAt[Op.lte] = to;
+  }
+
+  return paginate(LedgerEntry, { where, page });
+}
+
+module.exports = {
+  ACCOUNTS,
+  profileAccount,
+  recordTransfer,
+  recordOpeningBalance,
+  recordDeposit,
+  recordPayment,
+  recordRefund,
+  recordPayout,
+  getLedgerBalance,
+  reconcile,
+  listEntries
+};
@@ -0,0 +1,392 @@
+const { Op } = require('sequelize');
+const { Job, Contract, Profile, Payment, Invoice, BalanceHold, Dispute, sequelize } = require('../model');
+const depositPolicies = require('./depositPolicies');
+const fx = require('./fx');
+const holds = require('./holds');
+const invoices = require('./invoices');
+const ledger = require('./ledger');
+const webhooks = require('./webhooks');
+const { runExclusive } = require('./transactions');
+const { fromCents } = require('../utils/money');
+const { AppError, ConflictError, ForbiddenError, InsufficientFundsError, NotFoundError, UnprocessableError } = require('../errors');
+
+const notPayable = () => new NotFoundError('Job not found or not available for payment', { code: 'job_not_found' });
+
+/**
+ * Adds `cents` (integer, may be negative) to a profile balance in a single
+ * UPDATE. With `requireFunds` the update only applies if the balance covers
+ * a negative amount plus `reserved` (money on hold), so the balance can
+ * never go below what is reserved even if it changed since it was read.
+ * Returns whether a row was updated.
+ */
+async function adjustBalance(profileId, cents, { transaction, requireFunds = false, reserved = 0 }) {
+  if (!Number.isInteger(cents)) {
+    throw new Error('Balance adjustments must be whole cents');
+  }
+
+  const where = { id: profileId };
+  if (requireFunds) where.balance = { [Op.gte]: reserved - cents };
+
+  const [affected] = await Profile.update(
+    { balance: sequelize.literal(`balance + ${cents}`) },
+    { where, transaction }
+  );
+  return affected === 1;
+}
+
+/**
+ * Converts the job price (contract currency) into the client's and the
+ * contractor's currencies at the current rates. Throws FxError when a rate
+ * is missing.
+ */
+async function quote(price, contract, client, contractor, { transaction }) {
+  const debit = await fx.convert(price, contract.currency, client.currency, { transaction });
+  const credit = await fx.convert(price, contract.currency, contractor.currency, { transaction });
+  return { debit, credit };
+}
+
+/**
+ * Some jobs of a bulk payment cannot be paid. `details` lists each of them
+ * as `{ jobId, code, message }`.
+ */
+class BulkPaymentError extends UnprocessableError {
+  constructor(details) {
+    super(`${details.length} of the jobs cannot be paid`, { code: 'jobs_not_payable' });
+    this.details = details;
+  }
+}
+
+const jobDisputed = () => new ConflictError('Job is disputed', { code: 'job_disputed' });
+
+/**
+ * Loads a job that `client` may pay now, with its contract, its price in
+ * cents (`amount`) and the conversion of the price for both parties. Throws
+ * otherwise. A job funded in escrow can only be paid from its escrow, and
+ * only in one of `escrowStatuses`. A job with an open dispute can only be
+ * paid to resolve it (`disputed`).
+ */
+async function findPayableJob(jobId, client, payer, { transaction, escrowStatuses = [], disputed = false }) {
+  const job = await Job.findOne({
+    where: { id: jobId },
+    include: [{ model: Contract }],
+    lock: true,
+    transaction
+  });
+
+  if (!job) {
+    throw notPayable();
+  }
+
+  if (job.Contract.ClientId !== client.id) {
+    throw new ForbiddenError();
+  }
+
+  if (job.paid || job.cancelledAt || job.Contract.status !== 'in_progress') {
+    throw notPayable();
+  }
+
+  if (!disputed && await Dispute.count({ where: { JobId: job.id, status: 'open' }, transaction })) {
+    throw jobDisputed();
+  }
+
+  if (job.escrowStatus && !escrowStatuses.includes(job.escrowStatus)) {
+    throw job.escrowStatus === 'disputed'
+      ? jobDisputed()
+      : new ConflictError(`Job is ${job.escrowStatus} in escrow`, { code: 'job_in_escrow' });
+  }
+
+  const amount = job.getDataValue('price');
+  const payee = await Profile.findByPk(job.Contract.ContractorId, { lock: true, transaction });
+  const { debit, credit } = await quote(amount, job.Contract, payer, payee, { transaction });
+
+  return { job, payee, amount, debit, credit };
+}
+
+/**
+ * Moves the money of a job found by findPayableJob, records the payment of
+ * its `amount`, its ledger entries and invoice, and publishes `job.paid`.
+ * Every write is guarded against a concurrent payment.
+ */
+async function settle({ job, payee, amount, debit, credit }, payer, { transaction, held }) {
+  const [jobsMarked] = await Job.update(
+    { paid: true, paymentDate: new Date() },
+    { where: { id: job.id, paid: false }, transaction }
+  );
+  if (jobsMarked !== 1) {
+    throw new ConflictError('Job has already been paid', { code: 'job_already_paid' });
+  }
+
+  if (!(await adjustBalance(payer.id, -debit.cents, { transaction, requireFunds: true, reserved: held }))) {
+    throw new InsufficientFundsError();
+  }
+  await adjustBalance(payee.id, credit.cents, { transaction });
+
+  const payment = await Payment.create({
+    JobId: job.id,
+    ClientId: payer.id,
+    ContractorId: payee.id,
+    amount: fromCents(amount),
+    currency: job.Contract.currency,
+    debitAmount: fromCents(debit.cents),
+    debitCurrency: payer.currency,
+    debitRate: debit.rate,
+    creditAmount: fromCents(credit.cents),
+    creditCurrency: payee.currency,
+    creditRate: credit.rate
+  }, { transaction });
+
+  await ledger.recordPayment(payment, { job, transaction });
+  const invoice = await invoices.issueForPayment(payment, { job, transaction });
+  await webhooks.publish('job.paid', {
+    jobId: job.id,
+    contractId: job.ContractId,
+    paymentId: payment.id,
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.number,
+    clientId: payer.id,
+    contractorId: payee.id,
+    amount: payment.amount,
+    currency: payment.currency,
+    paidAt: payment.createdAt
+  }, { profileIds: [payer.id, payee.id], transaction });
+
+  return { payment, invoice };
+}
+
+/**
+ * Pays a job found by findPayableJob from its escrow: captures the hold and
+ * debits the client the amount held when the job was funded, whatever the
+ * rate is now. The Payment keeps the rate of that amount to the price.
+ */
+async function settleFromEscrow(payable, payer, { transaction }) {
+  const { job } = payable;
+  const hold = await BalanceHold.findByPk(job.EscrowHoldId, { transaction });
+
+  if (!hold || !(await holds.captureHold(hold.id, { transaction }))) {
+    throw new ConflictError('Job has already been paid', { code: 'job_already_paid' });
+  }
+
+  const cents = hold.getDataValue('amount');
+  const debit = { cents, rate: Number((cents / job.getDataValue('price')).toFixed(8)) };
+  const held = await holds.heldAmount(payer.id, { transaction });
+
+  const result = await settle({ ...payable, debit }, payer, { transaction, held });
+  await Job.update({ escrowStatus: 'released', releaseAt: null }, { where: { id: job.id }, transaction });
+  return result;
+}
+
+/**
+ * Pays a job on behalf of a client: moves the job price from the client's
+ * balance to the contractor's, marks the job paid and issues its invoice.
+ * The price is in the contract currency; the client is debited and the
+ * contractor credited in their own currencies, and the rates applied are
+ * kept on the Payment. For a job funded in escrow this is the client's
+ * approval, which releases the escrow.
+ *
+ * Everything that decides whether the payment may happen — the job still
+ * being unpaid, the contract being active, the client's balance — is read
+ * inside the transaction, and every write is guarded so that a concurrent
+ * payment can neither overdraw the client nor pay the job twice.
+ */
+async function payJob(jobId, client) {
+  return runExclusive(async (transaction) => {
+    const payer = await Profile.findByPk(client.id, { lock: true, transaction });
+    const payable = await findPayableJob(jobId, client, payer, { transaction, escrowStatuses: ['funded', 'delivered'] });
+
+    if (payable.job.escrowStatus) {
+      await settleFromEscrow(payable, payer, { transaction });
+    } else {
+      const held = await holds.heldAmount(payer.id, { transaction });
+
+      if (payer.getDataValue('balance') - held < payable.debit.cents) {
+        throw new InsufficientFundsError();
+      }
+
+      await settle(payable, payer, { transaction, held });
+    }
+
+    return Job.findByPk(jobId, { include: [{ model: Payment }, { model: Invoice }], transaction });
+  });
+}
+
+/**
+ * Releases a job funded in escrow to its contractor without the client's
+ * approval, when its escrow status is one of `statuses`: automatically once
+ * a delivery is due, or by an admin.
+ */
+async function releaseEscrow(jobId, { statuses }) {
+  return runExclusive(async (transaction) => {
+    const job = await Job.findByPk(jobId, { include: [{ model: Contract }], transaction });
+
+    if (!job || !job.escrowStatus) {
+      throw new NotFoundError('Job not found in escrow', { code: 'job_not_found' });
+    }
+
+    const payer = await Profile.findByPk(job.Contract.ClientId, { lock: true, transaction });
+    const payable = await findPayableJob(jobId, payer, payer, { transaction, escrowStatuses: statuses });
+    await settleFromEscrow(payable, payer, { transaction });
+
+    return Job.findByPk(jobId, { include: [{ model: Payment }, { model: Invoice }], transaction });
+  });
+}
+
+/**
+ * Pays `cents` of the price of a disputed job, in the contract currency, to
+ * resolve its dispute. Must be called in the resolution transaction. A job
+ * funded in escrow and paid in full is paid from its escrow; paid in part,
+ * its hold is released and the part is paid from the client's balance.
+ */
+async function payDisputed(jobId, cents, { transaction }) {
+  const contract = await Contract.findOne({ include: [{ model: Job, where: { id: jobId } }], transaction });
+  if (!contract) {
+    throw notPayable();
+  }
+
+  const payer = await Profile.findByPk(contract.ClientId, { lock: true, transaction });
+  const payable = await findPayableJob(jobId, payer, payer, { transaction, escrowStatuses: ['disputed'], disputed: true });
+  const { job } = payable;
+
+  if (job.escrowStatus && cents === payable.amount) {
+    return settleFromEscrow(payable, payer, { transaction });
+  }
+  if (job.escrowStatus) {
+    await holds.releaseHold(job.EscrowHoldId, { transaction });
+  }
+
+  const part = cents === payable.amount
+    ? payable
+    : { ...payable, amount: cents, ...await quote(cents, job.Contract, payer, payable.payee, { transaction }) };
+  const held = await holds.heldAmount(payer.id, { transaction });
+
+  if (payer.getDataValue('balance') - held < part.debit.cents) {
+    throw new InsufficientFundsError();
+  }
+
+  const result = await settle(part, payer, { transaction, held });
+  if (job.escrowStatus) {
+    await Job.update({ escrowStatus: 'released', releaseAt: null }, { where: { id: job.id }, transaction });
+  }
+  return result;
+}
+
+/**
+ * Ids of the unpaid, not cancelled jobs of a contract of `client`, oldest
+ * first, leaving out disputed jobs and jobs funded in escrow. Throws when the contract is not the client's or not active.
+ */
+async function unpaidJobIds(contractId, client, { transaction }) {
+  const contract = await Contract.findByPk(contractId, { transaction });
+
+  if (!contract) {
+    throw new NotFoundError('Contract not found', { code: 'contract_not_found' });
+  }
+  if (contract.ClientId !== client.id) {
+    throw new ForbiddenError();
+  }
+  if (contract.status !== 'in_progress') {
+    throw new ConflictError('Contract is not active', { code: 'contract_not_active' });
+  }
+
+  const jobs = await Job.scope('undisputed').findAll({
+    attributes: ['id'],
+    where: { ContractId: contract.id, paid: { [Op.not]: true }, cancelledAt: null, escrowStatus: null },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  return jobs.map((job) => job.id);
+}
+
+/**
+ * Pays several jobs of a client at once, given as `jobIds` or as every
+ * unpaid job of `contractId`, with all-or-nothing semantics: every job is
+ * checked and the total compared with the available balance before any
+ * money moves, and all payments run in one transaction.
+ *
+ * Throws BulkPaymentError listing the jobs that cannot be paid, or
+ * InsufficientFundsError when the balance does not cover the total.
+ * Resolves with the per-job results, the total debited and the new
+ * balance, in the client's currency.
+ */
+async function payJobs(client, { jobIds, contractId }) {
+  return runExclusive(async (transaction) => {
+    const ids = contractId !== undefined ? await unpaidJobIds(contractId, client, { transaction }) : jobIds;
+    if (!ids.length) {
+      throw new ConflictError('The contract has no unpaid jobs', { code: 'no_unpaid_jobs' });
+    }
+
+    const payer = await Profile.findByPk(client.id, { lock: true, transaction });
+    const payables = [];
+    const rejected = [];
+
+    for (const jobId of ids) {
+      try {
+        payables.push(await findPayableJob(jobId, client, payer, { transaction }));
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        rejected.push({ jobId, code: error.code, message: error.message });
+      }
+    }
+    if (rejected.length) {
+      throw new BulkPaymentError(rejected);
+    }
+
+    const total = payables.reduce((sum, payable) => sum + payable.debit.cents, 0);
+    const held = await holds.heldAmount(payer.id, { transaction });
+    const available = payer.getDataValue('balance') - held;
+
+    if (available < total) {
+      throw new InsufficientFundsError(
+        `Insufficient balance: the jobs total ${fromCents(total)} ${payer.currency}, ${fromCents(available)} is available`
+      );
+    }
+
+    const results = [];
+    for (const payable of payables) {
+      const { payment, invoice } = await settle(payable, payer, { transaction, held });
+      results.push({
+        jobId: payable.job.id,
+        status: 'paid',
+        amount: payment.amount,
+        currency: payment.currency,
+        debitAmount: payment.debitAmount,
+        debitCurrency: payment.debitCurrency,
+        paymentId: payment.id,
+        invoiceNumber: invoice.number
+      });
+    }
+
+    await payer.reload({ transaction });
+    return { results, total: fromCents(total), currency: payer.currency, balance: payer.balance };
+  });
+}
+
+/**
+ * Credits a deposit of `cents`, in the profile's own currency, to a profile
+ * balance and the ledger. Throws DepositLimitError when the deposit exceeds
+ * one of the limits of services/depositPolicies.
+ */
+async function deposit(profile, cents) {
+  return runExclusive(async (transaction) => {
+    await depositPolicies.enforce(profile, cents, { transaction });
+    await adjustBalance(profile.id, cents, { transaction });
+    await ledger.recordDeposit(profile.id, cents, profile.currency, { transaction });
+
+    const updated = await Profile.findByPk(profile.id, { transaction });
+    await webhooks.publish('balance.deposited', {
+      profileId: updated.id,
+      amount: fromCents(cents),
+      currency: updated.currency,
+      balance: updated.balance
+    }, { profileIds: [updated.id], transaction });
+    return updated;
+  });
+}
+
+module.exports = {
+  BulkPaymentError,
+  adjustBalance,
+  payJob,
+  releaseEscrow,
+  payDisputed,
+  payJobs,
+  deposit
+};
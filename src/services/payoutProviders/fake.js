@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Payout provider that keeps transfers in memory instead of moving money.
+ * Used in development and tests; `failNext` makes the next transfer be
+ * refused so that failure handling can be exercised.
+ */
+class FakePayoutProvider {
+  constructor() {
+    this.name = 'fake';
+    this.transfers = [];
+    this.nextFailure = null;
+  }
+
+  failNext(reason = 'Transfer refused by the fake provider') {
+    this.nextFailure = reason;
+  }
+
+  async send({ payoutId, profileId, amount, currency }) {
+    if (this.nextFailure) {
+      const reason = this.nextFailure;
+      this.nextFailure = null;
+      throw new Error(reason);
+    }
+
+    const reference = `fake_${crypto.randomUUID()}`;
+    this.transfers.push({ reference, payoutId, profileId, amount, currency });
+    return { reference };
+  }
+}
+
+module.exports = FakePayoutProvider;
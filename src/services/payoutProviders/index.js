@@ -0,0 +1,47 @@
+const config = require('../../config');
+const FakePayoutProvider = require('./fake');
+
+/**
+ * Payout providers send approved payouts to the contractor's bank account.
+ * A provider is an object with:
+ *
+ *   name                                            string, stored on the payout
+ *   send({ payoutId, profileId, amount, currency }) resolves to { reference }
+ *
+ * `amount` is in cents. `send` rejects if the provider refuses the transfer;
+ * the payout is then marked failed and its hold released.
+ *
+ * Providers are registered by name and the one named by PAYOUT_PROVIDER
+ * (config.payouts.provider) is used.
+ */
+const factories = {
+  fake: () => new FakePayoutProvider()
+};
+
+let current = null;
+
+function registerPayoutProvider(name, factory) {
+  factories[name] = factory;
+}
+
+function getPayoutProvider() {
+  if (!current) {
+    const factory = factories[config.payouts.provider];
+    if (!factory) {
+      throw new Error(`Unknown payout provider: ${config.payouts.provider}`);
+    }
+    current = factory();
+  }
+  return current;
+}
+
+// Replaces the provider in use, e.g. with a fresh fake in tests
+function setPayoutProvider(provider) {
+  current = provider;
+}
+
+module.exports = {
+  registerPayoutProvider,
+  getPayoutProvider,
+  setPayoutProvider
+};
@@ -0,0 +1,179 @@
+const { Payout, Profile } = require('../model');
+const holds = require('./holds');
+const ledger = require('./ledger');
+const webhooks = require('./webhooks');
+const { adjustBalance } = require('./payments');
+const { getPayoutProvider } = require('./payoutProviders');
+const { runExclusive } = require('./transactions');
+const { fromCents } = require('../utils/money');
+const { ConflictError, InsufficientFundsError, NotFoundError } = require('../errors');
+
+/**
+ * Contractor payouts.
+ *
+ *   pending ──approve──▶ approved ──provider accepts──▶ completed
+ *      │                    └──────provider refuses──▶ failed
+ *      └──reject──▶ rejected
+ *
+ * Requesting a payout places a hold on the amount, so it cannot be withdrawn
+ * twice or spent while the payout is pending. The balance is only debited
+ * when the provider has accepted the transfer; a rejected or failed payout
+ * releases its hold. The provider is called outside of any transaction.
+ */
+
+/**
+ * Creates a pending payout of `cents` from the contractor's available balance.
+ */
+async function requestPayout(contractor, cents) {
+  return runExclusive(async (transaction) => {
+    const profile = await Profile.findByPk(contractor.id, { lock: true, transaction });
+
+    if ((await holds.availableBalance(profile, { transaction })) < cents) {
+      throw new InsufficientFundsError('Insufficient available balance');
+    }
+
+    const hold = await holds.placeHold(profile, cents, 'payout', { transaction });
+
+    return Payout.create({
+      ProfileId: profile.id,
+      HoldId: hold.id,
+      amount: fromCents(cents),
+      currency: profile.currency
+    }, { transaction });
+  });
+}
+
+/**
+ * Moves a payout out of `from` in a single guarded UPDATE, so that two admins
+ * acting on the same payout cannot both succeed.
+ */
+async function transitionPayout(payout, from, changes, { transaction }) {
+  const [affected] = await Payout.update(
+    changes,
+    { where: { id: payout.id, status: from }, transaction }
+  );
+  if (affected !== 1) {
+    throw new ConflictError(`Payout is no longer ${from}`, { code: 'payout_status_changed' });
+  }
+}
+
+async function findPayout(payoutId, { transaction }) {
+  const payout = await Payout.findByPk(payoutId, { transaction });
+  if (!payout) {
+    throw new NotFoundError('Payout not found', { code: 'payout_not_found' });
+  }
+  return payout;
+}
+
+/**
+ * Approves a pending payout and sends it to the payout provider. Resolves
+ * with the payout once it is completed or failed.
+ */
+async function approvePayout(payoutId, admin) {
+  const provider = getPayoutProvider();
+
+  const payout = await runExclusive(async (transaction) => {
+    const pending = await findPayout(payoutId, { transaction });
+    if (pending.status !== 'pending') {
+      throw new ConflictError(`Only pending payouts can be approved, this one is ${pending.status}`, { code: 'payout_not_pending' });
+    }
+
+    await transitionPayout(pending, 'pending', {
+      status: 'approved',
+      ReviewedById: admin.id,
+      reviewedAt: new Date(),
+      provider: provider.name
+    }, { transaction });
+    return pending.reload({ transaction });
+  });
+
+  let reference;
+  try {
+    ({ reference } = await provider.send({
+      payoutId: payout.id,
+      profileId: payout.ProfileId,
+      amount: payout.getDataValue('amount'),
+      currency: payout.currency
+    }));
+  } catch (error) {
+    return failPayout(payout, error.message);
+  }
+
+  return completePayout(payout, reference);
+}
+
+// Tells the contractor how the provider handled the payout
+const publishOutcome = (type, payout, { transaction }) => webhooks.publish(type, {
+  payoutId: payout.id,
+  profileId: payout.ProfileId,
+  amount: payout.amount,
+  currency: payout.currency,
+  status: payout.status,
+  providerReference: payout.providerReference,
+  failureReason: payout.failureReason
+}, { profileIds: [payout.ProfileId], transaction });
+
+/**
+ * Debits the contractor once the provider has accepted the transfer.
+ */
+async function completePayout(payout, reference) {
+  return runExclusive(async (transaction) => {
+    const cents = payout.getDataValue('amount');
+
+    await transitionPayout(payout, 'approved', {
+      status: 'completed',
+      providerReference: reference,
+      completedAt: new Date()
+    }, { transaction });
+    await holds.captureHold(payout.HoldId, { transaction });
+
+    // The provider already sent the money, so the debit must not fail: the
+    // hold reserved the amount, and the balance is debited even if it no
+    // longer covers it
+    await adjustBalance(payout.ProfileId, -cents, { transaction });
+    await ledger.recordPayout(payout.ProfileId, cents, payout.currency, { transaction });
+
+    await payout.reload({ transaction });
+    await publishOutcome('payout.completed', payout, { transaction });
+    return payout;
+  });
+}
+
+async function failPayout(payout, reason) {
+  return runExclusive(async (transaction) => {
+    await transitionPayout(payout, 'approved', { status: 'failed', failureReason: reason }, { transaction });
+    await holds.releaseHold(payout.HoldId, { transaction });
+
+    await payout.reload({ transaction });
+    await publishOutcome('payout.failed', payout, { transaction });
+    return payout;
+  });
+}
+
+/**
+ * Rejects a pending payout and gives the held amount back.
+ */
+async function rejectPayout(payoutId, admin, reason = null) {
+  return runExclusive(async (transaction) => {
+    const payout = await findPayout(payoutId, { transaction });
+    if (payout.status !== 'pending') {
+      throw new ConflictError(`Only pending payouts can be rejected, this one is ${payout.status}`, { code: 'payout_not_pending' });
+    }
+
+    await transitionPayout(payout, 'pending', {
+      status: 'rejected',
+      ReviewedById: admin.id,
+      reviewedAt: new Date(),
+      failureReason: reason
+    }, { transaction });
+    await holds.releaseHold(payout.HoldId, { transaction });
+
+    return payout.reload({ transaction });
+  });
+}
+
+module.exports = {
+  requestPayout,
+  approvePayout,
+  rejectPayout
+};
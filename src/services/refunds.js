@@ -0,0 +1,166 @@
+const { Job, Contract, Payment, Invoice, Refund, sequelize } = require('../model');
+const config = require('../config');
+const holds = require('./holds');
+const ledger = require('./ledger');
+const payments = require('./payments');
+const webhooks = require('./webhooks');
+const { runExclusive } = require('./transactions');
+const { BadRequestError, ConflictError, ForbiddenError, InsufficientFundsError, NotFoundError } = require('../errors');
+const { fromCents } = require('../utils/money');
+
+/**
+ * Refunds.
+ *
+ * A paid job can be refunded, in full or in several parts, by its contractor
+ * or an admin. A refund moves money back from the contractor to the client
+ * at the rates of the original payment, so that refunding a payment in full
+ * gives the client back exactly what it was debited, whatever the rates are
+ * now. The job stays paid; Payment.refundedAmount tracks how much of it was
+ * refunded, and each refund is kept as a Refund with its ledger entries.
+ *
+ * When the contractor's available balance does not cover a refund, the
+ * `insufficientBalance` policy decides: `reject` fails it, `allow_negative`
+ * takes the contractor's balance below zero. Neither lets a refund take money
+ * on hold, e.g. for a pending payout: while the contractor has any, a refund
+ * their available balance does not cover fails.
+ */
+
+const INSUFFICIENT_BALANCE_POLICIES = ['reject', 'allow_negative'];
+
+/**
+ * What the contractor gives back and the client gets back for `cents` of the
+ * payment. The last refund returns whatever is left of both sides, so that
+ * rounding never leaves a cent behind.
+ */
+async function convert(payment, cents, remaining, { transaction }) {
+  if (cents === remaining) {
+    const where = { PaymentId: payment.id };
+    const [debited, credited] = await Promise.all([
+      Refund.sum('debitAmount', { where, transaction }),
+      Refund.sum('creditAmount', { where, transaction })
+    ]);
+    return {
+      debit: payment.getDataValue('creditAmount') - (debited || 0),
+      credit: payment.getDataValue('debitAmount') - (credited || 0)
+    };
+  }
+
+  return {
+    debit: Math.round(cents * Number(payment.creditRate)),
+    credit: Math.round(cents * Number(payment.debitRate))
+  };
+}
+
+/**
+ * Refunds `amount` cents (in the contract currency, by default all that is
+ * not refunded yet) of the payment of a job on behalf of `actor`, its
+ * contractor or an admin. Only admins can pick the `insufficientBalance`
+ * policy; config.refunds.insufficientBalance applies otherwise. Responds with
+ * the refund and the job with its payment.
+ */
+async function refundJob(jobId, actor, { amount, reason = null, insufficientBalance }) {
+  const isAdmin = actor.type === 'admin';
+
+  if (insufficientBalance && !isAdmin) {
+    throw new ForbiddenError('Only admins can choose the insufficient balance policy');
+  }
+  const policy = insufficientBalance || config.refunds.insufficientBalance;
+
+  return runExclusive(async (transaction) => {
+    const job = await Job.findByPk(jobId, { include: [{ model: Contract }, { model: Payment }], lock: true, transaction });
+
+    if (!job) {
+      throw new NotFoundError('Job not found', { code: 'job_not_found' });
+    }
+    if (!isAdmin && job.Contract.ContractorId !== actor.id) {
+      throw new ForbiddenError('Only the contractor of the job or an admin can refund it');
+    }
+
+    const payment = job.Payment;
+    if (!job.paid || !payment) {
+      throw new ConflictError('Only paid jobs can be refunded', { code: 'job_not_refundable' });
+    }
+
+    const refunded = payment.getDataValue('refundedAmount');
+    const remaining = payment.getDataValue('amount') - refunded;
+    if (remaining <= 0) {
+      throw new ConflictError('Payment is already fully refunded', { code: 'payment_fully_refunded' });
+    }
+
+    const cents = amount === undefined ? remaining : amount;
+    if (cents > remaining) {
+      throw new BadRequestError(
+        `Refund cannot exceed the ${fromCents(remaining).toFixed(2)} ${payment.currency} not yet refunded`,
+        { code: 'invalid_refund_amount' }
+      );
+    }
+
+    const { debit, credit } = await convert(payment, cents, remaining, { transaction });
+    if (debit <= 0 || credit <= 0) {
+      throw new BadRequestError('Refund is too small to convert', { code: 'invalid_refund_amount' });
+    }
+
+    const [paymentsMarked] = await Payment.update(
+      { refundedAmount: sequelize.literal(`refundedAmount + ${cents}`) },
+      { where: { id: payment.id, refundedAmount: refunded }, transaction }
+    );
+    if (paymentsMarked !== 1) {
+      throw new ConflictError('Payment was refunded in the meantime', { code: 'payment_fully_refunded' });
+    }
+
+    // Money on hold is never refunded away, whatever the policy: a pending
+    // payout has to be rejected first
+    const reserved = await holds.heldAmount(payment.ContractorId, { transaction });
+    const debited = await payments.adjustBalance(payment.ContractorId, -debit, {
+      transaction,
+      requireFunds: policy === 'reject' || reserved > 0,
+      reserved
+    });
+    if (!debited && policy === 'allow_negative') {
+      throw new InsufficientFundsError('The contractor balance does not cover the refund without the money on hold', {
+        code: 'contractor_funds_held'
+      });
+    }
+    if (!debited) {
+      throw new InsufficientFundsError('The contractor balance does not cover the refund', {
+        code: 'contractor_insufficient_funds'
+      });
+    }
+    await payments.adjustBalance(payment.ClientId, credit, { transaction });
+
+    const refund = await Refund.create({
+      PaymentId: payment.id,
+      JobId: job.id,
+      RefundedById: actor.id,
+      amount: fromCents(cents),
+      currency: payment.currency,
+      debitAmount: fromCents(debit),
+      debitCurrency: payment.creditCurrency,
+      creditAmount: fromCents(credit),
+      creditCurrency: payment.debitCurrency,
+      reason
+    }, { transaction });
+
+    await ledger.recordRefund(refund, { payment, job, transaction });
+    await webhooks.publish('job.refunded', {
+      jobId: job.id,
+      contractId: job.ContractId,
+      paymentId: payment.id,
+      refundId: refund.id,
+      clientId: payment.ClientId,
+      contractorId: payment.ContractorId,
+      amount: refund.amount,
+      currency: refund.currency,
+      refundedAmount: fromCents(refunded + cents),
+      refundedAt: refund.createdAt
+    }, { profileIds: [payment.ClientId, payment.ContractorId], transaction });
+
+    const updated = await Job.findByPk(job.id, { include: [{ model: Payment }, { model: Invoice }], transaction });
+    return { ...refund.toJSON(), Job: updated };
+  });
+}
+
+module.exports = {
+  INSUFFICIENT_BALANCE_POLICIES,
+  refundJob
+};
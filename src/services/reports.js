@@ -0,0 +1,229 @@
+const { Job, Contract, Payment, Profile, sequelize } = require('../model');
+const fx = require('./fx');
+const { previousRange, within, dayOf, startOf, addTo } = require('../utils/dateRange');
+const { fromCents } = require('../utils/money');
+
+/**
+ * Admin reports.
+ *
+ * Reports cover the jobs paid within a date range (Job.paymentDate). A paid
+ * job counts what was paid for it, net of refunds, in its contract
+ * currency; totals are converted into the reporting currency with the
+ * current FxRates (FxError when a rate is missing). Every report is
+ * compared with the previous period of the same length, see
+ * utils/dateRange previousRange(). Amounts are returned in units.
+ */
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// What a paid job earned, in cents of the contract currency: its payment net
+// of refunds. Jobs paid before payments were recorded count their price
+const NET_PAID = sequelize.literal('COALESCE(`Payment`.`amount`, `Job`.`price`) - COALESCE(`Payment`.`refundedAmount`, 0)');
+
+// Seconds from creating a job to paying it
+const TIME_TO_PAYMENT = sequelize.literal('(julianday(`Job`.`paymentDate`) - julianday(`Job`.`createdAt`)) * 86400');
+
+// Quarter of an hour a job was paid in, counted from the epoch. Every time
+// zone offset is a whole number of quarters, so each falls in one local day
+const QUARTER_SECONDS = 15 * 60;
+const PAYMENT_QUARTER = sequelize.literal(`CAST(strftime('%s', \`Job\`.\`paymentDate\`) AS INTEGER) / ${QUARTER_SECONDS}`);
+
+const RANKINGS = {
+  professions: {
+    as: 'Contractor',
+    attributes: ['profession'],
+    groupBy: 'profession',
+    describe: (profile) => ({ profession: profile.profession })
+  },
+  contractors: {
+    as: 'Contractor',
+    attributes: ['id', 'firstName', 'lastName', 'profession'],
+    groupBy: 'id',
+    describe: (profile) => ({
+      id: profile.id,
+      fullName: `${profile.firstName} ${profile.lastName}`,
+      profession: profile.profession
+    })
+  },
+  clients: {
+    as: 'Client',
+    attributes: ['id', 'firstName', 'lastName'],
+    groupBy: 'id',
+    describe: (profile) => ({ id: profile.id, fullName: `${profile.firstName} ${profile.lastName}` })
+  }
+};
+
+/**
+ * Sums, count and time to payment of the jobs paid within `range`, per
+ * contract currency and `group`.
+ */
+function paidJobs(range, { attributes = [], include = [], group = [] } = {}) {
+  return Job.findAll({
+    attributes: [
+      ...attributes,
+      [sequelize.fn('SUM', NET_PAID), 'total'],
+      [sequelize.fn('COUNT', sequelize.col('Job.id')), 'jobs'],
+      [sequelize.fn('SUM', TIME_TO_PAYMENT), 'seconds']
+    ],
+    include: [
+      { model: Payment, attributes: [] },
+      { model: Contract, attributes: ['currency'], include }
+    ],
+    where: { paid: true, paymentDate: within(range) },
+    group: [...group, sequelize.col('Contract.currency')]
+  });
+}
+
+/**
+ * Adds up rows of paidJobs() priced in different contract currencies into
+ * the reporting currency. `keyOf` picks the grouping key of a row; returns
+ * the groups in order of appearance, with totals in cents.
+ */
+async function sumInCurrency(rows, currency, keyOf) {
+  const toReporting = fx.converterTo(currency);
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = keyOf(row);
+    const group = groups.get(key) || { key, row, total: 0, jobs: 0, seconds: 0 };
+    group.total += await toReporting(Number(row.dataValues.total), row.Contract.currency);
+    group.jobs += Number(row.dataValues.jobs);
+    group.seconds += Number(row.dataValues.seconds) || 0;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Change from `previous` to `current` in percent, to one decimal; null when
+ * there is nothing to compare with.
+ */
+const change = (current, previous) => (previous ? Number(((current - previous) / previous * 100).toFixed(1)) : null);
+
+const period = ({ start, end }) => ({ start, end });
+
+/**
+ * Revenue, number of jobs paid, average paid per job and average time from
+ * creating a job to paying it, in hours, within `range`.
+ */
+async function stats(range, currency) {
+  const [totals] = await sumInCurrency(await paidJobs(range), currency, () => 'all');
+  const { total = 0, jobs = 0, seconds = 0 } = totals || {};
+
+  return {
+    revenue: fromCents(total),
+    jobs,
+    averageJobPrice: jobs ? fromCents(Math.round(total / jobs)) : 0,
+    averageTimeToPaymentHours: jobs ? Number((seconds / jobs / 3600).toFixed(1)) : null
+  };
+}
+
+/**
+ * stats() of `range` and of the previous period, with the change of each.
+ */
+async function summary(range, currency) {
+  const current = await stats(range, currency);
+  const previous = await stats(previousRange(range), currency);
+
+  return {
+    period: period(range),
+    previousPeriod: period(previousRange(range)),
+    currency,
+    ...current,
+    previous,
+    change: Object.fromEntries(Object.keys(current).map((field) => [field, change(current[field], previous[field])]))
+  };
+}
+
+/**
+ * Revenue within `range` per day, week (starting on Monday) or month, with
+ * every bucket of the range listed, empty ones included. Days are those of
+ * `timeZone`.
+ */
+async function revenue(range, currency, { interval = 'day', timeZone = 'UTC' } = {}) {
+  const rows = await paidJobs(range, { attributes: [[PAYMENT_QUARTER, 'quarter']], group: [PAYMENT_QUARTER] });
+  const days = await sumInCurrency(rows, currency, (row) => dayOf(new Date(row.dataValues.quarter * QUARTER_SECONDS * 1000), timeZone));
+
+  const series = new Map();
+  const last = startOf(dayOf(range.end, timeZone), interval);
+  for (let bucket = startOf(dayOf(range.start, timeZone), interval); bucket <= last; bucket = addTo(bucket, interval)) {
+    series.set(bucket, { total: 0, jobs: 0 });
+  }
+  for (const { key, total, jobs } of days) {
+    const bucket = series.get(startOf(key, interval));
+    bucket.total += total;
+    bucket.jobs += jobs;
+  }
+
+  const entries = [...series.entries()];
+  const total = entries.reduce((sum, [, bucket]) => sum + bucket.total, 0);
+  const jobs = entries.reduce((sum, [, bucket]) => sum + bucket.jobs, 0);
+  const previous = await stats(previousRange(range), currency);
+
+  return {
+    period: period(range),
+    previousPeriod: period(previousRange(range)),
+    currency,
+    interval,
+    timeZone,
+    revenue: fromCents(total),
+    jobs,
+    previous: { revenue: previous.revenue, jobs: previous.jobs },
+    change: { revenue: change(fromCents(total), previous.revenue), jobs: change(jobs, previous.jobs) },
+    series: entries.map(([bucket, { total: earned, jobs: paid }]) => ({ period: bucket, revenue: fromCents(earned), jobs: paid }))
+  };
+}
+
+// Groups of RANKINGS[name] that earned anything within `range`, highest
+// first
+async function rank(name, range, currency) {
+  const { as, attributes, groupBy } = RANKINGS[name];
+  const rows = await paidJobs(range, {
+    include: [{ model: Profile, as, attributes }],
+    group: [sequelize.col(`Contract.${as}.${groupBy}`)]
+  });
+  const groups = await sumInCurrency(rows, currency, (row) => row.Contract[as][groupBy]);
+
+  return groups
+    .filter((group) => group.total > 0)
+    .sort((a, b) => b.total - a.total)
+    .map((group, index) => ({ ...group, rank: index + 1, profile: group.row.Contract[as] }));
+}
+
+/**
+ * Ranks professions, contractors or clients (`name`) by what they earned or
+ * paid within `range`, up to `limit` entries, each with its rank and total
+ * in the previous period unless `compare` is false.
+ */
+async function ranking(name, range, currency, { limit, compare = true } = {}) {
+  const current = await rank(name, range, currency);
+  const previous = new Map(compare
+    ? (await rank(name, previousRange(range), currency)).map((group) => [group.key, group])
+    : []);
+
+  return {
+    period: period(range),
+    previousPeriod: period(previousRange(range)),
+    currency,
+    data: current.slice(0, limit).map((group) => {
+      const before = previous.get(group.key);
+      return {
+        rank: group.rank,
+        ...RANKINGS[name].describe(group.profile),
+        total: fromCents(group.total),
+        jobs: group.jobs,
+        previousRank: before ? before.rank : null,
+        previousTotal: fromCents(before ? before.total : 0),
+        change: change(group.total, before ? before.total : 0)
+      };
+    })
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  summary,
+  revenue,
+  ranking
+};
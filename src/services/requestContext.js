@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context for code that is not handed `req`, such as model
+ * hooks. middleware/requestContext runs each API request inside it; outside
+ * a request (scripts, tests calling services directly) current() is
+ * undefined.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `context` (`{ req }`) as the current context, including
+ * everything it awaits.
+ */
+const run = (context, fn) => storage.run(context, fn);
+
+const current = () => storage.getStore();
+
+module.exports = { run, current };
@@ -0,0 +1,28 @@
+const { Transaction } = require('sequelize');
+const { sequelize } = require('../model');
+
+/**
+ * SQLite has no row-level locks: a write transaction locks the whole database,
+ * and Sequelize runs every in-memory transaction on one shared connection.
+ * Balance-changing transactions therefore run one at a time:
+ *
+ * - in-process, through a promise queue, so that two requests never interleave
+ *   their reads and writes;
+ * - in the database, as BEGIN IMMEDIATE, so that the write lock is taken
+ *   before the first read and another process cannot change the rows read.
+ *
+ * Do not call runExclusive from inside another runExclusive callback; the
+ * inner call would wait for the outer one forever.
+ */
+let queue = Promise.resolve();
+
+function runExclusive(fn) {
+  const run = queue.then(() => sequelize.transaction(
+    { type: Transaction.TYPES.IMMEDIATE },
+    fn
+  ));
+  queue = run.catch(() => {});
+  return run;
+}
+
+module.exports = { runExclusive };
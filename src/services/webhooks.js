@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { WebhookSubscription, WebhookEvent, WebhookDelivery, Profile } = require('../model');
+const { runExclusive } = require('./transactions');
+const { isPrivateHost, publicLookup } = require('../utils/network');
+
+/**
+ * Webhooks.
+ *
+ * Profiles subscribe an endpoint URL to event types. Events concerning a
+ * profile (its job was paid, its contract terminated, ...) are delivered to
+ * its subscriptions; admin subscriptions receive every event.
+ *
+ * publish() writes the event and one pending delivery per subscription to
+ * the outbox in the transaction of the change itself, so an event exists if
+ * and only if the change was committed. The dispatcher sends due deliveries
+ * afterwards, outside of any business transaction:
+ *
+ *   pending ──2xx──▶ delivered
+ *      │ └─error──▶ pending, retried after an exponential backoff
+ *      └──maxAttempts errors──▶ dead (redelivered only on request)
+ *
+ * Each request is a POST of the JSON envelope
+ * `{ id, type, createdAt, data }` with the headers
+ *
+ *   X-Webhook-Id: <event id>
+ *   X-Webhook-Event: job.paid
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *
+ * where v1 signs `<t>.<raw body>` with the subscription secret, see
+ * verifySignature(). Events are delivered at least once.
+ */
+
+const EVENT_TYPES = [
+  'job.paid',
+  'job.funded',
+  'job.delivered',
+  'job.escrow_refunded',
+  'job.refunded',
+  'dispute.opened',
+  'dispute.resolved',
+  'balance.deposited',
+  'contract.accepted',
+  'contract.terminated',
+  'payout.completed',
+  'payout.failed'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Records `type` with its `data` for the active subscriptions of
+ * `profileIds` and of admins that listen to it. Must be called inside the
+ * transaction of the change the event describes. Returns the event, or null
+ * when nobody is subscribed.
+ */
+async function publish(type, data, { profileIds, transaction }) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown webhook event type: ${type}`);
+  }
+
+  const subscriptions = await WebhookSubscription.findAll({
+    where: {
+      active: true,
+      [Op.or]: [{ ProfileId: { [Op.in]: profileIds } }, { '$Profile.type$': 'admin' }]
+    },
+    include: [{ model: Profile, attributes: ['type'] }],
+    transaction
+  });
+  const recipients = subscriptions.filter((subscription) => subscription.events.includes(type));
+
+  if (!recipients.length) return null;
+
+  const event = await WebhookEvent.create({ type, payload: data }, { transaction });
+  await WebhookDelivery.bulkCreate(recipients.map((subscription) => ({
+    WebhookSubscriptionId: subscription.id,
+    WebhookEventId: event.id,
+    nextAttemptAt: event.createdAt
+  })), { transaction });
+
+  return event;
+}
+
+/**
+ * Signature of a request body, as sent in X-Webhook-Signature.
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Checks an X-Webhook-Signature header against the raw request body, for
+ * receivers. Signatures older than `toleranceSeconds` are refused, so that a
+ * captured request cannot be replayed later.
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const actual = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Seconds to wait before the attempt following attempt number `attempts`
+const retryDelay = (attempts) => Math.min(
+  config.webhooks.retryBaseSeconds * 2 ** (attempts - 1),
+  config.webhooks.retryMaxSeconds
+);
+
+/**
+ * POSTs `body` to `url`. Resolves with the response status, or rejects when
+ * the endpoint cannot be reached or does not answer in time, or when it is
+ * not allowed by config.webhooks. Subscriptions are checked when they are
+ * saved, but the endpoint is checked again here as a host name may resolve
+ * to another address by now.
+ */
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const { protocol, hostname } = new URL(url);
+    const { allowHttp, allowPrivateTargets } = config.webhooks;
+
+    if (protocol !== 'https:' && !allowHttp) {
+      throw new Error('Plain http endpoints are not allowed');
+    }
+    if (!allowPrivateTargets && isPrivateHost(hostname)) {
+      throw new Error(`${hostname} is a private address`);
+    }
+
+    const client = protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: config.webhooks.timeoutMs,
+      ...(!allowPrivateTargets && { lookup: publicLookup })
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`No response within ${config.webhooks.timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Sends one delivery. Resolves with the outcome, never rejects.
+ */
+async function attempt(delivery, now) {
+  const { WebhookSubscription: subscription, WebhookEvent: event } = delivery;
+  const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.payload });
+
+  try {
+    const status = await post(subscription.url, body, {
+      'X-Webhook-Id': String(event.id),
+      'X-Webhook-Event': event.type,
+      [SIGNATURE_HEADER]: sign(subscription.secret, Math.floor(now.getTime() / 1000), body)
+    });
+    return { responseStatus: status, error: status >= 200 && status < 300 ? null : `Endpoint answered ${status}` };
+  } catch (error) {
+    return { responseStatus: null, error: error.message };
+  }
+}
+
+/**
+ * Records the outcome of an attempt: delivered, retried later, or dead once
+ * the attempts are used up. Guarded on the attempt count, so that a delivery
+ * that was redelivered meanwhile is not overwritten.
+ */
+async function recordAttempt(delivery, { responseStatus, error }, now) {
+  const attempts = delivery.attempts + 1;
+  const changes = { attempts, lastAttemptAt: now, responseStatus, lastError: error && error.slice(0, 1000) };
+
+  if (!error) {
+    Object.assign(changes, { status: 'delivered', deliveredAt: now, nextAttemptAt: null });
+  } else if (attempts >= config.webhooks.maxAttempts) {
+    Object.assign(changes, { status: 'dead', nextAttemptAt: null });
+  } else {
+    changes.nextAttemptAt = new Date(now.getTime() + retryDelay(attempts) * 1000);
+  }
+
+  await runExclusive((transaction) => WebhookDelivery.update(changes, {
+    where: { id: delivery.id, status: 'pending', attempts: delivery.attempts },
+    transaction
+  }));
+}
+
+/**
+ * Sends the pending deliveries that are due at `now`, oldest first, one at a
+ * time. Deliveries of inactive subscriptions wait until they are activated
+ * again. Returns the number of deliveries attempted.
+ */
+async function dispatchDue({ now = new Date(), limit = config.webhooks.batchSize } = {}) {
+  const due = await WebhookDelivery.findAll({
+    where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+    include: [
+      { model: WebhookSubscription, where: { active: true } },
+      { model: WebhookEvent }
+    ],
+    order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+    limit
+  });
+
+  for (const delivery of due) {
+    await recordAttempt(delivery, await attempt(delivery, now), now);
+  }
+  return due.length;
+}
+
+/**
+ * Runs dispatchDue() every `intervalMs` until stop() is called. A run that
+ * fails is logged and the next one tries again.
+ */
+function startDispatcher({ intervalMs = config.webhooks.dispatchIntervalMs } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDue();
+    } catch (error) {
+      console.error('Webhook dispatch failed:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  generateSecret,
+  publish,
+  sign,
+  verifySignature,
+  retryDelay,
+  dispatchDue,
+  startDispatcher
+};
@@ -0,0 +1,41 @@
+/**
+ * CSV writer for exports (RFC 4180).
+ *
+ * Rows are written one at a time with CRLF line endings; fields holding a
+ * comma, a quote or a line break are quoted. Cells are typed the same way as
+ * in utils/xlsx: money is written with two decimals, dates as ISO 8601 UTC
+ * timestamps and null as an empty field.
+ *
+ * Text starting with =, +, - or @ would be run as a formula by spreadsheet
+ * applications, so it is prefixed with a single quote.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCell(value, type) {
+  if (value === null || value === undefined) return '';
+  if (type === 'money') return Number(value).toFixed(2);
+  if (type === 'date') return new Date(value).toISOString();
+  if (type === 'integer' || type === 'number') return String(value);
+
+  const text = String(value);
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+const quote = (field) => (/[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field);
+
+const csvLine = (fields) => `${fields.map(quote).join(',')}\r\n`;
+
+/**
+ * Writes a header line with the column headers, then one line per row of
+ * cell values, to `out` (see utils/export). `rows` may be async.
+ */
+async function writeCsv(out, { columns, rows }) {
+  await out.write(csvLine(columns.map((column) => column.header)));
+
+  for await (const cells of rows) {
+    await out.write(csvLine(cells.map((value, index) => formatCell(value, columns[index].type))));
+  }
+}
+
+module.exports = { writeCsv };
@@ -0,0 +1,270 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { rule, fail, oneOf, date, currency } = require('./validation');
+const { formatQuery } = require('./export');
+
+/**
+ * Date ranges of the admin reports.
+ *
+ * Every report takes the same query parameters, parsed by rangeQuery():
+ *
+ * - `start` and `end`: an ISO 8601 date (`2025-06-05`), a datetime with an
+ *   offset (`2025-06-05T15:30:00Z`, `...+02:00`) or a local datetime without
+ *   one (`2025-06-05T15:30`), which is read in `tz`. A date starts at
+ *   midnight in `tz`; as `end` it lasts until the end of that day, so
+ *   `end=2025-06-05` includes everything paid on the 5th. `end` must not be
+ *   before `start`, nor more than config.reports.maxRangeDays after it.
+ * - `range`: a relative range instead of `start` and `end`, one of
+ *   RELATIVE_RANGES, in whole days of `tz` up to the end of today.
+ * - `tz`: the IANA time zone days are counted in (default
+ *   config.reports.timeZone).
+ *
+ * toRange() turns the validated query into a { start, end } range of Dates,
+ * inclusive at both ends. previousRange() is the period of the same length
+ * just before a range, that reports compare against.
+ *
+ * The date filters of lists (`from` and `to`, `createdFrom` and `createdTo`,
+ * ...) take the end of their range with endDate(), so that a date as `to`
+ * lasts until the end of that day as well.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `2025-06-05`, then optionally a time and an offset
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const formatters = new Map();
+
+// Formats instants as the wall-clock time of `timeZone`
+function formatterOf(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Canonical name of an IANA time zone (`europe/berlin` -> `Europe/Berlin`),
+ * or null when there is no such zone.
+ */
+function canonicalTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    if (error instanceof RangeError) return null;
+    throw error;
+  }
+}
+
+// Wall-clock time of `timeZone` at `instant`, to the second, in milliseconds
+// as if it were UTC
+function wallClock(instant, timeZone) {
+  const parts = Object.fromEntries(formatterOf(timeZone).formatToParts(instant).map(({ type, value }) => [type, value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Offset of `timeZone` from UTC at `instant`, in milliseconds
+const offsetAt = (instant, timeZone) => wallClock(instant, timeZone) - Math.floor(instant.getTime() / 1000) * 1000;
+
+// The instant at which the clocks of `timeZone` show `wall` (see wallClock)
+function fromWallClock(wall, timeZone) {
+  const guess = wall - offsetAt(new Date(wall), timeZone);
+  return new Date(wall - offsetAt(new Date(guess), timeZone));
+}
+
+/**
+ * Calendar day (`2025-06-05`) of `instant` in `timeZone`.
+ */
+const dayOf = (instant, timeZone) => new Date(wallClock(instant, timeZone)).toISOString().slice(0, 10);
+
+/**
+ * First day of the day, week (from Monday), month or year `day` falls in.
+ */
+function startOf(day, unit) {
+  const date = new Date(`${day}T00:00:00Z`);
+
+  if (unit === 'week') date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+  if (unit === 'month') date.setUTCDate(1);
+  if (unit === 'year') date.setUTCMonth(0, 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * `day` moved by `count` days, weeks, months or years.
+ */
+function addTo(day, unit, count = 1) {
+  const date = new Date(`${day}T00:00:00Z`);
+
+  if (unit === 'day') date.setUTCDate(date.getUTCDate() + count);
+  if (unit === 'week') date.setUTCDate(date.getUTCDate() + 7 * count);
+  if (unit === 'month') date.setUTCMonth(date.getUTCMonth() + count);
+  if (unit === 'year') date.setUTCFullYear(date.getUTCFullYear() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+const startOfDay = (day, timeZone) => fromWallClock(Date.parse(`${day}T00:00:00Z`), timeZone);
+
+const endOfDay = (day, timeZone) => new Date(startOfDay(addTo(day, 'day'), timeZone).getTime() - 1);
+
+// First and last day of each relative range, given today's date
+const RELATIVE_RANGES = {
+  today: (today) => [today, today],
+  yesterday: (today) => [addTo(today, 'day', -1), addTo(today, 'day', -1)],
+  last_7_days: (today) => [addTo(today, 'day', -6), today],
+  last_30_days: (today) => [addTo(today, 'day', -29), today],
+  last_90_days: (today) => [addTo(today, 'day', -89), today],
+  this_week: (today) => [startOf(today, 'week'), today],
+  last_week: (today) => [addTo(startOf(today, 'week'), 'week', -1), addTo(startOf(today, 'week'), 'day', -1)],
+  this_month: (today) => [startOf(today, 'month'), today],
+  last_month: (today) => [addTo(startOf(today, 'month'), 'month', -1), addTo(startOf(today, 'month'), 'day', -1)],
+  this_year: (today) => [startOf(today, 'year'), today],
+  last_year: (today) => [addTo(startOf(today, 'year'), 'year', -1), addTo(startOf(today, 'year'), 'day', -1)]
+};
+
+/**
+ * The { start, end } range of the relative range `name` in `timeZone`, as of
+ * `now`.
+ */
+function relativeRange(name, timeZone, now = new Date()) {
+  const [first, last] = RELATIVE_RANGES[name](dayOf(now, timeZone));
+  return { start: startOfDay(first, timeZone), end: endOfDay(last, timeZone) };
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Parses `start` or `end` (see above) in `timeZone`. A date is its first
+ * moment, or its last with `endOfDate`. Returns null when `value` is not a
+ * valid date.
+ */
+function parseBound(value, timeZone, { endOfDate = false } = {}) {
+  const match = typeof value === 'string' && DATE_TIME_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '0', fraction = '0', offset] = match;
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(Number(year), Number(month))
+    || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  const date = `${year}-${month}-${day}`;
+  if (hour === undefined) return endOfDate ? endOfDay(date, timeZone) : startOfDay(date, timeZone);
+
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, Number(fraction.padEnd(3, '0').slice(0, 3)));
+  if (!offset) return fromWallClock(wall, timeZone);
+  if (offset === 'Z') return new Date(wall);
+
+  const [, sign, offsetHours, offsetMinutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  return new Date(wall - (sign === '-' ? -1 : 1) * (offsetHours * 60 + Number(offsetMinutes)) * 60 * 1000);
+}
+
+// The rules below read the sibling fields parsed before them, so the order
+// of rangeQuery() matters: tz, range, start, end.
+
+const timeZoneRule = () => rule((value, { name }) => {
+  const timeZone = typeof value === 'string' && canonicalTimeZone(value);
+  if (!timeZone) fail(`${name} must be an IANA time zone such as Europe/Berlin`);
+  return timeZone;
+}, { default: config.reports.timeZone });
+
+const rangeRule = () => rule((value, context) => {
+  oneOf(Object.keys(RELATIVE_RANGES)).parse(value, context);
+  return relativeRange(value, context.values.tz);
+});
+
+const boundRule = ({ end = false } = {}) => rule((value, { name, values }) => {
+  if (values.range) fail(`${name} cannot be combined with range`);
+
+  const parsed = parseBound(value, values.tz, { endOfDate: end });
+  if (!parsed) fail(`${name} must be a date`);
+
+  if (end && values.start) {
+    const { maxRangeDays } = config.reports;
+    if (parsed < values.start) fail(`${name} must not be before start`);
+    if (parsed - values.start >= maxRangeDays * DAY_MS) fail(`${name} must be within ${maxRangeDays} days of start`);
+  }
+  return parsed;
+}, { required: (values) => !values.range });
+
+/**
+ * Validation rules for `tz`, `range`, `start` and `end`, see
+ * middleware/validate.
+ */
+const rangeQuery = () => ({
+  tz: timeZoneRule(),
+  range: rangeRule(),
+  start: boundRule(),
+  end: boundRule({ end: true })
+});
+
+// A date without a time
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validation rule for the end of a list's date filter, like validation
+ * date() (the options are the same), except that a date is the last moment
+ * of that day in UTC rather than its first: `to=2025-06-05` includes
+ * everything of the 5th.
+ */
+function endDate(options) {
+  const base = date(options);
+
+  return rule((value, context) => {
+    const parsed = base.parse(value, context);
+    return DAY_PATTERN.test(value) ? endOfDay(value, 'UTC') : parsed;
+  }, options);
+}
+
+/**
+ * Query of every admin report: the period (rangeQuery()), the `currency`
+ * amounts are expressed in (default config.currency.reporting) and the
+ * export `format`, see utils/export.
+ */
+const reportQuery = () => ({
+  ...rangeQuery(),
+  currency: currency({ default: config.currency.reporting }),
+  ...formatQuery()
+});
+
+/**
+ * The { start, end } range of a query validated with rangeQuery().
+ */
+const toRange = ({ range, start, end }) => range || { start, end };
+
+/**
+ * The period of the same length that ends just before `range` starts.
+ */
+function previousRange({ start, end }) {
+  const span = end.getTime() - start.getTime();
+  return {
+    start: new Date(start.getTime() - span - 1),
+    end: new Date(start.getTime() - 1)
+  };
+}
+
+/**
+ * Where-condition on a date column for the range.
+ */
+const within = ({ start, end }) => ({ [Op.between]: [start, end] });
+
+module.exports = {
+  RELATIVE_RANGES,
+  rangeQuery,
+  reportQuery,
+  endDate,
+  toRange,
+  previousRange,
+  within,
+  dayOf,
+  startOf,
+  addTo
+};
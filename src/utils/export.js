@@ -0,0 +1,142 @@
+const { oneOf } = require('./validation');
+const { writeCsv } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+
+/**
+ * CSV and XLSX exports of reports and lists.
+ *
+ * A route that can be exported takes `format` in its query (formatQuery())
+ * and falls back to the Accept header, like invoices do; formatOf() tells
+ * whether to answer with JSON or with sendTable(), respond() does either. An
+ * export is described by its columns:
+ *
+ *   [
+ *     { header: 'Job ID', type: 'integer', value: 'id' },
+ *     { header: 'Price', type: 'money', value: (job) => job.price }
+ *   ]
+ *
+ * `value` is a field of the row or a function of it; `type` is one of
+ * COLUMN_TYPES and decides how the cell is written, the same way in both
+ * formats (money in units with two decimals, dates as UTC timestamps). Rows
+ * may come from an async iterable such as utils/pagination eachRow(); they
+ * are written to the response as they come, waiting for the client to take
+ * what was already sent.
+ */
+
+const FORMATS = ['json', 'csv', 'xlsx'];
+
+const COLUMN_TYPES = ['string', 'integer', 'number', 'money', 'date'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const WRITERS = { csv: writeCsv, xlsx: writeXlsx };
+
+// Bytes buffered before writing to the response
+const BUFFER_SIZE = 64 * 1024;
+
+/**
+ * Validation rule for `format`, see middleware/validate.
+ */
+const formatQuery = () => ({ format: oneOf(FORMATS) });
+
+/**
+ * `json`, `csv` or `xlsx`, from the validated `format` or else the Accept
+ * header.
+ */
+const formatOf = (req) => req.query.format || req.accepts(FORMATS) || 'json';
+
+// Resolves once `res` drained, rejects if the client went away first
+function drained(res) {
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('Export aborted: the client closed the connection'));
+
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+/**
+ * Buffered writer to `res` for the CSV and XLSX writers: write() resolves
+ * once the response can take more.
+ */
+function responseWriter(res) {
+  let chunks = [];
+  let size = 0;
+
+  const flush = async () => {
+    if (!size) return;
+
+    const data = Buffer.concat(chunks, size);
+    chunks = [];
+    size = 0;
+    if (!res.write(data)) await drained(res);
+  };
+
+  return {
+    async write(chunk) {
+      const data = Buffer.from(chunk);
+      chunks.push(data);
+      size += data.length;
+      if (size >= BUFFER_SIZE) await flush();
+    },
+    async end() {
+      await flush();
+      res.end();
+    }
+  };
+}
+
+async function* cellsOf(columns, rows) {
+  for await (const row of rows) {
+    yield columns.map(({ value }) => (typeof value === 'function' ? value(row) : row[value]));
+  }
+}
+
+/**
+ * Sends `rows` as a `format` (csv or xlsx) attachment named `name`, one
+ * line per row with the `columns`. Once the first bytes are sent an error
+ * can no longer be reported; the connection is then closed, see
+ * middleware/errorHandler.
+ */
+async function sendTable(res, format, { name, columns, rows }) {
+  for (const column of columns) {
+    if (!COLUMN_TYPES.includes(column.type)) {
+      throw new Error(`Unknown export column type: ${column.type}`);
+    }
+  }
+
+  res
+    .set('Content-Type', CONTENT_TYPES[format])
+    .set('Content-Disposition', `attachment; filename="${name}.${format}"`);
+
+  const out = responseWriter(res);
+  await WRITERS[format](out, { columns, rows: cellsOf(columns, rows), sheetName: name });
+  await out.end();
+}
+
+/**
+ * Responds with `body` as JSON, or with the `table` (see sendTable()) when
+ * an export is requested.
+ */
+function respond(req, res, body, table) {
+  const format = formatOf(req);
+  return format === 'json' ? res.json(body) : sendTable(res, format, table);
+}
+
+module.exports = {
+  FORMATS,
+  formatQuery,
+  formatOf,
+  sendTable,
+  respond
+};
@@ -0,0 +1,95 @@
+const Sequelize = require('sequelize');
+const { BadRequestError } = require('../errors');
+
+/**
+ * Money helpers.
+ *
+ * Amounts are stored and computed as integer minor units (cents) and only
+ * converted to decimal units at the edges: when reading request input and
+ * when serializing responses. Never add or compare amounts as floats.
+ */
+
+// Largest amount accepted in a single request: 1,000,000.00
+const MAX_AMOUNT_CENTS = 100000000;
+
+const DECIMAL_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+class MoneyError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'invalid_amount' });
+  }
+}
+
+/**
+ * Converts an amount in units (e.g. 12.34) to integer cents (1234).
+ * Rounds to the nearest cent to absorb float representation error.
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Converts integer cents to a number of units for JSON responses.
+ */
+const fromCents = (cents) => (cents === null || cents === undefined ? cents : Number(cents) / 100);
+
+/**
+ * Validates an amount from request input and returns it in cents. Accepts a
+ * number or a decimal string with at most two decimals; the amount must be
+ * positive and not exceed MAX_AMOUNT_CENTS.
+ */
+function parseAmount(input, { field = 'amount', max = MAX_AMOUNT_CENTS } = {}) {
+  if (input === undefined || input === null || input === '') {
+    throw new MoneyError(`${field} is required`);
+  }
+
+  if (typeof input !== 'number' && typeof input !== 'string') {
+    throw new MoneyError(`${field} must be a number`);
+  }
+
+  const text = typeof input === 'number' ? String(input) : input.trim();
+
+  if (typeof input === 'number' && input < 0) {
+    throw new MoneyError(`${field} must be positive`);
+  }
+
+  if (!DECIMAL_PATTERN.test(text)) {
+    throw new MoneyError(`${field} must be a number with at most two decimals`);
+  }
+
+  const cents = toCents(text);
+
+  if (cents <= 0) {
+    throw new MoneyError(`${field} must be positive`);
+  }
+
+  if (cents > max) {
+    throw new MoneyError(`${field} cannot exceed ${fromCents(max)}`);
+  }
+
+  return cents;
+}
+
+/**
+ * Sequelize attribute definition for an amount stored as integer cents and
+ * exposed in units through the model getter/setter.
+ */
+const centsAttribute = (name, options = {}) => ({
+  type: Sequelize.INTEGER,
+  ...options,
+  get() {
+    return fromCents(this.getDataValue(name));
+  },
+  set(value) {
+    // Pass null and SQL expressions (sequelize.literal) through unchanged
+    const raw = value === null || value === undefined || typeof value === 'object';
+    this.setDataValue(name, raw ? value : toCents(value));
+  }
+});
+
+module.exports = {
+  MAX_AMOUNT_CENTS,
+  MoneyError,
+  toCents,
+  fromCents,
+  parseAmount,
+  centsAttribute
+};
@@ -0,0 +1,88 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards against requests to internal hosts (SSRF) when the server calls
+ * URLs given by users, such as webhook endpoints.
+ *
+ * isPrivateHost() tells whether the host of a URL is a loopback, private,
+ * link-local (e.g. the cloud metadata service at 169.254.169.254) or
+ * otherwise non-public address, or a name that always means this machine.
+ * A public name can still resolve to such an address, so publicLookup() is
+ * passed to http.request() to check the addresses it actually connects to.
+ */
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is not a public one. IPv4 addresses mapped to IPv6
+ * (`::ffff:127.0.0.1`) are checked as IPv4.
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) throw new Error(`Not an IP address: ${address}`);
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether the host name of a URL (`URL.hostname`, so IPv6 addresses come in
+ * brackets) is a private address or a name of this machine. Other names are
+ * only checked once resolved, see publicLookup().
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+/**
+ * dns.lookup() for the `lookup` option of http.request() that fails when the
+ * host name resolves to a private address, so that the address checked is
+ * the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(({ address }) => isPrivateAddress(address));
+    if (refused) {
+      return callback(new Error(`${hostname} resolves to the private address ${refused.address}`));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  publicLookup
+};
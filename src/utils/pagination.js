@@ -0,0 +1,155 @@
+const { Op } = require('sequelize');
+const { rule, fail, integer } = require('./validation');
+
+/**
+ * Cursor pagination and sorting for list endpoints.
+ *
+ * A list is ordered by one sort field and then by id, and `nextCursor`
+ * encodes the sort key of the last row returned. The next page continues
+ * strictly after that row (keyset pagination), so rows inserted or removed
+ * meanwhile do not shift pages the way limit/offset does. Every list responds
+ * with the same envelope:
+ *
+ *   { "data": [...], "nextCursor": "eyJr..." | null, "total": 42 }
+ *
+ * `total` counts every row matching the filters, across all pages. A cursor
+ * is only valid with the sort it was issued for and should be sent with the
+ * same filters.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Rows fetched at a time by eachRow()
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * `sort=price` sorts ascending, `sort=-price` descending.
+ */
+function parseSort(key, fields) {
+  const field = key.replace(/^-/, '');
+
+  if (!fields.includes(field)) {
+    fail(`sort must be one of ${fields.join(', ')}, optionally prefixed with -`);
+  }
+  return { key, field, direction: key.startsWith('-') ? 'DESC' : 'ASC' };
+}
+
+function encodeCursor(sort, row) {
+  const value = row.getDataValue(sort.field);
+  const isDate = value instanceof Date;
+  const payload = { k: sort.key, v: isDate ? value.toISOString() : value, d: isDate, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    fail('Invalid cursor');
+  }
+
+  if (!payload || !sort || payload.k !== sort.key || !Number.isInteger(payload.id) || payload.v === undefined) {
+    fail('Invalid cursor');
+  }
+  return { value: payload.d ? new Date(payload.v) : payload.v, id: payload.id };
+}
+
+/**
+ * Query schema for `limit`, `sort` and `cursor`, to spread into a route's
+ * query schema. `sortFields` are the attributes the list may be sorted by;
+ * they must not be nullable. After validation `req.query` can be passed to
+ * paginate() as the page.
+ */
+function pageQuery({ sortFields, defaultSort = '-createdAt' }) {
+  return {
+    limit: integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }),
+    sort: rule((value) => parseSort(String(value), sortFields), { default: parseSort(defaultSort, sortFields) }),
+    // Decoded against the sort parsed just before it
+    cursor: rule((value, { values }) => decodeCursor(value, values.sort))
+  };
+}
+
+// Up to `limit` rows matching `where`, in `sort` order, strictly after
+// `cursor` when given
+function findAfter(Model, { where, include, sort, cursor, limit }) {
+  const conditions = [where];
+
+  if (cursor) {
+    const past = sort.direction === 'DESC' ? Op.lt : Op.gt;
+    conditions.push({
+      [Op.or]: [
+        { [sort.field]: { [past]: cursor.value } },
+        { [sort.field]: cursor.value, id: { [past]: cursor.id } }
+      ]
+    });
+  }
+
+  return Model.findAll({
+    where: { [Op.and]: conditions },
+    include,
+    order: [[sort.field, sort.direction], ['id', sort.direction]],
+    limit
+  });
+}
+
+const cursorOf = (sort, row) => ({ value: row.getDataValue(sort.field), id: row.id });
+
+/**
+ * Returns one page of `Model` rows matching `where` (and `include`) as the
+ * list envelope. `page` holds the validated `limit`, `sort` and `cursor`.
+ */
+async function paginate(Model, { where = {}, include, page }) {
+  const { limit, sort, cursor } = page;
+
+  const [rows, total] = await Promise.all([
+    findAfter(Model, { where, include, sort, cursor, limit: limit + 1 }),
+    Model.count({ where, include, distinct: true, col: 'id' })
+  ]);
+
+  const data = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(sort, data[data.length - 1]) : null;
+
+  return { data, nextCursor, total };
+}
+
+/**
+ * Yields every `Model` row matching `where` (and `include`) in `sort` order,
+ * fetched `batchSize` rows at a time the same way as pages, for exports that
+ * must not hold the whole list in memory. `limit` and `cursor` do not apply.
+ */
+async function* eachRow(Model, { where = {}, include, sort, batchSize = EXPORT_BATCH_SIZE }) {
+  let cursor;
+
+  for (;;) {
+    const rows = await findAfter(Model, { where, include, sort, cursor, limit: batchSize });
+    yield* rows;
+
+    if (rows.length < batchSize) return;
+    cursor = cursorOf(sort, rows[rows.length - 1]);
+  }
+}
+
+/**
+ * Builds a where-condition for a `[from, to]` range, inclusive at both ends;
+ * either end may be undefined. Returns undefined when both are. Date filters
+ * parse their `to` with utils/dateRange endDate(), so that a date covers the
+ * whole day.
+ */
+function range(from, to) {
+  if (from === undefined && to === undefined) return undefined;
+
+  return {
+    ...(from !== undefined && { [Op.gte]: from }),
+    ...(to !== undefined && { [Op.lte]: to })
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  pageQuery,
+  paginate,
+  eachRow,
+  range
+};
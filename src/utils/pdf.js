@@ -0,0 +1,103 @@
+/**
+ * Minimal PDF writer for text documents (invoices).
+ *
+ * A document is a list of lines, laid out top to bottom on A4 pages with
+ * the standard Type 1 fonts, which every PDF reader has, so nothing is
+ * embedded. Text is WinAnsi (Latin-1): other characters are replaced by `?`.
+ *
+ *   renderPdf([
+ *     { text: 'Invoice INV-000042', font: 'bold', size: 18 },
+ *     { text: '' },
+ *     { text: 'Logo design            100.00 USD', font: 'mono' }
+ *   ], { title: 'Invoice INV-000042' })
+ *
+ * `mono` (Courier) lines can be aligned in columns with padStart/padEnd.
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LEADING = 1.4;
+
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', mono: 'Courier' };
+const FONT_NAMES = Object.keys(FONTS);
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/[\\()]/g, '\\$&');
+
+/**
+ * Places the lines on pages. Returns one content stream per page.
+ */
+function layout(lines) {
+  const pages = [];
+  let commands = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const { text = '', font = 'regular', size = 10 } of lines) {
+    const height = size * LEADING;
+    if (y - height < MARGIN && commands.length) {
+      pages.push(commands.join('\n'));
+      commands = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+
+    if (text) {
+      const resource = `F${FONT_NAMES.indexOf(font) + 1}`;
+      commands.push(`BT /${resource} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+    }
+  }
+  pages.push(commands.join('\n'));
+  return pages;
+}
+
+/**
+ * Renders `lines` into a PDF. Returns a Buffer.
+ */
+function renderPdf(lines, { title = '' } = {}) {
+  for (const line of lines) {
+    if (line.font && !FONTS[line.font]) {
+      throw new Error(`Unknown PDF font: ${line.font}`);
+    }
+  }
+
+  const pages = layout(lines);
+  const fontIds = FONT_NAMES.map((name, index) => 4 + index);
+  const firstPageId = 4 + FONT_NAMES.length;
+  // Each page is a page object followed by its content stream
+  const pageIds = pages.map((content, index) => firstPageId + index * 2);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    `<< /Title (${escapeText(title)}) /Producer (deel-backend-task) >>`,
+    ...FONT_NAMES.map((name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name]} /Encoding /WinAnsiEncoding >>`)
+  ];
+  const fonts = FONT_NAMES.map((name, index) => `/F${index + 1} ${fontIds[index]} 0 R`).join(' ');
+
+  pages.forEach((content, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fonts} >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,267 @@
+const { ValidationError } = require('../errors');
+const { parseAmount, fromCents, MoneyError } = require('./money');
+
+/**
+ * Declarative request validation.
+ *
+ * A schema maps each allowed field of a request location (`params`, `query`
+ * or `body`) to a rule. A rule is built by one of the functions below, takes
+ * `{ required, default }` among its options, and parses the raw value into a
+ * typed one or fails with a message naming the field. `required` may be a
+ * function of the fields parsed before it, for fields that are only
+ * required without some other one. Query and path values
+ * arrive as strings and are coerced (e.g. `"5"` to `5`); body values must
+ * already have the right JSON type.
+ *
+ * Fields that are not in the schema are rejected.
+ */
+
+// Thrown by a rule's parse function; turned into a detail by validateValues
+class RuleFailure extends Error {}
+
+const fail = (message) => {
+  throw new RuleFailure(message);
+};
+
+const fromQuery = (context) => context.location !== 'body';
+
+function rule(parse, { required = false, default: defaultValue } = {}) {
+  return { parse, required, default: defaultValue };
+}
+
+/**
+ * Checks that a value is not below the sibling field `from`, for the end of
+ * a range (e.g. `createdTo` against `createdFrom`).
+ */
+function checkRangeEnd(value, from, context) {
+  const start = from && context.values[from];
+  if (start !== undefined && start !== null && value < start) {
+    fail(`${context.name} must not be before ${from}`);
+  }
+  return value;
+}
+
+function string({ min = 1, max = 255, pattern, patternMessage, ...options } = {}) {
+  return rule((value, { name }) => {
+    if (typeof value !== 'string') fail(`${name} must be a string`);
+    if (value.trim().length < min) fail(min === 1 ? `${name} must not be empty` : `${name} must be at least ${min} characters`);
+    if (value.length > max) fail(`${name} must be at most ${max} characters`);
+    if (pattern && !pattern.test(value)) fail(patternMessage ? patternMessage(name) : `${name} has an invalid format`);
+    return value;
+  }, options);
+}
+
+function integer({ min, max, ...options } = {}) {
+  const expected = (min !== undefined && max !== undefined && `an integer between ${min} and ${max}`)
+    || (min === 1 && 'a positive integer')
+    || (min !== undefined && `an integer of at least ${min}`)
+    || (max !== undefined && `an integer of at most ${max}`)
+    || 'an integer';
+
+  return rule((value, context) => {
+    const number = fromQuery(context) && typeof value === 'string' && /^-?\d+$/.test(value)
+      ? Number(value)
+      : value;
+
+    if (!Number.isInteger(number) || (min !== undefined && number < min) || (max !== undefined && number > max)) {
+      fail(`${context.name} must be ${expected}`);
+    }
+    return number;
+  }, options);
+}
+
+// Database id: a positive integer
+const id = (options = {}) => integer({ min: 1, ...options });
+
+function number({ positive = false, ...options } = {}) {
+  return rule((value, context) => {
+    const { name } = context;
+    const parsed = fromQuery(context) && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) fail(`${name} must be a number`);
+    if (positive && parsed <= 0) fail(`${name} must be a positive number`);
+    return parsed;
+  }, options);
+}
+
+/**
+ * JSON boolean in the body; `true` or `false` in the query. Returns a boolean.
+ */
+function boolean(options = {}) {
+  return rule((value, context) => {
+    const parsed = fromQuery(context) && (value === 'true' || value === 'false') ? value === 'true' : value;
+
+    if (typeof parsed !== 'boolean') fail(`${context.name} must be a boolean`);
+    return parsed;
+  }, options);
+}
+
+/**
+ * Money amount in units, validated with utils/money parseAmount: positive,
+ * at most two decimals, not above the maximum. Body amounts must be JSON
+ * numbers. Returns the amount in units.
+ */
+function amount({ from, ...options } = {}) {
+  return rule((value, context) => {
+    const { name } = context;
+    if (!fromQuery(context) && typeof value !== 'number') fail(`${name} must be a number`);
+
+    let cents;
+    try {
+      cents = parseAmount(value, { field: name });
+    } catch (error) {
+      if (error instanceof MoneyError) fail(error.message);
+      throw error;
+    }
+    return checkRangeEnd(fromCents(cents), from, context);
+  }, options);
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * ISO 8601 date (`2025-06-05`) or timestamp (`2025-06-05T15:30:00Z`).
+ * Returns a Date.
+ */
+function date({ from, ...options } = {}) {
+  return rule((value, context) => {
+    const { name } = context;
+    const parsed = typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(value) : null;
+
+    if (!parsed || isNaN(parsed)) fail(`${name} must be a date`);
+    return checkRangeEnd(parsed, from, context);
+  }, options);
+}
+
+function oneOf(values, options = {}) {
+  return rule((value, { name }) => {
+    if (!values.includes(value)) fail(`${name} must be one of ${values.join(', ')}`);
+    return value;
+  }, options);
+}
+
+/**
+ * Subset of `values`: a comma-separated string in the query
+ * (`status=new,in_progress`), an array in the body. Returns an array.
+ */
+function listOf(values, options = {}) {
+  return rule((value, context) => {
+    const { name } = context;
+    const items = fromQuery(context) && typeof value === 'string'
+      ? value.split(',').map((item) => item.trim())
+      : value;
+
+    if (!Array.isArray(items) || !items.length || items.some((item) => !values.includes(item))) {
+      fail(`${name} must be one or more of ${values.join(', ')}`);
+    }
+    return items;
+  }, options);
+}
+
+/**
+ * JSON array whose items each pass `item`, e.g. `arrayOf(id(), { max: 100 })`.
+ * With `unique`, repeated items are rejected. Returns the parsed items.
+ */
+function arrayOf(item, { min = 1, max, unique = false, ...options } = {}) {
+  return rule((value, context) => {
+    const { name } = context;
+    if (!Array.isArray(value)) fail(`${name} must be an array`);
+    if (value.length < min) fail(`${name} must have at least ${min} item${min === 1 ? '' : 's'}`);
+    if (max !== undefined && value.length > max) fail(`${name} must have at most ${max} items`);
+
+    const items = value.map((entry, index) => item.parse(entry, { ...context, name: `${name}[${index}]` }));
+    if (unique && new Set(items).size !== items.length) fail(`${name} must not contain duplicates`);
+    return items;
+  }, options);
+}
+
+// ISO 4217 currency code
+const currency = (options = {}) => string({
+  pattern: /^[A-Z]{3}$/,
+  patternMessage: (name) => `${name} must be an ISO 4217 code such as USD`,
+  ...options
+});
+
+/**
+ * Absolute URL with one of `protocols`. Returns the URL as given.
+ */
+function url({ protocols = ['http:', 'https:'], max = 2048, ...options } = {}) {
+  const base = string({ max });
+
+  return rule((value, context) => {
+    const { name } = context;
+    base.parse(value, context);
+
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      fail(`${name} must be a URL`);
+    }
+    if (!protocols.includes(parsed.protocol)) {
+      fail(`${name} must be an ${protocols.map((protocol) => protocol.replace(':', '')).join(' or ')} URL`);
+    }
+    return value;
+  }, options);
+}
+
+/**
+ * Parses `values` (one request location) against `schema`. Returns the
+ * parsed values with defaults applied, or throws a ValidationError listing
+ * every failing field.
+ */
+function validateValues(schema, values = {}, location) {
+  const details = [];
+  const parsed = {};
+
+  for (const field of Object.keys(values)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      details.push({ location, field, message: `${field} is not allowed` });
+    }
+  }
+
+  for (const [field, fieldRule] of Object.entries(schema)) {
+    const value = values[field];
+
+    if (value === undefined || value === null || value === '') {
+      const required = typeof fieldRule.required === 'function' ? fieldRule.required(parsed) : fieldRule.required;
+      if (required) {
+        details.push({ location, field, message: `${field} is required` });
+      } else if (fieldRule.default !== undefined) {
+        parsed[field] = fieldRule.default;
+      }
+      continue;
+    }
+
+    try {
+      parsed[field] = fieldRule.parse(value, { name: field, location, values: parsed });
+    } catch (error) {
+      if (!(error instanceof RuleFailure)) throw error;
+      details.push({ location, field, message: error.message });
+    }
+  }
+
+  if (details.length) {
+    throw new ValidationError(details);
+  }
+  return parsed;
+}
+
+module.exports = {
+  ValidationError,
+  fail,
+  rule,
+  string,
+  integer,
+  id,
+  number,
+  boolean,
+  amount,
+  date,
+  oneOf,
+  listOf,
+  arrayOf,
+  currency,
+  url,
+  validateValues
+};
@@ -0,0 +1,308 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * Minimal XLSX writer for exports: one worksheet, streamed.
+ *
+ * An XLSX file is a ZIP archive of XML parts. The fixed parts (content
+ * types, relationships, workbook and styles) are small and compressed in one
+ * go; the worksheet is deflated while its rows are written, with its CRC and
+ * sizes in a data descriptor after it, so a sheet of any length is never
+ * held in memory. There is no ZIP64, which limits a sheet to 4 GB.
+ *
+ * Cells are typed like utils/csv: text is written as inline strings, money
+ * with the `#,##0.00` format and dates as Excel dates (UTC) formatted
+ * `yyyy-mm-dd hh:mm:ss`. The header row is bold and frozen.
+ */
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Indexes into cellXfs of styles.xml
+const STYLES = { header: 1, money: 2, date: 3 };
+
+// Excel counts days from 1899-12-30
+const EXCEL_EPOCH_DAYS = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Worksheet XML is deflated in chunks of about this many characters
+const CHUNK_SIZE = 16 * 1024;
+
+const CONTENT_TYPES = `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+  + '</Types>';
+
+const ROOT_RELATIONSHIPS = `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">`
+  + `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>`
+  + '</Relationships>';
+
+const WORKBOOK_RELATIONSHIPS = `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">`
+  + `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+  + `<Relationship Id="rId2" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>`
+  + '</Relationships>';
+
+const STYLESHEET = `${XML_DECLARATION}<styleSheet xmlns="${MAIN_NS}">`
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="4">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '</cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+const workbook = (sheetName) => `${XML_DECLARATION}<workbook xmlns="${MAIN_NS}" xmlns:r="${RELATIONSHIPS_NS}">`
+  + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+// Characters XML 1.0 does not allow are dropped
+function escapeXml(text) {
+  return String(text)
+    .replace(/[^\t\n\r\u{20}-\u{D7FF}\u{E000}-\u{FFFD}\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function cellXml(ref, value, type, style) {
+  if (value === null || value === undefined) return '';
+
+  const styled = style ? ` s="${style}"` : '';
+  if (type === 'date') {
+    return `<c r="${ref}"${styled}><v>${new Date(value).getTime() / DAY_MS + EXCEL_EPOCH_DAYS}</v></c>`;
+  }
+  if (type === 'money' || type === 'integer' || type === 'number') {
+    return `<c r="${ref}"${styled}><v>${Number(value)}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${styled}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function rowXml(number, cells, columns, header = false) {
+  const xml = cells.map((value, index) => {
+    const type = header ? 'string' : columns[index].type;
+    return cellXml(`${columnName(index)}${number}`, value, type, header ? STYLES.header : STYLES[type]);
+  });
+  return `<row r="${number}">${xml.join('')}</row>`;
+}
+
+/**
+ * Worksheet XML of the rows, yielded in chunks.
+ */
+async function* worksheet(columns, rows) {
+  let xml = `${XML_DECLARATION}<worksheet xmlns="${MAIN_NS}">`
+    + '<sheetViews><sheetView workbookViewId="0">'
+    + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+    + '</sheetView></sheetViews>'
+    + `<sheetData>${rowXml(1, columns.map((column) => column.header), columns, true)}`;
+  let number = 1;
+
+  for await (const cells of rows) {
+    number += 1;
+    xml += rowXml(number, cells, columns);
+    if (xml.length >= CHUNK_SIZE) {
+      yield xml;
+      xml = '';
+    }
+  }
+  yield `${xml}</sheetData></worksheet>`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data, previous = 0) {
+  let crc = ~previous;
+  for (let i = 0; i < data.length; i += 1) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+// MS-DOS time and date of the archive entries
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// General purpose flags: sizes in a data descriptor, UTF-8 names
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+/**
+ * Writes a ZIP archive to `out` one entry at a time.
+ */
+class ZipWriter {
+  constructor(out) {
+    this.out = out;
+    this.offset = 0;
+    this.entries = [];
+    this.modified = dosDateTime(new Date());
+  }
+
+  async put(data) {
+    this.offset += data.length;
+    await this.out.write(data);
+  }
+
+  localHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    return Buffer.concat([header, entry.name]);
+  }
+
+  centralHeader(entry) {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(VERSION, 6);
+    header.writeUInt16LE(entry.flags, 8);
+    header.writeUInt16LE(DEFLATE, 10);
+    header.writeUInt16LE(this.modified.time, 12);
+    header.writeUInt16LE(this.modified.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.name]);
+  }
+
+  /**
+   * Adds an entry whose whole content is at hand.
+   */
+  async addFile(name, content) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name: Buffer.from(name),
+      flags: FLAG_UTF8,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    this.entries.push(entry);
+    await this.put(this.localHeader(entry));
+    await this.put(compressed);
+  }
+
+  /**
+   * Adds an entry from an (async) iterable of chunks, deflated as they come.
+   * Waits for `out` to take each compressed chunk before reading more.
+   */
+  async addStream(name, chunks) {
+    const entry = {
+      name: Buffer.from(name),
+      flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      offset: this.offset
+    };
+    this.entries.push(entry);
+    await this.put(this.localHeader(entry));
+
+    const deflate = zlib.createDeflateRaw();
+    const written = (async () => {
+      for await (const compressed of deflate) {
+        entry.compressedSize += compressed.length;
+        await this.put(compressed);
+      }
+    })();
+    written.catch((error) => deflate.destroy(error));
+
+    try {
+      for await (const chunk of chunks) {
+        const data = Buffer.from(chunk);
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        if (!deflate.write(data)) await once(deflate, 'drain');
+      }
+      deflate.end();
+    } catch (error) {
+      deflate.destroy(error);
+      throw error;
+    }
+    await written;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.put(descriptor);
+  }
+
+  /**
+   * Writes the central directory, which ends the archive.
+   */
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      await this.put(this.centralHeader(entry));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.put(end);
+  }
+}
+
+/**
+ * Writes a workbook with one sheet named `sheetName`: a header row with the
+ * column headers, then one row per row of cell values. Written to `out` (see
+ * utils/export); `rows` may be async.
+ */
+async function writeXlsx(out, { columns, rows, sheetName = 'Sheet1' }) {
+  const zip = new ZipWriter(out);
+
+  await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addFile('_rels/.rels', ROOT_RELATIONSHIPS);
+  await zip.addFile('xl/workbook.xml', workbook(sheetName));
+  await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELATIONSHIPS);
+  await zip.addFile('xl/styles.xml', STYLESHEET);
+  await zip.addStream('xl/worksheets/sheet1.xml', worksheet(columns, rows));
+  await zip.finish();
+}
+
+module.exports = { writeXlsx };
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../src/app');
 const { Profile, Contract, Job, sequelize } = require('../src/model');
 
+let adminProfile;
 let clientProfile;
 let contractorProfile;
 let contract;
@@ -9,6 +10,13 @@ let job;
 
 beforeAll(async () => {
   // Create test profiles
+  adminProfile = await Profile.create({
+    firstName: 'Admin',
+    lastName: 'Admin',
+    profession: 'Administrator',
+    balance: 0,
+    type: 'admin'
+  });
   clientProfile = await Profile.create({
     firstName: 'Admin',
     lastName: 'Client',
@@ -45,9 +53,43 @@ afterAll(async () => {
   await contract.destroy();
   await clientProfile.destroy();
   await contractorProfile.destroy();
+  await adminProfile.destroy();
 });
 
 describe('Admin Routes', () => {
+  describe.each([
+    ['/api/v1/admin/best-profession'],
+    ['/api/v1/admin/best-clients']
+  ])('access control for %s', (path) => {
+    const query = { start: '2019-12-31', end: '2025-12-30' };
+
+    it('should return 403 for a client', async () => {
+      const response = await request(app)
+        .get(path)
+        .set('profile_id', clientProfile.id)
+        .query(query);
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error', 'Forbidden: requires admin role');
+    });
+
+    it('should return 403 for a contractor', async () => {
+      const response = await request(app)
+        .get(path)
+        .set('profile_id', contractorProfile.id)
+        .query(query);
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error', 'Forbidden: requires admin role');
+    });
+
+    it('should allow an admin', async () => {
+      const response = await request(app)
+        .get(path)
+        .set('profile_id', adminProfile.id)
+        .query(query);
+      expect(response.status).toBe(200);
+    });
+  });
+
   describe('GET /admin/best-profession', () => {
     it('should return 401 if profile_id is not set', async () => {
       const response = await request(app)
@@ -63,7 +105,7 @@ describe('Admin Routes', () => {
     it('should return 400 if date range is not provided', async () => {
       const response = await request(app)
         .get('/api/v1/admin/best-profession')
-        .set('profile_id', '1');
+        .set('profile_id', adminProfile.id);
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
@@ -85,7 +127,7 @@ describe('Admin Routes', () => {
     it('should return 400 if date range is not provided', async () => {
       const response = await request(app)
         .get('/api/v1/admin/best-clients')
-        .set('profile_id', '1')
+        .set('profile_id', adminProfile.id)
         .query({ limit: 2 });
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
@@ -94,7 +136,7 @@ describe('Admin Routes', () => {
     it('should use default limit of 2 if not provided', async () => {
       const response = await request(app)
         .get('/api/v1/admin/best-clients')
-        .set('profile_id', '1')
+        .set('profile_id', adminProfile.id)
         .query({
           start: '2019-12-31',
           end: '2025-12-30'
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, AuditEvent } = require('../src/model');
+const context = require('../src/services/requestContext');
+
+describe('Audit log', () => {
+  let adminProfile;
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+
+  const createJob = (price) => Job.create({ description: `Audited ${price}`, price, paid: false, ContractId: contract.id });
+
+  const eventsOf = (requestId) => AuditEvent.findAll({ where: { requestId }, order: [['id', 'ASC']] });
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Audit',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Audit',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 1000,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Audit',
+      lastName: 'Contractor',
+      profession: 'Auditor',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Audited',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record every row a payment changes, with actor, route and request id', async () => {
+    const job = await createJob(100);
+
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id)
+      .set('X-Request-Id', 'audit-pay-1');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-request-id']).toBe('audit-pay-1');
+
+    const events = await eventsOf('audit-pay-1');
+    expect(events.map((event) => `${event.action} ${event.entityType}`).sort()).toEqual([
+      'create Invoice',
+      'create Payment',
+      'update Job',
+      'update Profile',
+      'update Profile'
+    ]);
+    events.forEach((event) => {
+      expect(event).toMatchObject({ ActorId: clientProfile.id, route: 'POST /api/v1/jobs/:job_id/pay' });
+      expect(event.ip).toBeTruthy();
+    });
+
+    const jobEvent = events.find((event) => event.entityType === 'Job');
+    expect(jobEvent.entityId).toBe(job.id);
+    expect(jobEvent.before).toEqual({ paid: false, paymentDate: null });
+    expect(jobEvent.after).toMatchObject({ paid: true });
+
+    const clientEvent = events.find((event) => event.entityType === 'Profile' && event.entityId === clientProfile.id);
+    expect(clientEvent.before).toEqual({ balance: 1000 });
+    expect(clientEvent.after).toEqual({ balance: 900 });
+  });
+
+  it('should generate a request id when none is given', async () => {
+    const job = await createJob(10);
+
+    const response = await request(app)
+      .patch(`/api/v1/jobs/${job.id}`)
+      .set('profile_id', clientProfile.id)
+      .send({ price: 12.5 });
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+    const events = await eventsOf(requestId);
+    const jobEvent = events.find((event) => event.entityType === 'Job');
+    expect(jobEvent).toMatchObject({ action: 'update', before: { price: 10 }, after: { price: 12.5 } });
+    expect(events.map((event) => event.entityType)).toContain('JobPriceChange');
+  });
+
+  it('should not record reads or rejected changes', async () => {
+    const job = await createJob(5000);
+
+    await request(app)
+      .get('/api/v1/jobs')
+      .set('profile_id', clientProfile.id)
+      .set('X-Request-Id', 'audit-read');
+    const rejected = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id)
+      .set('X-Request-Id', 'audit-rejected');
+
+    expect(rejected.status).toBe(400);
+    expect(await eventsOf('audit-read')).toEqual([]);
+    expect(await eventsOf('audit-rejected')).toEqual([]);
+  });
+
+  it('should roll the change back when its audit event cannot be written', async () => {
+    const job = await createJob(20);
+    jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id);
+
+    expect(response.status).toBe(500);
+    expect((await Job.findByPk(job.id)).paid).toBe(false);
+  });
+
+  it('should refuse audited writes outside a transaction', async () => {
+    const req = { method: 'POST', originalUrl: '/test', id: 'audit-direct', ip: '127.0.0.1' };
+
+    await expect(context.run({ req }, () => createJob(1))).rejects.toThrow(
+      'Job writes must run in a transaction so that they are audited with the change'
+    );
+  });
+
+  describe('GET /admin/audit', () => {
+    const list = (query, profile = adminProfile) => request(app)
+      .get('/api/v1/admin/audit')
+      .set('profile_id', profile.id)
+      .query(query);
+
+    it('should be restricted to admins', async () => {
+      const response = await list({}, clientProfile);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should filter by actor, entity and time', async () => {
+      const byActor = await list({ actorId: clientProfile.id });
+      const byEntity = await list({ entityType: 'Profile', entityId: clientProfile.id });
+      const future = await list({ from: '2999-01-01' });
+
+      expect(byActor.status).toBe(200);
+      expect(byActor.body.total).toBeGreaterThanOrEqual(6);
+      expect(byActor.body.data[0].Actor).toMatchObject({ id: clientProfile.id, type: 'client' });
+      expect(byEntity.body.data.every((event) => event.entityType === 'Profile' && event.entityId === clientProfile.id)).toBe(true);
+      expect(byEntity.body.total).toBeGreaterThanOrEqual(1);
+      expect(future.body.total).toBe(0);
+    });
+
+    it('should reject an unknown entity type', async () => {
+      const response = await list({ entityType: 'AuthSession' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('entityType');
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const auth = require('../src/services/auth');
+const { Profile, AuthSession } = require('../src/model');
+
+describe('Authentication', () => {
+  let profile;
+
+  beforeAll(async () => {
+    profile = await Profile.create({
+      firstName: 'Auth',
+      lastName: 'Client',
+      profession: 'Tester',
+      balance: 100,
+      type: 'client',
+      email: 'auth.client@example.com',
+      passwordHash: await auth.hashPassword('correct horse')
+    });
+  });
+
+  const login = (password = 'correct horse') => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: 'auth.client@example.com', password });
+
+  describe('POST /auth/login', () => {
+    it('should issue an access token and a refresh token', async () => {
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.tokenType).toBe('Bearer');
+      expect(response.body.accessToken.split('.').length).toBe(3);
+      expect(response.body.refreshToken).toEqual(expect.any(String));
+      expect(response.body.expiresIn).toBe(config.auth.accessTokenTtlSeconds);
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      const response = await login('wrong');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'Invalid email or password');
+    });
+
+    it('should return 401 for an unknown email', async () => {
+      const verify = jest.spyOn(auth, 'verifyPassword');
+      try {
+        const response = await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'nobody@example.com', password: 'correct horse' });
+
+        expect(response.status).toBe(401);
+        expect(response.body).toHaveProperty('error', 'Invalid email or password');
+        // Hashed all the same, so that the answer is not faster than for a wrong password
+        expect(verify).toHaveBeenCalledWith('correct horse', null);
+        await expect(verify.mock.results[0].value).resolves.toBe(false);
+      } finally {
+        verify.mockRestore();
+      }
+    });
+
+    it('should return 400 if credentials are missing', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'auth.client@example.com' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should log in seeded profiles with the development password', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'harry.potter@example.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('Bearer authentication', () => {
+    it('should resolve the profile from a bearer token', async () => {
+      const { body: tokens } = await login();
+
+      const response = await request(app)
+        .get('/api/v1/contracts')
+        .set('Authorization', `Bearer ${tokens.accessToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not expose the password hash', async () => {
+      expect(profile.toJSON()).not.toHaveProperty('passwordHash');
+    });
+
+    it('should return 401 for a tampered token', async () => {
+      const { body: tokens } = await login();
+      const [header, , signature] = tokens.accessToken.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: '1', sid: 1, exp: 9999999999 })).toString('base64url');
+
+      const response = await request(app)
+        .get('/api/v1/contracts')
+        .set('Authorization', `Bearer ${header}.${forged}.${signature}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 401 for an expired token', async () => {
+      const session = await AuthSession.findOne({ where: { ProfileId: profile.id } });
+      const expired = auth.signAccessToken({ profileId: profile.id, sessionId: session.id }, { ttlSeconds: -1 });
+
+      const response = await request(app)
+        .get('/api/v1/contracts')
+        .set('Authorization', `Bearer ${expired}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'Invalid or expired token');
+    });
+
+    it('should return 401 for a non-bearer authorization header', async () => {
+      const response = await request(app)
+        .get('/api/v1/contracts')
+        .set('Authorization', 'Basic dXNlcjpwYXNz');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject the profile_id header when legacy mode is disabled', async () => {
+      config.auth.legacyHeader = false;
+      try {
+        const response = await request(app)
+          .get('/api/v1/contracts')
+          .set('profile_id', profile.id);
+
+        expect(response.status).toBe(401);
+        expect(response.body).toHaveProperty('error', 'Missing bearer token');
+      } finally {
+        config.auth.legacyHeader = true;
+      }
+    });
+  });
+
+  describe('POST /auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { body: tokens } = await login();
+
+      const refreshed = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.refreshToken).not.toBe(tokens.refreshToken);
+
+      const reused = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(reused.status).toBe(401);
+    });
+
+    it('should rotate a refresh token sent twice at once only once', async () => {
+      const { body: tokens } = await login();
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })));
+
+      expect(responses.map((response) => response.status).sort()).toEqual([200, 401]);
+      expect(responses.find((response) => response.status === 401).body.code).toBe('invalid_refresh_token');
+    });
+
+    it('should return 401 for an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: 'not-a-token' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /auth/logout', () => {
+    it('should revoke the access and refresh tokens', async () => {
+      const { body: tokens } = await login();
+
+      const logout = await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${tokens.accessToken}`);
+      expect(logout.status).toBe(204);
+
+      const access = await request(app)
+        .get('/api/v1/contracts')
+        .set('Authorization', `Bearer ${tokens.accessToken}`);
+      expect(access.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should return 401 without credentials', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/logout');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
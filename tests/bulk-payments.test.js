@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, Payment } = require('../src/model');
+const webhooks = require('../src/services/webhooks');
+
+describe('POST /jobs/pay', () => {
+  let clientProfile;
+  let otherClient;
+  let contractorProfile;
+  let contract;
+  let otherContract;
+
+  const createJob = (price, fields = {}) => Job.create({ description: `Bulk ${price}`, price, paid: false, ContractId: contract.id, ...fields });
+
+  const bulkPay = (body, profile = clientProfile) => request(app)
+    .post('/api/v1/jobs/pay')
+    .set('profile_id', profile.id)
+    .send(body);
+
+  const balanceOf = async (profile) => (await Profile.findByPk(profile.id)).balance;
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Bulk',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 500,
+      type: 'client'
+    });
+    otherClient = await Profile.create({
+      firstName: 'Bulk',
+      lastName: 'Other',
+      profession: 'Buyer',
+      balance: 500,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Bulk',
+      lastName: 'Contractor',
+      profession: 'Worker',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Many small jobs',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    otherContract = await Contract.create({
+      terms: 'Someone else',
+      status: 'in_progress',
+      ClientId: otherClient.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pay the listed jobs and return a result per job with the new balance', async () => {
+    const jobs = [await createJob(10), await createJob(15.5)];
+    const before = await balanceOf(clientProfile);
+
+    const response = await bulkPay({ jobIds: jobs.map((job) => job.id) });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ total: 25.5, currency: 'USD', balance: before - 25.5 });
+    expect(response.body.results).toEqual([
+      expect.objectContaining({ jobId: jobs[0].id, status: 'paid', amount: 10, debitAmount: 10, debitCurrency: 'USD' }),
+      expect.objectContaining({ jobId: jobs[1].id, status: 'paid', amount: 15.5 })
+    ]);
+    expect(response.body.results[0].invoiceNumber).toMatch(/^INV-/);
+    expect(await Payment.count({ where: { JobId: jobs.map((job) => job.id) } })).toBe(2);
+    expect(await balanceOf(contractorProfile)).toBe(25.5);
+  });
+
+  it('should pay every unpaid job of a contract', async () => {
+    const open = [await createJob(1), await createJob(2)];
+    await createJob(3, { cancelledAt: new Date() });
+
+    const response = await bulkPay({ contractId: contract.id });
+    const again = await bulkPay({ contractId: contract.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results.map((result) => result.jobId)).toEqual(open.map((job) => job.id));
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('no_unpaid_jobs');
+  });
+
+  it('should pay nothing when one of the jobs cannot be paid', async () => {
+    const payable = await createJob(5);
+    const paid = await createJob(6, { paid: true });
+    const foreign = await Job.create({ description: 'Not mine', price: 7, paid: false, ContractId: otherContract.id });
+    const before = await balanceOf(clientProfile);
+
+    const response = await bulkPay({ jobIds: [payable.id, paid.id, foreign.id, 999999] });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('jobs_not_payable');
+    expect(response.body.details).toEqual([
+      { jobId: paid.id, code: 'job_not_found', message: 'Job not found or not available for payment' },
+      { jobId: foreign.id, code: 'forbidden', message: 'Access denied' },
+      { jobId: 999999, code: 'job_not_found', message: 'Job not found or not available for payment' }
+    ]);
+    expect((await Job.findByPk(payable.id)).paid).toBe(false);
+    expect(await balanceOf(clientProfile)).toBe(before);
+  });
+
+  it('should refuse a total the available balance does not cover', async () => {
+    const before = await balanceOf(clientProfile);
+    const jobs = [await createJob(before - 1), await createJob(2)];
+
+    const response = await bulkPay({ jobIds: jobs.map((job) => job.id) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('insufficient_funds');
+    expect(response.body.detail).toBe(`Insufficient balance: the jobs total ${before + 1} USD, ${before} is available`);
+    expect(await Job.count({ where: { id: jobs.map((job) => job.id), paid: true } })).toBe(0);
+
+    await Job.update({ cancelledAt: new Date() }, { where: { id: jobs.map((job) => job.id) } });
+  });
+
+  it('should roll every payment back when one fails midway', async () => {
+    const jobs = [await createJob(3), await createJob(4)];
+    const before = await balanceOf(clientProfile);
+    const publish = webhooks.publish;
+    jest.spyOn(webhooks, 'publish')
+      .mockImplementationOnce(publish)
+      .mockRejectedValueOnce(new Error('outbox unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await bulkPay({ jobIds: jobs.map((job) => job.id) });
+
+    expect(response.status).toBe(500);
+    expect(await Job.count({ where: { id: jobs.map((job) => job.id), paid: true } })).toBe(0);
+    expect(await Payment.count({ where: { JobId: jobs.map((job) => job.id) } })).toBe(0);
+    expect(await balanceOf(clientProfile)).toBe(before);
+  });
+
+  it('should validate the request', async () => {
+    const neither = await bulkPay({});
+    const both = await bulkPay({ jobIds: [1], contractId: contract.id });
+    const duplicates = await bulkPay({ jobIds: [1, 1] });
+    const invalid = await bulkPay({ jobIds: [1, 'two'] });
+    const foreignContract = await bulkPay({ contractId: otherContract.id });
+
+    expect(neither.status).toBe(400);
+    expect(neither.body.details[0].message).toBe('Provide either jobIds or contractId');
+    expect(both.status).toBe(400);
+    expect(duplicates.body.details[0].message).toBe('jobIds must not contain duplicates');
+    expect(invalid.body.details[0].message).toBe('jobIds[1] must be a positive integer');
+    expect(foreignContract.status).toBe(403);
+  });
+});
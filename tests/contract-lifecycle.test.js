@@ -0,0 +1,259 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, ContractTransition } = require('../src/model');
+const { runExclusive } = require('../src/services/transactions');
+
+describe('Contract lifecycle', () => {
+  let clientProfile;
+  let contractorProfile;
+  let otherContractor;
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Lifecycle',
+      lastName: 'Client',
+      profession: 'Tester',
+      balance: 100,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Lifecycle',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    otherContractor = await Profile.create({
+      firstName: 'Other',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+  });
+
+  const propose = (terms = 'Build a thing') => request(app)
+    .post('/api/v1/contracts')
+    .set('profile_id', clientProfile.id)
+    .send({ contractorId: contractorProfile.id, terms });
+
+  describe('POST /contracts', () => {
+    it('should create a new contract proposed by the client', async () => {
+      const response = await propose();
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        status: 'new',
+        terms: 'Build a thing',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+
+      const transitions = await ContractTransition.findAll({ where: { ContractId: response.body.id } });
+      expect(transitions.length).toBe(1);
+      expect(transitions[0].toStatus).toBe('new');
+      expect(transitions[0].ActorId).toBe(clientProfile.id);
+    });
+
+    it('should return 403 if a contractor proposes a contract', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts')
+        .set('profile_id', contractorProfile.id)
+        .send({ contractorId: otherContractor.id, terms: 'Nope' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 400 if terms are missing', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts')
+        .set('profile_id', clientProfile.id)
+        .send({ contractorId: contractorProfile.id });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 404 if the contractor does not exist', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts')
+        .set('profile_id', clientProfile.id)
+        .send({ contractorId: clientProfile.id, terms: 'Self dealing' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+
+  describe('POST /contracts/:id/accept', () => {
+    it('should move the contract to in_progress when the contractor accepts', async () => {
+      const { body: contract } = await propose();
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', contractorProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('in_progress');
+
+      const transition = await ContractTransition.findOne({
+        where: { ContractId: contract.id, toStatus: 'in_progress' }
+      });
+      expect(transition.fromStatus).toBe('new');
+      expect(transition.ActorId).toBe(contractorProfile.id);
+    });
+
+    it('should return 403 if the client tries to accept', async () => {
+      const { body: contract } = await propose();
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 403 if another contractor tries to accept', async () => {
+      const { body: contract } = await propose();
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', otherContractor.id);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error', 'Access denied');
+    });
+
+    it('should return 409 if the contract was already accepted', async () => {
+      const { body: contract } = await propose();
+      await request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', contractorProfile.id);
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', contractorProfile.id);
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('error', 'Cannot transition contract from in_progress to in_progress');
+    });
+
+    it('should return 404 if the contract does not exist', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts/99999/accept')
+        .set('profile_id', contractorProfile.id);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /contracts/:id/terminate', () => {
+    it('should terminate an active contract without unpaid jobs', async () => {
+      const { body: contract } = await propose();
+      await request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', contractorProfile.id);
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/terminate`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('terminated');
+    });
+
+    it('should allow terminating a contract that was never accepted', async () => {
+      const { body: contract } = await propose();
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/terminate`)
+        .set('profile_id', contractorProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('terminated');
+    });
+
+    it('should return 409 while unpaid jobs remain', async () => {
+      const contract = await Contract.create({
+        terms: 'Busy contract',
+        status: 'in_progress',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+      await Job.create({ description: 'Unpaid work', price: 10, paid: false, ContractId: contract.id });
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/terminate`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch(/unpaid job/);
+      await contract.reload();
+      expect(contract.status).toBe('in_progress');
+    });
+
+    it('should return 409 if the contract is already terminated', async () => {
+      const { body: contract } = await propose();
+      await request(app)
+        .post(`/api/v1/contracts/${contract.id}/terminate`)
+        .set('profile_id', clientProfile.id);
+
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/terminate`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('concurrent requests', () => {
+    it('should apply a transition sent in parallel only once', async () => {
+      const { body: contract } = await propose();
+      const accept = () => request(app)
+        .post(`/api/v1/contracts/${contract.id}/accept`)
+        .set('profile_id', contractorProfile.id);
+
+      const responses = await Promise.all([accept(), accept(), accept()]);
+      const statuses = responses.map((response) => response.status).sort();
+
+      expect(statuses).toEqual([200, 409, 409]);
+      expect(await ContractTransition.count({ where: { ContractId: contract.id, toStatus: 'in_progress' } })).toBe(1);
+    });
+
+    it('should not add a job to a contract terminated meanwhile', async () => {
+      const contract = await Contract.create({
+        terms: 'Racing termination',
+        status: 'in_progress',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+      const settle = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+      // Hold the exclusive queue so that the termination is queued first and
+      // the job request checks the contract before it is terminated
+      let release;
+      const holding = runExclusive(() => new Promise((resolve) => { release = resolve; }));
+      const terminating = request(app)
+        .post(`/api/v1/contracts/${contract.id}/terminate`)
+        .set('profile_id', clientProfile.id)
+        .then((response) => response);
+      await settle();
+      const creating = request(app)
+        .post(`/api/v1/contracts/${contract.id}/jobs`)
+        .set('profile_id', clientProfile.id)
+        .send({ description: 'Late job', price: 10 })
+        .then((response) => response);
+      await settle();
+      release();
+      await holding;
+
+      const [terminated, created] = await Promise.all([terminating, creating]);
+
+      expect(terminated.status).toBe(200);
+      expect(created.status).toBe(409);
+      expect(created.body.code).toBe('contract_not_active');
+      expect(await Job.count({ where: { ContractId: contract.id } })).toBe(0);
+    });
+  });
+});
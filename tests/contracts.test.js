@@ -112,9 +112,9 @@ describe('Contracts', () => {
         .get('/api/v1/contracts')
         .set('profile_id', clientProfile.id);
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].id).toBe(contract.id);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].id).toBe(contract.id);
     });
 
     it('should return non-terminated contracts for contractor', async () => {
@@ -122,9 +122,9 @@ describe('Contracts', () => {
         .get('/api/v1/contracts')
         .set('profile_id', contractorProfile.id);
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].id).toBe(contract.id);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].id).toBe(contract.id);
     });
 
     it('should return 401 if profile_id is not set', async () => {
@@ -147,8 +147,8 @@ describe('Contracts', () => {
         .get('/api/v1/contracts')
         .set('profile_id', newClient.id);
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(0);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBe(0);
       await newClient.destroy();
     });
 
@@ -165,8 +165,8 @@ describe('Contracts', () => {
         .get('/api/v1/contracts')
         .set('profile_id', newContractor.id);
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(0);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBe(0);
       await newContractor.destroy();
     });
   });
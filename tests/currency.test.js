@@ -0,0 +1,258 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, Payment, FxRate } = require('../src/model');
+const ledger = require('../src/services/ledger');
+const fx = require('../src/services/fx');
+
+describe('Multi-currency', () => {
+  let adminProfile;
+  let eurClient;
+  let usdContractor;
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Currency',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    eurClient = await Profile.create({
+      firstName: 'Euro',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 1000,
+      currency: 'EUR',
+      type: 'client'
+    });
+    usdContractor = await Profile.create({
+      firstName: 'Dollar',
+      lastName: 'Contractor',
+      profession: 'Currency Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+  });
+
+  describe('fx service', () => {
+    it('should use a stored rate, its inverse, or 1 for the same currency', async () => {
+      expect(await fx.getRate('EUR', 'USD')).toBe(1.1);
+      expect(await fx.getRate('USD', 'EUR')).toBeCloseTo(1 / 1.1);
+      expect(await fx.getRate('USD', 'USD')).toBe(1);
+      await expect(fx.getRate('USD', 'JPY')).rejects.toThrow('No exchange rate from USD to JPY');
+    });
+
+    it('should convert cents and round to the nearest cent', async () => {
+      expect(await fx.convert(1001, 'EUR', 'USD')).toEqual({ cents: 1101, rate: 1.1 });
+    });
+  });
+
+  describe('POST /contracts', () => {
+    it("should default the contract currency to the client's", async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts')
+        .set('profile_id', eurClient.id)
+        .send({ contractorId: usdContractor.id, terms: 'Priced in euros' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.currency).toBe('EUR');
+    });
+
+    it('should accept an explicit currency', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts')
+        .set('profile_id', eurClient.id)
+        .send({ contractorId: usdContractor.id, terms: 'Priced in pounds', currency: 'GBP' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.currency).toBe('GBP');
+    });
+
+    it('should reject an invalid currency', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts')
+        .set('profile_id', eurClient.id)
+        .send({ contractorId: usdContractor.id, terms: 'Bad currency', currency: 'euro' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /jobs/:job_id/pay', () => {
+    it("should debit the client and credit the contractor in their own currencies", async () => {
+      const contract = await Contract.create({
+        terms: 'EUR contract',
+        status: 'in_progress',
+        currency: 'EUR',
+        ClientId: eurClient.id,
+        ContractorId: usdContractor.id
+      });
+      const job = await Job.create({ description: 'Euro job', price: 100, paid: false, ContractId: contract.id });
+
+      const response = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', eurClient.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.Payment).toMatchObject({
+        amount: 100,
+        currency: 'EUR',
+        debitAmount: 100,
+        debitCurrency: 'EUR',
+        creditAmount: 110,
+        creditCurrency: 'USD'
+      });
+      expect(Number(response.body.Payment.creditRate)).toBe(1.1);
+
+      await eurClient.reload();
+      await usdContractor.reload();
+      expect(eurClient.balance).toBe(900);
+      expect(usdContractor.balance).toBe(110);
+      expect((await ledger.reconcile(eurClient)).reconciled).toBe(true);
+      expect((await ledger.reconcile(usdContractor)).reconciled).toBe(true);
+    });
+
+    it('should refuse to pay with 422 when no rate is available', async () => {
+      const contract = await Contract.create({
+        terms: 'Yen contract',
+        status: 'in_progress',
+        currency: 'JPY',
+        ClientId: eurClient.id,
+        ContractorId: usdContractor.id
+      });
+      const job = await Job.create({ description: 'Yen job', price: 10, paid: false, ContractId: contract.id });
+
+      const response = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', eurClient.id);
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toBe('No exchange rate from JPY to EUR');
+      expect((await Job.findByPk(job.id)).paid).toBe(false);
+      expect(await Payment.count({ where: { JobId: job.id } })).toBe(0);
+    });
+  });
+
+  describe('/admin/fx-rates', () => {
+    let rateId;
+
+    it('should be restricted to admins', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/fx-rates')
+        .set('profile_id', eurClient.id);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should create a rate', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/fx-rates')
+        .set('profile_id', adminProfile.id)
+        .send({ baseCurrency: 'USD', quoteCurrency: 'JPY', rate: 150 });
+
+      expect(response.status).toBe(201);
+      rateId = response.body.id;
+    });
+
+    it('should reject a duplicate pair with 409', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/fx-rates')
+        .set('profile_id', adminProfile.id)
+        .send({ baseCurrency: 'USD', quoteCurrency: 'JPY', rate: 151 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it.each([
+      [{ baseCurrency: 'usd', quoteCurrency: 'CHF', rate: 1 }],
+      [{ baseCurrency: 'USD', quoteCurrency: 'USD', rate: 1 }],
+      [{ baseCurrency: 'USD', quoteCurrency: 'CHF', rate: 0 }],
+      [{ baseCurrency: 'USD', quoteCurrency: 'CHF' }]
+    ])('should reject %p with 400', async (body) => {
+      const response = await request(app)
+        .post('/api/v1/admin/fx-rates')
+        .set('profile_id', adminProfile.id)
+        .send(body);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should list, update and delete rates', async () => {
+      const list = await request(app)
+        .get('/api/v1/admin/fx-rates')
+        .set('profile_id', adminProfile.id);
+      expect(list.status).toBe(200);
+      expect(list.body.data.map((rate) => `${rate.baseCurrency}/${rate.quoteCurrency}`)).toEqual(
+        expect.arrayContaining(['EUR/USD', 'GBP/USD', 'USD/JPY'])
+      );
+
+      const update = await request(app)
+        .put(`/api/v1/admin/fx-rates/${rateId}`)
+        .set('profile_id', adminProfile.id)
+        .send({ rate: 148.5 });
+      expect(update.status).toBe(200);
+      expect(await fx.getRate('USD', 'JPY')).toBe(148.5);
+
+      const remove = await request(app)
+        .delete(`/api/v1/admin/fx-rates/${rateId}`)
+        .set('profile_id', adminProfile.id);
+      expect(remove.status).toBe(204);
+      expect(await FxRate.findByPk(rateId)).toBeNull();
+    });
+  });
+
+  describe('admin reports', () => {
+    const period = { start: '2031-01-01', end: '2031-01-31' };
+
+    beforeAll(async () => {
+      const eurContract = await Contract.create({
+        terms: 'Report EUR',
+        status: 'in_progress',
+        currency: 'EUR',
+        ClientId: eurClient.id,
+        ContractorId: usdContractor.id
+      });
+      const usdContract = await Contract.create({
+        terms: 'Report USD',
+        status: 'in_progress',
+        currency: 'USD',
+        ClientId: eurClient.id,
+        ContractorId: usdContractor.id
+      });
+      await Job.bulkCreate([
+        { description: 'EUR work', price: 100, paid: true, paymentDate: '2031-01-10', ContractId: eurContract.id },
+        { description: 'USD work', price: 50, paid: true, paymentDate: '2031-01-11', ContractId: usdContract.id }
+      ]);
+    });
+
+    it('should aggregate in the default reporting currency', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/best-profession')
+        .query(period)
+        .set('profile_id', adminProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ profession: 'Currency Tester', totalEarned: 160, currency: 'USD' });
+    });
+
+    it('should aggregate in a requested currency', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/best-clients')
+        .query({ ...period, currency: 'EUR' })
+        .set('profile_id', adminProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { id: eurClient.id, fullName: 'Euro Client', paid: 145.45, currency: 'EUR' }
+      ]);
+    });
+
+    it('should answer 422 when a currency cannot be converted', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/best-profession')
+        .query({ ...period, currency: 'CHF' })
+        .set('profile_id', adminProfile.id);
+
+      expect(response.status).toBe(422);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const { Profile, Contract, Job, DepositLimitOverride } = require('../src/model');
+const depositPolicies = require('../src/services/depositPolicies');
+
+describe('Deposit limits', () => {
+  let adminProfile;
+  let contractorProfile;
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const deposit = (profile, amount) => request(app)
+    .post(`/api/v1/balances/deposit/${profile.id}`)
+    .set('profile_id', profile.id)
+    .send({ amount });
+
+  // A client with `outstanding` in unpaid jobs
+  const createClient = async (outstanding, lastName) => {
+    const client = await Profile.create({
+      firstName: 'Deposit',
+      lastName,
+      profession: 'Buyer',
+      balance: 0,
+      type: 'client'
+    });
+    const contract = await Contract.create({
+      terms: 'Deposit limits',
+      status: 'in_progress',
+      ClientId: client.id,
+      ContractorId: contractorProfile.id
+    });
+    await Job.create({ description: 'Outstanding', price: outstanding, paid: false, ContractId: contract.id });
+    return client;
+  };
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Deposit',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Deposit',
+      lastName: 'Contractor',
+      profession: 'Worker',
+      balance: 0,
+      type: 'contractor'
+    });
+  });
+
+  describe('outstanding jobs', () => {
+    let clientProfile;
+
+    beforeAll(async () => {
+      clientProfile = await createClient(400, 'Percentage');
+    });
+
+    it('should count the earlier deposits of the window against the limit', async () => {
+      const first = await deposit(clientProfile, 60);
+      const second = await deposit(clientProfile, 50);
+      const rest = await deposit(clientProfile, 40);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(400);
+      expect(second.body.code).toBe('deposit_limit_exceeded');
+      expect(second.body.detail).toBe('Deposits within 24 hours cannot exceed 25% of the jobs to pay: 40.00 USD left');
+      expect(second.body.details).toEqual([{
+        rule: 'outstanding_jobs',
+        code: 'deposit_limit_exceeded',
+        windowHours: 24,
+        limit: 100,
+        deposited: 60,
+        requested: 50,
+        remaining: 40,
+        currency: 'USD'
+      }]);
+      expect(rest.status).toBe(200);
+      expect(rest.body.balance).toBe(100);
+    });
+
+    it('should only count the deposits of the rolling window', async () => {
+      const later = new Date(Date.now() + 25 * HOUR_MS);
+
+      const [now] = await depositPolicies.evaluate(clientProfile, 1000, {});
+      const [tomorrow] = await depositPolicies.evaluate(clientProfile, 10000, { now: later });
+
+      expect(now).toMatchObject({ rule: 'outstanding_jobs', deposited: 10000, allowed: false });
+      expect(tomorrow).toMatchObject({ deposited: 0, remaining: 10000, allowed: true });
+    });
+
+    it('should let clients see their own limits only', async () => {
+      const own = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/deposit-limits`)
+        .set('profile_id', clientProfile.id);
+      const other = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/deposit-limits`)
+        .set('profile_id', contractorProfile.id);
+
+      expect(own.status).toBe(200);
+      expect(own.body).toEqual({
+        currency: 'USD',
+        policies: [{
+          rule: 'outstanding_jobs',
+          code: 'deposit_limit_exceeded',
+          overridden: false,
+          windowHours: 24,
+          limit: 100,
+          deposited: 100,
+          remaining: 0
+        }]
+      });
+      expect(other.status).toBe(403);
+    });
+  });
+
+  describe('caps', () => {
+    let clientProfile;
+
+    beforeAll(async () => {
+      clientProfile = await createClient(100000, 'Capped');
+      config.deposits.dailyCap = 50;
+      config.deposits.monthlyCap = 70;
+    });
+
+    afterAll(() => {
+      config.deposits.dailyCap = 0;
+      config.deposits.monthlyCap = 0;
+    });
+
+    it('should enforce the daily and monthly caps over rolling windows', async () => {
+      const first = await deposit(clientProfile, 30);
+      const overDaily = await deposit(clientProfile, 30);
+      const overBoth = await deposit(clientProfile, 45);
+
+      expect(first.status).toBe(200);
+      expect(overDaily.status).toBe(400);
+      expect(overDaily.body.code).toBe('deposit_daily_cap_exceeded');
+      expect(overDaily.body.detail).toBe('Deposits cannot exceed 50.00 USD per day: 20.00 USD left');
+      expect(overBoth.body.details.map((detail) => detail.code))
+        .toEqual(['deposit_daily_cap_exceeded', 'deposit_monthly_cap_exceeded']);
+
+      const results = await depositPolicies.evaluate(clientProfile, 4500, { now: new Date(Date.now() + 2 * 24 * HOUR_MS) });
+      expect(results.map(({ rule, deposited, allowed }) => ({ rule, deposited, allowed }))).toEqual([
+        { rule: 'outstanding_jobs', deposited: 0, allowed: true },
+        { rule: 'daily_cap', deposited: 0, allowed: true },
+        { rule: 'monthly_cap', deposited: 3000, allowed: false }
+      ]);
+    });
+  });
+
+  describe('admin overrides', () => {
+    let clientProfile;
+
+    const admin = (method, profileId, profile = adminProfile) => request(app)[method](`/api/v1/admin/deposit-limits/${profileId}`)
+      .set('profile_id', profile.id);
+
+    beforeAll(async () => {
+      clientProfile = await createClient(100, 'Overridden');
+    });
+
+    it('should replace the defaults of one client', async () => {
+      const refused = await deposit(clientProfile, 50);
+
+      const set = await admin('put', clientProfile.id).send({ outstandingPercent: 100, dailyCap: 60, note: 'Prepays its projects' });
+      const allowed = await deposit(clientProfile, 50);
+      const capped = await deposit(clientProfile, 20);
+
+      expect(refused.body.code).toBe('deposit_limit_exceeded');
+      expect(set.status).toBe(200);
+      expect(set.body.override).toMatchObject({
+        outstandingPercent: 100,
+        dailyCap: 60,
+        monthlyCap: null,
+        currency: 'USD',
+        note: 'Prepays its projects',
+        SetById: adminProfile.id
+      });
+      expect(set.body.policies.map(({ rule, overridden, limit }) => ({ rule, overridden, limit }))).toEqual([
+        { rule: 'outstanding_jobs', overridden: true, limit: 100 },
+        { rule: 'daily_cap', overridden: true, limit: 60 }
+      ]);
+      expect(allowed.status).toBe(200);
+      expect(capped.body.code).toBe('deposit_daily_cap_exceeded');
+    });
+
+    it('should fall back to the defaults once the override is removed', async () => {
+      const removed = await admin('delete', clientProfile.id);
+      const again = await admin('delete', clientProfile.id);
+      const limits = await admin('get', clientProfile.id);
+
+      expect(removed.status).toBe(204);
+      expect(again.status).toBe(404);
+      expect(again.body.code).toBe('deposit_limit_override_not_found');
+      expect(await DepositLimitOverride.count({ where: { ProfileId: clientProfile.id } })).toBe(0);
+      expect(limits.body.override).toBeNull();
+      expect(limits.body.policies).toEqual([expect.objectContaining({ rule: 'outstanding_jobs', overridden: false, limit: 25 })]);
+    });
+
+    it('should be restricted to admins and clients', async () => {
+      const asClient = await admin('get', clientProfile.id, clientProfile);
+      const contractor = await admin('put', contractorProfile.id).send({ dailyCap: 10 });
+      const missing = await admin('get', 999999);
+      const invalid = await admin('put', clientProfile.id).send({ outstandingPercent: -1 });
+
+      expect(asClient.status).toBe(403);
+      expect(contractor.status).toBe(400);
+      expect(contractor.body.code).toBe('not_a_client');
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe('profile_not_found');
+      expect(invalid.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, Payment } = require('../src/model');
+const depositPolicies = require('../src/services/depositPolicies');
+
+describe('Disputes', () => {
+  let adminProfile;
+  let clientProfile;
+  let contractorProfile;
+  let outsiderProfile;
+  let contract;
+
+  const createJob = (price) => Job.create({ description: `Disputed ${price}`, price, paid: false, ContractId: contract.id });
+
+  const open = (jobId, profile, body = { reason: 'Work not done' }) => request(app)
+    .post(`/api/v1/jobs/${jobId}/disputes`)
+    .set('profile_id', profile.id)
+    .send(body);
+
+  const comment = (disputeId, profile, body) => request(app)
+    .post(`/api/v1/disputes/${disputeId}/comments`)
+    .set('profile_id', profile.id)
+    .send({ body });
+
+  const resolve = (disputeId, body, profile = adminProfile) => request(app)
+    .post(`/api/v1/disputes/${disputeId}/resolve`)
+    .set('profile_id', profile.id)
+    .send(body);
+
+  const balanceOf = async (profile) => (await Profile.findByPk(profile.id)).balance;
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Dispute',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Dispute',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 500,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Dispute',
+      lastName: 'Contractor',
+      profession: 'Builder',
+      balance: 0,
+      type: 'contractor'
+    });
+    outsiderProfile = await Profile.create({
+      firstName: 'Dispute',
+      lastName: 'Outsider',
+      profession: 'Builder',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Disputed work',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  it('should let the parties open one dispute per unpaid job', async () => {
+    const job = await createJob(100);
+    const paid = await Job.create({ description: 'Paid', price: 10, paid: true, ContractId: contract.id });
+
+    const outsider = await open(job.id, outsiderProfile);
+    const noReason = await open(job.id, clientProfile, {});
+    const opened = await open(job.id, contractorProfile, { reason: 'Never paid' });
+    const twice = await open(job.id, clientProfile);
+    const alreadyPaid = await open(paid.id, clientProfile);
+    const missing = await open(999999, clientProfile);
+
+    expect(outsider.status).toBe(403);
+    expect(noReason.status).toBe(400);
+    expect(opened.status).toBe(201);
+    expect(opened.body).toMatchObject({
+      status: 'open',
+      reason: 'Never paid',
+      JobId: job.id,
+      OpenedById: contractorProfile.id,
+      resolution: null,
+      Comments: []
+    });
+    expect(twice.status).toBe(409);
+    expect(twice.body.code).toBe('dispute_already_open');
+    expect(alreadyPaid.status).toBe(409);
+    expect(alreadyPaid.body.code).toBe('job_not_disputable');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should leave disputed jobs out of payments and deposit limits', async () => {
+    const job = await createJob(200);
+    const before = await depositPolicies.describeLimits(clientProfile);
+    await open(job.id, clientProfile);
+
+    const unpaid = await request(app)
+      .get('/api/v1/jobs/unpaid')
+      .set('profile_id', clientProfile.id);
+    const pay = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id);
+    const bulk = await request(app)
+      .post('/api/v1/jobs/pay')
+      .set('profile_id', clientProfile.id)
+      .send({ jobIds: [job.id] });
+    const after = await depositPolicies.describeLimits(clientProfile);
+
+    expect(unpaid.status).toBe(200);
+    expect(unpaid.body.data.map((listed) => listed.id)).not.toContain(job.id);
+    expect(pay.status).toBe(409);
+    expect(pay.body.code).toBe('job_disputed');
+    expect(bulk.status).toBe(422);
+    expect(bulk.body.details[0].code).toBe('job_disputed');
+    expect(after.policies[0].limit).toBe(before.policies[0].limit - 50);
+  });
+
+  it('should refuse to edit or cancel a job while it is disputed', async () => {
+    const job = await createJob(80);
+    await open(job.id, contractorProfile);
+
+    const edited = await request(app)
+      .patch(`/api/v1/jobs/${job.id}`)
+      .set('profile_id', clientProfile.id)
+      .send({ price: 10 });
+    const cancelled = await request(app)
+      .delete(`/api/v1/jobs/${job.id}`)
+      .set('profile_id', clientProfile.id);
+
+    expect(edited.status).toBe(409);
+    expect(edited.body.code).toBe('job_disputed');
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.code).toBe('job_disputed');
+    await job.reload();
+    expect(job.price).toBe(80);
+    expect(job.cancelledAt).toBeNull();
+  });
+
+  it('should collect comments while the dispute is open', async () => {
+    const job = await createJob(30);
+    const { body: dispute } = await open(job.id, clientProfile);
+
+    const byClient = await comment(dispute.id, clientProfile, 'The roof still leaks');
+    const byAdmin = await comment(dispute.id, adminProfile, 'Photos, please');
+    const byOutsider = await comment(dispute.id, outsiderProfile, 'Hello');
+    const empty = await comment(dispute.id, contractorProfile, '');
+    const detail = await request(app)
+      .get(`/api/v1/disputes/${dispute.id}`)
+      .set('profile_id', contractorProfile.id);
+    const hidden = await request(app)
+      .get(`/api/v1/disputes/${dispute.id}`)
+      .set('profile_id', outsiderProfile.id);
+
+    expect(byClient.status).toBe(201);
+    expect(byClient.body).toMatchObject({ DisputeId: dispute.id, AuthorId: clientProfile.id });
+    expect(byAdmin.status).toBe(201);
+    expect(byOutsider.status).toBe(403);
+    expect(empty.status).toBe(400);
+    expect(detail.status).toBe(200);
+    expect(detail.body.Comments.map((entry) => [entry.body, entry.Author.lastName])).toEqual([
+      ['The roof still leaks', 'Client'],
+      ['Photos, please', 'Admin']
+    ]);
+    expect(hidden.status).toBe(403);
+  });
+
+  it('should let admins only resolve with a full or partial payment', async () => {
+    const full = await createJob(40);
+    const partial = await createJob(60);
+    const { body: fullDispute } = await open(full.id, clientProfile);
+    const { body: partialDispute } = await open(partial.id, clientProfile);
+    const client = await balanceOf(clientProfile);
+    const contractor = await balanceOf(contractorProfile);
+
+    const byClient = await resolve(fullDispute.id, { resolution: 'pay' }, clientProfile);
+    const tooMuch = await resolve(partialDispute.id, { resolution: 'partial_pay', amount: 60 });
+    const noAmount = await resolve(partialDispute.id, { resolution: 'partial_pay' });
+    const invalid = await resolve(partialDispute.id, { resolution: 'split' });
+    const paid = await resolve(fullDispute.id, { resolution: 'pay', note: 'Work checked' });
+    const part = await resolve(partialDispute.id, { resolution: 'partial_pay', amount: 25 });
+    const again = await resolve(fullDispute.id, { resolution: 'refund' });
+
+    expect(byClient.status).toBe(403);
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.code).toBe('invalid_partial_amount');
+    expect(noAmount.body.code).toBe('invalid_partial_amount');
+    expect(invalid.status).toBe(400);
+
+    expect(paid.status).toBe(200);
+    expect(paid.body).toMatchObject({
+      status: 'resolved',
+      resolution: 'pay',
+      amount: 40,
+      currency: 'USD',
+      resolutionNote: 'Work checked',
+      ResolvedById: adminProfile.id
+    });
+    expect(paid.body.resolvedAt).toBeTruthy();
+    expect(paid.body.Job).toMatchObject({ paid: true });
+    expect(paid.body.Job.Invoice.number).toMatch(/^INV-/);
+
+    expect(part.status).toBe(200);
+    expect(part.body).toMatchObject({ resolution: 'partial_pay', amount: 25 });
+    expect((await Payment.findOne({ where: { JobId: partial.id } })).amount).toBe(25);
+    expect(await balanceOf(clientProfile)).toBe(client - 65);
+    expect(await balanceOf(contractorProfile)).toBe(contractor + 65);
+
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('dispute_not_open');
+    expect((await comment(fullDispute.id, clientProfile, 'Thanks')).body.code).toBe('dispute_not_open');
+  });
+
+  it('should cancel the job on a refund and list the disputes of each party', async () => {
+    const job = await createJob(70);
+    const { body: dispute } = await open(job.id, clientProfile);
+    const client = await balanceOf(clientProfile);
+
+    const refunded = await resolve(dispute.id, { resolution: 'refund' });
+    const own = await request(app)
+      .get('/api/v1/disputes?status=resolved')
+      .set('profile_id', contractorProfile.id);
+    const outsider = await request(app)
+      .get('/api/v1/disputes')
+      .set('profile_id', outsiderProfile.id);
+
+    expect(refunded.status).toBe(200);
+    expect(refunded.body).toMatchObject({ resolution: 'refund', amount: 0 });
+    expect(refunded.body.Job.paid).toBe(false);
+    expect(refunded.body.Job.cancelledAt).toBeTruthy();
+    expect(await balanceOf(clientProfile)).toBe(client);
+
+    expect(own.status).toBe(200);
+    expect(own.body.data.map((entry) => entry.id)).toContain(dispute.id);
+    expect(own.body.data.every((entry) => entry.status === 'resolved')).toBe(true);
+    expect(outsider.body.data).toEqual([]);
+  });
+
+  it('should page through open and resolved disputes alike', async () => {
+    const list = (query) => request(app)
+      .get('/api/v1/disputes')
+      .set('profile_id', adminProfile.id)
+      .query(query);
+    const all = await list({ limit: 100 });
+    const statuses = new Set(all.body.data.map((entry) => entry.status));
+
+    const ids = [];
+    let cursor;
+    do {
+      const page = await list({ limit: 1, sort: 'id', ...(cursor && { cursor }) });
+      expect(page.status).toBe(200);
+      ids.push(...page.body.data.map((entry) => entry.id));
+      cursor = page.body.nextCursor;
+    } while (cursor);
+    const byResolution = await list({ sort: 'resolvedAt' });
+
+    expect(statuses).toEqual(new Set(['open', 'resolved']));
+    expect(ids).toEqual(all.body.data.map((entry) => entry.id).sort((a, b) => a - b));
+    expect(ids).toHaveLength(all.body.total);
+    // Open disputes have no resolvedAt, which keyset cursors cannot page over
+    expect(byResolution.status).toBe(400);
+  });
+});
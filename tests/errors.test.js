@@ -0,0 +1,129 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job } = require('../src/model');
+const payments = require('../src/services/payments');
+const { AppError, NotFoundError, ConflictError, InsufficientFundsError } = require('../src/errors');
+
+describe('Error responses', () => {
+  let clientProfile;
+  let contractorProfile;
+  let job;
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Error',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 5,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Error',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    const contract = await Contract.create({
+      terms: 'Errors',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    job = await Job.create({ description: 'Too expensive', price: 50, paid: false, ContractId: contract.id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('AppError', () => {
+    it('should carry a status and a default or specific code', () => {
+      const notFound = new NotFoundError('Job not found', { code: 'job_not_found' });
+      const conflict = new ConflictError('Busy');
+
+      expect(notFound).toBeInstanceOf(AppError);
+      expect(notFound).toMatchObject({ name: 'NotFoundError', status: 404, code: 'job_not_found', message: 'Job not found' });
+      expect(conflict).toMatchObject({ status: 409, code: 'conflict' });
+      expect(new InsufficientFundsError()).toMatchObject({ status: 400, code: 'insufficient_funds', message: 'Insufficient balance' });
+    });
+  });
+
+  it('should render application errors as problem+json', async () => {
+    const response = await request(app)
+      .get('/api/v1/contracts/999999')
+      .set('profile_id', clientProfile.id);
+
+    expect(response.status).toBe(404);
+    expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(response.body).toEqual({
+      type: 'urn:problem-type:contract_not_found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Contract not found',
+      instance: '/api/v1/contracts/999999',
+      code: 'contract_not_found',
+      error: 'Contract not found'
+    });
+  });
+
+  it('should include the field details of validation errors', async () => {
+    const response = await request(app)
+      .get('/api/v1/contracts/abc')
+      .set('profile_id', clientProfile.id);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      code: 'validation_failed',
+      title: 'Bad Request',
+      details: [{ location: 'params', field: 'id', message: 'id must be a positive integer' }]
+    });
+  });
+
+  it('should report insufficient funds with its own code', async () => {
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'insufficient_funds', detail: 'Insufficient balance' });
+  });
+
+  it('should report authentication and role failures', async () => {
+    const unauthenticated = await request(app).get('/api/v1/contracts');
+    const forbidden = await request(app)
+      .get('/api/v1/admin/payouts')
+      .set('profile_id', clientProfile.id);
+
+    expect(unauthenticated.status).toBe(401);
+    expect(unauthenticated.body.code).toBe('unauthorized');
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.code).toBe('forbidden');
+  });
+
+  it('should answer unknown routes and malformed JSON', async () => {
+    const unknown = await request(app).get('/api/v1/nowhere').set('profile_id', clientProfile.id);
+    const malformed = await request(app)
+      .post('/api/v1/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('route_not_found');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.code).toBe('invalid_json');
+  });
+
+  it('should pass rejected promises to the error middleware without leaking the message', async () => {
+    jest.spyOn(payments, 'payJob').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id);
+
+    expect(response.status).toBe(500);
+    expect(response.body).toMatchObject({ code: 'internal_error', detail: 'Internal Server Error' });
+    expect(console.error).toHaveBeenCalled();
+  });
+});
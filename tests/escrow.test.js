@@ -0,0 +1,215 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const { Profile, Contract, Job, BalanceHold, Payment } = require('../src/model');
+const escrow = require('../src/services/escrow');
+
+describe('Escrow', () => {
+  let adminProfile;
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const createJob = (price, body = {}) => request(app)
+    .post(`/api/v1/contracts/${contract.id}/jobs`)
+    .set('profile_id', clientProfile.id)
+    .send({ description: `Escrow ${price}`, price, escrow: true, ...body });
+
+  const act = (jobId, action, profile, body = {}) => request(app)
+    .post(`/api/v1/jobs/${jobId}/${action}`)
+    .set('profile_id', profile.id)
+    .send(body);
+
+  const admin = (jobId, action) => request(app)
+    .post(`/api/v1/admin/escrow/${jobId}/${action}`)
+    .set('profile_id', adminProfile.id);
+
+  const balanceOf = async (profile) => (await Profile.findByPk(profile.id)).balance;
+
+  const heldFor = async (jobId) => {
+    const job = await Job.findByPk(jobId);
+    return BalanceHold.findByPk(job.EscrowHoldId);
+  };
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Escrow',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Escrow',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 1000,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Escrow',
+      lastName: 'Contractor',
+      profession: 'Builder',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Funded up front',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  it('should hold the price of a job funded on creation', async () => {
+    const created = await createJob(100);
+    const tooExpensive = await createJob(5000);
+    const ledger = await request(app)
+      .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+      .set('profile_id', clientProfile.id);
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ escrowStatus: 'funded', paid: false });
+    expect(created.body.fundedAt).toBeTruthy();
+    expect(await heldFor(created.body.id)).toMatchObject({ amount: 100, reason: 'escrow', status: 'active' });
+    expect(ledger.body).toMatchObject({ balance: 1000, held: 100, available: 900 });
+
+    expect(tooExpensive.status).toBe(400);
+    expect(tooExpensive.body.code).toBe('insufficient_funds');
+    expect(await Job.count({ where: { description: 'Escrow 5000' } })).toBe(0);
+  });
+
+  it('should pay the contractor once the client approves the delivery', async () => {
+    const { body: job } = await createJob(50);
+
+    const byClient = await act(job.id, 'deliver', clientProfile);
+    const delivered = await act(job.id, 'deliver', contractorProfile);
+    const twice = await act(job.id, 'deliver', contractorProfile);
+    const approved = await act(job.id, 'pay', clientProfile);
+
+    expect(byClient.status).toBe(403);
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.escrowStatus).toBe('delivered');
+    expect(new Date(delivered.body.releaseAt).getTime() - new Date(delivered.body.deliveredAt).getTime())
+      .toBe(config.escrow.autoReleaseHours * HOUR_MS);
+    expect(twice.status).toBe(409);
+    expect(twice.body.code).toBe('invalid_escrow_transition');
+
+    expect(approved.status).toBe(200);
+    expect(approved.body).toMatchObject({ paid: true, escrowStatus: 'released', releaseAt: null });
+    expect(approved.body.Payment).toMatchObject({ amount: 50, debitAmount: 50, debitRate: 1 });
+    expect(approved.body.Invoice.number).toMatch(/^INV-/);
+    expect((await heldFor(job.id)).status).toBe('captured');
+    expect(await balanceOf(contractorProfile)).toBe(50);
+    expect(await balanceOf(clientProfile)).toBe(950);
+  });
+
+  it('should release a delivery that is not approved in time', async () => {
+    const { body: job } = await createJob(20);
+    const delivered = await act(job.id, 'deliver', contractorProfile);
+    const releaseAt = new Date(delivered.body.releaseAt);
+
+    expect(await escrow.releaseDue({ now: new Date(releaseAt.getTime() - 1000) })).toBe(0);
+    expect(await escrow.releaseDue({ now: releaseAt })).toBe(1);
+
+    const released = await Job.findByPk(job.id, { include: [Payment] });
+    expect(released).toMatchObject({ paid: true, escrowStatus: 'released' });
+    expect(released.Payment.amount).toBe(20);
+  });
+
+  it('should keep a disputed job held until an admin decides', async () => {
+    const { body: refunded } = await createJob(30);
+    const { body: released } = await createJob(40);
+    await act(refunded.id, 'deliver', contractorProfile);
+    const balance = await balanceOf(clientProfile);
+
+    const disputed = await act(refunded.id, 'disputes', clientProfile, { reason: 'Not what we agreed' });
+    const { body: dispute } = await act(released.id, 'disputes', contractorProfile, { reason: 'Delivered, not approved' });
+    const pay = await act(refunded.id, 'pay', clientProfile);
+    const adminRefund = await admin(refunded.id, 'refund');
+
+    expect(disputed.status).toBe(201);
+    expect(disputed.body.Job).toMatchObject({ escrowStatus: 'disputed' });
+    expect(await Job.findByPk(refunded.id)).toMatchObject({ escrowStatus: 'disputed', releaseAt: null });
+    expect(pay.status).toBe(409);
+    expect(pay.body.code).toBe('job_disputed');
+    expect(adminRefund.status).toBe(409);
+    expect(adminRefund.body.code).toBe('invalid_escrow_transition');
+    expect(await escrow.releaseDue({ now: new Date(Date.now() + 365 * 24 * HOUR_MS) })).toBe(0);
+
+    const resolve = (disputeId, resolution) => request(app)
+      .post(`/api/v1/disputes/${disputeId}/resolve`)
+      .set('profile_id', adminProfile.id)
+      .send({ resolution });
+    const refund = await resolve(disputed.body.id, 'refund');
+    const release = await resolve(dispute.id, 'pay');
+
+    expect(refund.status).toBe(200);
+    expect(refund.body.Job).toMatchObject({ escrowStatus: 'refunded', paid: false });
+    expect(refund.body.Job.cancelledAt).toBeTruthy();
+    expect((await heldFor(refunded.id)).status).toBe('released');
+    expect(release.status).toBe(200);
+    expect(release.body.Job).toMatchObject({ escrowStatus: 'released', paid: true });
+    expect((await heldFor(released.id)).status).toBe('captured');
+    expect(await balanceOf(clientProfile)).toBe(balance - 40);
+  });
+
+  it('should let the client cancel a job until it is delivered', async () => {
+    const { body: funded } = await createJob(10);
+    const { body: delivered } = await createJob(11);
+    await act(delivered.id, 'deliver', contractorProfile);
+
+    const reprice = await request(app)
+      .patch(`/api/v1/jobs/${funded.id}`)
+      .set('profile_id', clientProfile.id)
+      .send({ price: 12 });
+    const cancelled = await request(app)
+      .delete(`/api/v1/jobs/${funded.id}`)
+      .set('profile_id', clientProfile.id);
+    const tooLate = await request(app)
+      .delete(`/api/v1/jobs/${delivered.id}`)
+      .set('profile_id', clientProfile.id);
+
+    expect(reprice.status).toBe(409);
+    expect(reprice.body.code).toBe('job_not_editable');
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.escrowStatus).toBe('refunded');
+    expect((await heldFor(funded.id)).status).toBe('released');
+    expect(tooLate.status).toBe(409);
+
+    await admin(delivered.id, 'refund');
+  });
+
+  it('should leave jobs funded in escrow out of bulk payments', async () => {
+    const { body: funded } = await createJob(5);
+    const direct = await Job.create({ description: 'Paid directly', price: 6, paid: false, ContractId: contract.id });
+
+    const listed = await request(app)
+      .post('/api/v1/jobs/pay')
+      .set('profile_id', clientProfile.id)
+      .send({ jobIds: [funded.id, direct.id] });
+    const byContract = await request(app)
+      .post('/api/v1/jobs/pay')
+      .set('profile_id', clientProfile.id)
+      .send({ contractId: contract.id });
+
+    expect(listed.status).toBe(422);
+    expect(listed.body.details).toEqual([{ jobId: funded.id, code: 'job_in_escrow', message: 'Job is funded in escrow' }]);
+    expect(byContract.status).toBe(200);
+    expect(byContract.body.results.map((result) => result.jobId)).toEqual([direct.id]);
+  });
+
+  it('should validate the escrow flag and the job', async () => {
+    const invalid = await createJob(5, { escrow: 'yes' });
+    const notFunded = await Job.create({ description: 'Not funded', price: 7, paid: false, ContractId: contract.id });
+    const deliver = await act(notFunded.id, 'deliver', contractorProfile);
+    const missing = await act(999999, 'deliver', contractorProfile);
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details[0].message).toBe('escrow must be a boolean');
+    expect(deliver.status).toBe(409);
+    expect(deliver.body.code).toBe('job_not_in_escrow');
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,147 @@
+const zlib = require('zlib');
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job } = require('../src/model');
+
+describe('CSV and XLSX exports', () => {
+  let adminProfile;
+  let clientProfile;
+
+  const period = { start: '2032-05-01', end: '2032-05-31T23:59:59.999Z' };
+
+  const get = (path, profile = adminProfile) => request(app)
+    .get(`/api/v1${path}`)
+    .set('profile_id', profile.id);
+
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  // Entries of a ZIP archive by name, read through its central directory
+  const unzip = (archive) => {
+    const end = archive.length - 22;
+    expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+    const files = {};
+    let offset = archive.readUInt32LE(end + 16);
+    for (let index = 0; index < archive.readUInt16LE(end + 10); index += 1) {
+      expect(archive.readUInt32LE(offset)).toBe(0x02014b50);
+      const compressedSize = archive.readUInt32LE(offset + 20);
+      const nameLength = archive.readUInt16LE(offset + 28);
+      const local = archive.readUInt32LE(offset + 42);
+      const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+      const data = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+
+      files[name] = zlib.inflateRawSync(archive.subarray(data, data + compressedSize)).toString();
+      offset += 46 + nameLength;
+    }
+    return files;
+  };
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Export',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Export, "Finance"',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 0,
+      type: 'client'
+    });
+    const contractor = await Profile.create({
+      firstName: 'Export',
+      lastName: 'Contractor',
+      profession: 'Exporter',
+      balance: 0,
+      type: 'contractor'
+    });
+    const contract = await Contract.create({
+      terms: 'Exported work',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractor.id
+    });
+
+    const [plain] = await Job.bulkCreate([
+      { description: 'Plain', price: 1234.5, paid: true, paymentDate: '2032-05-10T12:00:00Z', ContractId: contract.id },
+      { description: 'Logo, "v2"\nwith notes', price: 10, paid: false, ContractId: contract.id },
+      { description: '=HYPERLINK("http://example.com")', price: 5, paid: false, ContractId: contract.id }
+    ]);
+    // Paid a day after it was created
+    await Job.update({ createdAt: new Date('2032-05-09T12:00:00Z') }, { where: { id: plain.id }, silent: true });
+  });
+
+  it('should export the job history as CSV with every matching job', async () => {
+    const response = await get('/jobs', clientProfile).query({ format: 'csv', sort: 'price', limit: 1 });
+    const lines = response.text.split('\r\n');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="jobs.csv"');
+    expect(lines[0]).toBe('Job ID,Contract ID,Description,Price,Currency,Status,Escrow Status,Created At,Paid At,Cancelled At');
+    expect(lines[1]).toMatch(/^\d+,\d+,"'=HYPERLINK\(""http:\/\/example.com""\)",5.00,USD,unpaid,,\d{4}-.*Z,,$/);
+    expect(lines[2]).toMatch(/^\d+,\d+,"Logo, ""v2""\nwith notes",10.00,USD,unpaid,/);
+    expect(lines[3]).toMatch(/,Plain,1234.50,USD,paid,,2032-05-09T12:00:00.000Z,2032-05-10T12:00:00.000Z,$/);
+    expect(lines[4]).toBe('');
+  });
+
+  it('should negotiate CSV from the Accept header on admin reports', async () => {
+    const response = await get('/admin/best-clients').query(period).set('Accept', 'text/csv');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="best-clients.csv"');
+    expect(response.text).toBe(
+      `Client ID,Full Name,Paid,Currency\r\n${clientProfile.id},"Export, ""Finance"" Client",1234.50,USD\r\n`
+    );
+  });
+
+  it('should export a report as an XLSX workbook', async () => {
+    const response = await get('/admin/reports/revenue')
+      .query({ ...period, interval: 'month', format: 'xlsx' })
+      .buffer(true)
+      .parse(binary);
+    const files = unzip(response.body);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="revenue.xlsx"');
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="revenue" sheetId="1" r:id="rId1"/>');
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Period</t></is></c>');
+    expect(sheet).toContain(
+      '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">2032-05-01</t></is></c>'
+      + '<c r="B2" s="2"><v>1234.5</v></c><c r="C2"><v>1</v></c>'
+      + '<c r="D2" t="inlineStr"><is><t xml:space="preserve">USD</t></is></c></row>'
+    );
+    expect(sheet.endsWith('</sheetData></worksheet>')).toBe(true);
+  });
+
+  it('should write every report with its columns', async () => {
+    const summary = await get('/admin/reports/summary').query({ ...period, format: 'csv' });
+    const clients = await get('/admin/reports/clients').query({ ...period, format: 'csv' });
+    const profession = await get('/admin/best-profession').query({ ...period, format: 'csv' });
+
+    expect(summary.text.split('\r\n')[1]).toBe(
+      '2032-05-01T00:00:00.000Z,2032-05-31T23:59:59.999Z,1234.50,1,1234.50,24,0.00,0,0.00,,USD'
+    );
+    expect(clients.text.split('\r\n')[0])
+      .toBe('Rank,Client ID,Full Name,Total,Jobs,Previous Rank,Previous Total,Change (%),Currency');
+    expect(profession.text).toBe('Profession,Total Earned,Currency\r\nExporter,1234.50,USD\r\n');
+  });
+
+  it('should reject an unknown format', async () => {
+    const response = await get('/admin/reports/summary').query({ ...period, format: 'pdf' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('format must be one of json, csv, xlsx');
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, LedgerEntry, IdempotencyKey } = require('../src/model');
+
+describe('Idempotency keys', () => {
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Retry',
+      lastName: 'Client',
+      profession: 'Tester',
+      balance: 1000,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Retry',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Retry contract',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    // Outstanding work so that deposits are within the deposit limit
+    await Job.create({ description: 'Big job', price: 10000, paid: false, ContractId: contract.id });
+  });
+
+  const deposit = (key, amount = 10) => {
+    const req = request(app)
+      .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+      .set('profile_id', clientProfile.id);
+    if (key) req.set('Idempotency-Key', key);
+    return req.send({ amount });
+  };
+
+  describe('POST /balances/deposit/:userId', () => {
+    it('should replay the stored response and deposit only once', async () => {
+      const first = await deposit('deposit-1');
+      const second = await deposit('deposit-1');
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(second.body).toEqual(first.body);
+      expect(second.headers['idempotent-replayed']).toBe('true');
+
+      await clientProfile.reload();
+      expect(parseFloat(clientProfile.balance)).toBe(1010);
+      expect(await LedgerEntry.count({ where: { ProfileId: clientProfile.id, kind: 'deposit' } })).toBe(1);
+    });
+
+    it('should return 422 when the key is reused with a different body', async () => {
+      await deposit('deposit-2', 10);
+      const response = await deposit('deposit-2', 20);
+
+      expect(response.status).toBe(422);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should replay error responses too', async () => {
+      const first = await deposit('deposit-3', -5);
+      const second = await deposit('deposit-3', -5);
+
+      expect(first.status).toBe(400);
+      expect(second.status).toBe(400);
+      expect(second.headers['idempotent-replayed']).toBe('true');
+    });
+
+    it('should process the request again once the key has expired', async () => {
+      await deposit('deposit-4');
+      await IdempotencyKey.update(
+        { expiresAt: new Date(Date.now() - 1000) },
+        { where: { ProfileId: clientProfile.id, key: 'deposit-4' } }
+      );
+      const before = parseFloat((await clientProfile.reload()).balance);
+
+      const response = await deposit('deposit-4');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+      expect(parseFloat((await clientProfile.reload()).balance)).toBe(before + 10);
+    });
+
+    it('should return 409 while the original request is still in progress', async () => {
+      await IdempotencyKey.create({
+        ProfileId: clientProfile.id,
+        key: 'deposit-5',
+        requestHash: 'in-flight',
+        expiresAt: new Date(Date.now() + 60000)
+      });
+
+      const response = await deposit('deposit-5');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should scope keys to the calling profile', async () => {
+      const other = await Profile.create({
+        firstName: 'Other',
+        lastName: 'Client',
+        profession: 'Tester',
+        balance: 0,
+        type: 'client'
+      });
+      await deposit('shared-key');
+
+      const response = await request(app)
+        .post(`/api/v1/balances/deposit/${other.id}`)
+        .set('profile_id', other.id)
+        .set('Idempotency-Key', 'shared-key')
+        .send({ amount: 10 });
+
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+    });
+  });
+
+  describe('POST /jobs/:job_id/pay', () => {
+    it('should pay a job only once for a retried request', async () => {
+      const job = await Job.create({ description: 'Pay once', price: 50, paid: false, ContractId: contract.id });
+      const before = parseFloat((await clientProfile.reload()).balance);
+
+      const first = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id)
+        .set('Idempotency-Key', 'pay-1');
+      const second = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id)
+        .set('Idempotency-Key', 'pay-1');
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(second.body).toEqual(first.body);
+      expect(parseFloat((await clientProfile.reload()).balance)).toBe(before - 50);
+      expect(await LedgerEntry.count({ where: { JobId: job.id, kind: 'payment' } })).toBe(2);
+    });
+
+    it('should return 422 when the key is reused for another job', async () => {
+      const job = await Job.create({ description: 'Another job', price: 5, paid: false, ContractId: contract.id });
+
+      const response = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id)
+        .set('Idempotency-Key', 'pay-1');
+
+      expect(response.status).toBe(422);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, Invoice } = require('../src/model');
+const webhooks = require('../src/services/webhooks');
+
+describe('Invoices', () => {
+  let clientProfile;
+  let eurClient;
+  let contractorProfile;
+  let strangerProfile;
+  let contract;
+  let eurContract;
+
+  const pay = async (price, { client = clientProfile, onContract = contract, description = `Invoiced ${price}` } = {}) => {
+    const job = await Job.create({ description, price, paid: false, ContractId: onContract.id });
+    return request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', client.id);
+  };
+
+  const getInvoice = (invoiceId, profile = clientProfile) => request(app)
+    .get(`/api/v1/invoices/${invoiceId}`)
+    .set('profile_id', profile.id);
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Invoice',
+      lastName: 'Client',
+      profession: 'Buyer',
+      email: 'invoice.client@example.com',
+      balance: 1000,
+      type: 'client'
+    });
+    eurClient = await Profile.create({
+      firstName: 'Invoice',
+      lastName: 'Euro',
+      profession: 'Buyer',
+      balance: 1000,
+      currency: 'EUR',
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Invoice',
+      lastName: 'Contractor',
+      profession: 'Bookkeeper',
+      balance: 0,
+      type: 'contractor'
+    });
+    strangerProfile = await Profile.create({
+      firstName: 'Invoice',
+      lastName: 'Stranger',
+      profession: 'Buyer',
+      balance: 0,
+      type: 'client'
+    });
+    contract = await Contract.create({
+      terms: 'Invoiced',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    eurContract = await Contract.create({
+      terms: 'Invoiced in dollars, paid in euros',
+      status: 'in_progress',
+      currency: 'USD',
+      ClientId: eurClient.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should issue an invoice with the next number for each payment', async () => {
+    const first = await pay(100);
+    const second = await pay(50.5);
+
+    expect(first.status).toBe(200);
+    expect(first.body.Invoice).toMatchObject({
+      amount: 100,
+      currency: 'USD',
+      PaymentId: first.body.Payment.id,
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    expect(first.body.Invoice.number).toMatch(/^INV-\d{6}$/);
+    expect(second.body.Invoice.sequence).toBe(first.body.Invoice.sequence + 1);
+    expect(second.body.Invoice.number).toBe(`INV-${String(second.body.Invoice.sequence).padStart(6, '0')}`);
+  });
+
+  it('should not use up a number when the payment is rolled back', async () => {
+    const before = await Invoice.max('sequence');
+    jest.spyOn(webhooks, 'publish').mockRejectedValueOnce(new Error('outbox unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const failed = await pay(10);
+    const paid = await pay(10);
+
+    expect(failed.status).toBe(500);
+    expect(paid.body.Invoice.sequence).toBe(before + 1);
+  });
+
+  describe('GET /invoices', () => {
+    const list = (profile, query = {}) => request(app)
+      .get('/api/v1/invoices')
+      .set('profile_id', profile.id)
+      .query(query);
+
+    it('should list the invoices received and issued by the caller', async () => {
+      const received = await list(clientProfile);
+      const issued = await list(contractorProfile, { role: 'contractor', contractId: contract.id });
+      const none = await list(strangerProfile);
+
+      expect(received.status).toBe(200);
+      expect(received.body.total).toBe(3);
+      expect(received.body.data[0]).toMatchObject({
+        Client: { id: clientProfile.id, email: 'invoice.client@example.com' },
+        Contractor: { id: contractorProfile.id, profession: 'Bookkeeper' },
+        Job: { description: 'Invoiced 10' }
+      });
+      expect(issued.body.total).toBe(3);
+      expect(none.body.total).toBe(0);
+    });
+
+    it('should sort by number and filter by issue date', async () => {
+      const ascending = await list(clientProfile, { sort: 'sequence' });
+      const future = await list(clientProfile, { from: '2999-01-01' });
+
+      const sequences = ascending.body.data.map((invoice) => invoice.sequence);
+      expect(sequences).toEqual([...sequences].sort((a, b) => a - b));
+      expect(future.body.total).toBe(0);
+    });
+  });
+
+  describe('GET /invoices/:id', () => {
+    let invoice;
+
+    beforeAll(async () => {
+      const response = await pay(42.5, { description: 'Logo <design> & "branding"' });
+      invoice = response.body.Invoice;
+    });
+
+    it('should return the invoice to both parties only', async () => {
+      const asClient = await getInvoice(invoice.id);
+      const asContractor = await getInvoice(invoice.id, contractorProfile);
+      const asStranger = await getInvoice(invoice.id, strangerProfile);
+      const missing = await getInvoice(999999);
+
+      expect(asClient.status).toBe(200);
+      expect(asClient.body).toMatchObject({ number: invoice.number, amount: 42.5, Job: { description: 'Logo <design> & "branding"' } });
+      expect(asContractor.status).toBe(200);
+      expect(asStranger.status).toBe(403);
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe('invoice_not_found');
+    });
+
+    it('should render HTML with the parties and escaped line items', async () => {
+      const byQuery = await getInvoice(invoice.id).query({ format: 'html' });
+      const byAccept = await getInvoice(invoice.id).set('Accept', 'text/html');
+
+      expect(byQuery.status).toBe(200);
+      expect(byQuery.headers['content-type']).toMatch(/^text\/html/);
+      expect(byQuery.text).toContain(`<title>Invoice ${invoice.number}</title>`);
+      expect(byQuery.text).toContain('Invoice Contractor');
+      expect(byQuery.text).toContain('invoice.client@example.com');
+      expect(byQuery.text).toContain('Logo &#60;design&#62; &#38; &#34;branding&#34;');
+      expect(byQuery.text).toContain('42.50 USD');
+      expect(byAccept.text).toBe(byQuery.text);
+    });
+
+    it('should render a well-formed PDF', async () => {
+      const response = await getInvoice(invoice.id)
+        .query({ format: 'pdf' })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      const pdf = response.body.toString('latin1');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe(`inline; filename="${invoice.number}.pdf"`);
+      expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(pdf).toContain(`(Invoice ${invoice.number}) Tj`);
+      expect(pdf).toContain('Logo <design> & "branding"');
+
+      // The cross-reference table points at the objects
+      const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xref, xref + 4)).toBe('xref');
+      const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map((entry) => Number(entry.slice(0, 10)));
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+      });
+    });
+
+    it('should show what a client paying in another currency was charged', async () => {
+      const response = await pay(110, { client: eurClient, onContract: eurContract });
+      const html = await getInvoice(response.body.Invoice.id, eurClient).query({ format: 'html' });
+
+      expect(response.body.Invoice).toMatchObject({ amount: 110, currency: 'USD' });
+      expect(html.text).toContain('Paid as 100.00 EUR at 0.909091 EUR/USD.');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, JobPriceChange } = require('../src/model');
+const { runExclusive } = require('../src/services/transactions');
+
+describe('Job management', () => {
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+  let newContract;
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Jobs',
+      lastName: 'Client',
+      profession: 'Tester',
+      balance: 1000,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Jobs',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Active contract',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    newContract = await Contract.create({
+      terms: 'Proposed contract',
+      status: 'new',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  const createJob = (price = 100) => request(app)
+    .post(`/api/v1/contracts/${contract.id}/jobs`)
+    .set('profile_id', clientProfile.id)
+    .send({ description: 'Write tests', price });
+
+  describe('POST /contracts/:id/jobs', () => {
+    it('should create an unpaid job on an active contract', async () => {
+      const response = await createJob();
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        description: 'Write tests',
+        price: 100,
+        paid: false,
+        ContractId: contract.id
+      });
+    });
+
+    it('should return 403 if the contractor creates a job', async () => {
+      const response = await request(app)
+        .post(`/api/v1/contracts/${contract.id}/jobs`)
+        .set('profile_id', contractorProfile.id)
+        .send({ description: 'Self-assigned', price: 100 });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 409 if the contract is not active', async () => {
+      const response = await request(app)
+        .post(`/api/v1/contracts/${newContract.id}/jobs`)
+        .set('profile_id', clientProfile.id)
+        .send({ description: 'Too early', price: 100 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 400 if the price is not positive', async () => {
+      const response = await createJob(-5);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should return 404 if the contract does not exist', async () => {
+      const response = await request(app)
+        .post('/api/v1/contracts/99999/jobs')
+        .set('profile_id', clientProfile.id)
+        .send({ description: 'Nowhere', price: 100 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /jobs/:id', () => {
+    it('should update the price and record the change', async () => {
+      const { body: job } = await createJob(100);
+
+      const response = await request(app)
+        .patch(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ price: 150 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.price).toBe(150);
+
+      const changes = await JobPriceChange.findAll({ where: { JobId: job.id } });
+      expect(changes.length).toBe(1);
+      expect(parseFloat(changes[0].oldPrice)).toBe(100);
+      expect(parseFloat(changes[0].newPrice)).toBe(150);
+      expect(changes[0].ChangedById).toBe(clientProfile.id);
+    });
+
+    it('should update the description without recording a price change', async () => {
+      const { body: job } = await createJob(100);
+
+      const response = await request(app)
+        .patch(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ description: 'Write more tests' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.description).toBe('Write more tests');
+      expect(await JobPriceChange.count({ where: { JobId: job.id } })).toBe(0);
+    });
+
+    it('should return 409 for a paid job', async () => {
+      const { body: job } = await createJob(10);
+      await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id);
+
+      const response = await request(app)
+        .patch(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ price: 20 });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('error', 'Paid jobs cannot be modified');
+    });
+
+    it('should return 403 if the contractor edits the price', async () => {
+      const { body: job } = await createJob(100);
+
+      const response = await request(app)
+        .patch(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', contractorProfile.id)
+        .send({ price: 1000 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should record the price each of two concurrent edits replaced', async () => {
+      const { body: job } = await createJob(100);
+      const edit = (price) => request(app)
+        .patch(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ price })
+        .then((response) => response);
+
+      // Hold the exclusive queue until both edits have loaded the job
+      let release;
+      const holding = runExclusive(() => new Promise((resolve) => { release = resolve; }));
+      const edits = [edit(150), edit(200)];
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      release();
+      await holding;
+
+      expect((await Promise.all(edits)).map((response) => response.status)).toEqual([200, 200]);
+      const changes = await JobPriceChange.findAll({ where: { JobId: job.id }, order: [['id', 'ASC']] });
+      expect(changes.map((change) => [change.oldPrice, change.newPrice])).toEqual([[100, 150], [150, 200]]);
+    });
+
+    it('should return 400 if nothing is provided', async () => {
+      const { body: job } = await createJob(100);
+
+      const response = await request(app)
+        .patch(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /jobs/:id', () => {
+    it('should cancel an unpaid job and keep the row', async () => {
+      const { body: job } = await createJob(100);
+
+      const response = await request(app)
+        .delete(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.cancelledAt).not.toBeNull();
+      expect(await Job.findByPk(job.id)).not.toBeNull();
+    });
+
+    it('should exclude cancelled jobs from unpaid jobs and payment', async () => {
+      const { body: job } = await createJob(100);
+      await request(app)
+        .delete(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id);
+
+      const unpaid = await request(app)
+        .get('/api/v1/jobs/unpaid')
+        .set('profile_id', clientProfile.id);
+      expect(unpaid.body.data.map(unpaidJob => unpaidJob.id)).not.toContain(job.id);
+
+      const pay = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id);
+      expect(pay.status).toBe(404);
+    });
+
+    it('should return 409 if the job is already cancelled', async () => {
+      const { body: job } = await createJob(100);
+      await request(app)
+        .delete(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id);
+
+      const response = await request(app)
+        .delete(`/api/v1/jobs/${job.id}`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 if the job does not exist', async () => {
+      const response = await request(app)
+        .delete('/api/v1/jobs/99999')
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -61,9 +61,9 @@ describe('Jobs', () => {
         .get('/api/v1/jobs/unpaid')
         .set('profile_id', clientProfile.id);
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].id).toBe(job.id);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].id).toBe(job.id);
     });
 
     it('should return unpaid jobs for contractor', async () => {
@@ -71,9 +71,9 @@ describe('Jobs', () => {
         .get('/api/v1/jobs/unpaid')
         .set('profile_id', contractorProfile.id);
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(1);
-      expect(response.body[0].id).toBe(job.id);
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].id).toBe(job.id);
     });
 
     it('should return 401 if profile_id is not set', async () => {
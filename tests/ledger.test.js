@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, LedgerEntry } = require('../src/model');
+
+describe('Ledger', () => {
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+  let job;
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Ledger',
+      lastName: 'Client',
+      profession: 'Accountant',
+      balance: 500,
+      type: 'client'
+    });
+
+    contractorProfile = await Profile.create({
+      firstName: 'Ledger',
+      lastName: 'Contractor',
+      profession: 'Developer',
+      balance: 0,
+      type: 'contractor'
+    });
+
+    contract = await Contract.create({
+      terms: 'Ledger contract',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+
+    job = await Job.create({
+      description: 'Ledger job',
+      price: 400,
+      paid: false,
+      ContractId: contract.id
+    });
+
+    await Job.create({
+      description: 'Outstanding job',
+      price: 800,
+      paid: false,
+      ContractId: contract.id
+    });
+  });
+
+  it('should write an opening balance entry when a profile is created', async () => {
+    const entries = await LedgerEntry.findAll({ where: { ProfileId: clientProfile.id } });
+
+    expect(entries.length).toBe(1);
+    expect(entries[0].kind).toBe('opening_balance');
+    expect(entries[0].direction).toBe('credit');
+    expect(parseFloat(entries[0].amount)).toBe(500);
+  });
+
+  it('should write a balanced debit/credit pair for a deposit', async () => {
+    const response = await request(app)
+      .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+      .set('profile_id', clientProfile.id)
+      .send({ amount: 100 });
+    expect(response.status).toBe(200);
+
+    const entries = await LedgerEntry.findAll({ where: { kind: 'deposit' } });
+    const transfer = entries.filter(entry => entry.transferId === entries[0].transferId);
+
+    expect(transfer.map(entry => entry.direction).sort()).toEqual(['credit', 'debit']);
+    expect(transfer.find(entry => entry.direction === 'credit').ProfileId).toBe(clientProfile.id);
+    expect(transfer.find(entry => entry.direction === 'debit').account).toBe('external:deposits');
+  });
+
+  it('should write a debit for the client and a credit for the contractor on payment', async () => {
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id);
+    expect(response.status).toBe(200);
+
+    const entries = await LedgerEntry.findAll({ where: { kind: 'payment', JobId: job.id } });
+
+    expect(entries.length).toBe(2);
+    expect(entries[0].transferId).toBe(entries[1].transferId);
+    expect(entries.find(entry => entry.direction === 'debit').ProfileId).toBe(clientProfile.id);
+    expect(entries.find(entry => entry.direction === 'credit').ProfileId).toBe(contractorProfile.id);
+  });
+
+  it('should refuse to modify a ledger entry', async () => {
+    const entry = await LedgerEntry.findOne({ where: { ProfileId: clientProfile.id } });
+    await expect(entry.update({ amount: 1 })).rejects.toThrow('Ledger entries are immutable');
+    await expect(entry.destroy()).rejects.toThrow('Ledger entries are immutable');
+  });
+
+  describe('GET /balances/:userId/ledger', () => {
+    it('should return entries reconciled against the profile balance', async () => {
+      const response = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(3);
+      expect(response.body.data.map(entry => entry.kind)).toEqual(['payment', 'deposit', 'opening_balance']);
+      expect(response.body.balance).toBe(200);
+      expect(response.body.ledgerBalance).toBe(200);
+      expect(response.body.reconciled).toBe(true);
+    });
+
+    it('should paginate entries', async () => {
+      const first = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+        .set('profile_id', clientProfile.id)
+        .query({ limit: 1 });
+
+      const response = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+        .set('profile_id', clientProfile.id)
+        .query({ limit: 1, cursor: first.body.nextCursor });
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(3);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].kind).toBe('deposit');
+      expect(response.body.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should filter entries by date', async () => {
+      const response = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+        .set('profile_id', clientProfile.id)
+        .query({ to: '2000-01-01' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(0);
+      expect(response.body.data).toEqual([]);
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    it('should return 400 for an invalid date', async () => {
+      const response = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+        .set('profile_id', clientProfile.id)
+        .query({ from: 'not-a-date' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error');
+    });
+
+    it('should let an admin audit any profile\'s ledger', async () => {
+      const admin = await Profile.create({
+        firstName: 'Ledger',
+        lastName: 'Auditor',
+        profession: 'Finance',
+        type: 'admin'
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/balances/${clientProfile.id}/ledger`)
+        .set('profile_id', admin.id);
+      const missing = await request(app)
+        .get('/api/v1/balances/999999/ledger')
+        .set('profile_id', admin.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(entry => entry.kind)).toEqual(['payment', 'deposit', 'opening_balance']);
+      expect(response.body.data.every(entry => entry.ProfileId === clientProfile.id)).toBe(true);
+      expect(response.body).toMatchObject({ balance: 200, ledgerBalance: 200, reconciled: true });
+      expect(missing.status).toBe(404);
+    });
+
+    it('should return 403 for another profile\'s ledger', async () => {
+      const response = await request(app)
+        .get(`/api/v1/balances/${contractorProfile.id}/ledger`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('error');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Sequelize = require('sequelize');
+const { sequelize } = require('../src/model');
+const { createMigrator, PendingMigrationsError, MIGRATIONS_TABLE } = require('../src/migrator');
+
+describe('Migrations', () => {
+  // A separate database, so that migrating up and down does not disturb the
+  // one the other tests run against
+  let db;
+  let migrator;
+
+  beforeAll(() => {
+    db = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    migrator = createMigrator(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  it('should report every migration as pending on an empty database', async () => {
+    const pending = await migrator.pending();
+
+    expect(pending[0]).toBe('0001-baseline');
+    await expect(migrator.assertUpToDate()).rejects.toThrow(PendingMigrationsError);
+  });
+
+  it('should apply pending migrations and record them', async () => {
+    const applied = await migrator.up();
+
+    expect(applied).toEqual(await migrator.executed());
+    expect(await migrator.pending()).toEqual([]);
+    await expect(migrator.assertUpToDate()).resolves.toBeUndefined();
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  it('should create every table and column of the models', async () => {
+    const queryInterface = db.getQueryInterface();
+
+    for (const model of Object.values(sequelize.models)) {
+      const columns = await queryInterface.describeTable(model.getTableName());
+      const expected = Object.values(model.rawAttributes).map((attribute) => attribute.field);
+
+      expect(Object.keys(columns).sort()).toEqual(expected.sort());
+    }
+  });
+
+  it('should roll back the last migration', async () => {
+    const executed = await migrator.executed();
+
+    const reverted = await migrator.down();
+
+    expect(reverted).toEqual([executed[executed.length - 1]]);
+    expect(await migrator.pending()).toEqual(reverted);
+  });
+
+  it('should roll back every migration', async () => {
+    await migrator.up();
+
+    await migrator.down({ steps: Infinity });
+
+    const tables = await db.getQueryInterface().showAllTables();
+    expect(tables).toEqual([MIGRATIONS_TABLE]);
+    expect(await migrator.executed()).toEqual([]);
+  });
+
+  it('should roll back a migration that fails', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(directory, '0001-broken.js'), `
+      module.exports = {
+        async up(queryInterface, Sequelize) {
+          await queryInterface.createTable('Widgets', { id: { type: Sequelize.INTEGER, primaryKey: true } });
+          throw new Error('boom');
+        },
+        async down() {}
+      };
+    `);
+
+    try {
+      const broken = createMigrator(db, { directory });
+
+      await expect(broken.up()).rejects.toThrow('boom');
+      expect(await db.getQueryInterface().showAllTables()).not.toContain('Widgets');
+      expect(await broken.pending()).toEqual(['0001-broken']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job } = require('../src/model');
+const { toCents, fromCents, parseAmount, MAX_AMOUNT_CENTS } = require('../src/utils/money');
+
+describe('Money', () => {
+  describe('toCents / fromCents', () => {
+    it('should convert units to integer cents without float drift', () => {
+      expect(toCents(0.1 + 0.2)).toBe(30);
+      expect(toCents(231.11)).toBe(23111);
+      expect(toCents('19.99')).toBe(1999);
+    });
+
+    it('should convert cents back to units', () => {
+      expect(fromCents(23111)).toBe(231.11);
+      expect(fromCents(0)).toBe(0);
+      expect(fromCents(null)).toBeNull();
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('should accept numbers and decimal strings with up to two decimals', () => {
+      expect(parseAmount(10)).toBe(1000);
+      expect(parseAmount(0.01)).toBe(1);
+      expect(parseAmount('12.5')).toBe(1250);
+    });
+
+    it.each([
+      [undefined, 'amount is required'],
+      [0, 'amount must be positive'],
+      [-5, 'amount must be positive'],
+      [1.234, 'amount must be a number with at most two decimals'],
+      ['12abc', 'amount must be a number with at most two decimals'],
+      [{ value: 1 }, 'amount must be a number'],
+      [fromCents(MAX_AMOUNT_CENTS) + 1, `amount cannot exceed ${fromCents(MAX_AMOUNT_CENTS)}`]
+    ])('should reject %p', (input, message) => {
+      expect(() => parseAmount(input)).toThrow(message);
+    });
+  });
+
+  describe('storage and serialization', () => {
+    let clientProfile;
+    let contractorProfile;
+
+    beforeAll(async () => {
+      clientProfile = await Profile.create({
+        firstName: 'Money',
+        lastName: 'Client',
+        profession: 'Tester',
+        balance: 0.1,
+        type: 'client'
+      });
+      contractorProfile = await Profile.create({
+        firstName: 'Money',
+        lastName: 'Contractor',
+        profession: 'Tester',
+        balance: 0.2,
+        type: 'contractor'
+      });
+    });
+
+    it('should store amounts as integer cents', async () => {
+      expect(clientProfile.getDataValue('balance')).toBe(10);
+      expect(clientProfile.balance).toBe(0.1);
+      expect(clientProfile.toJSON().balance).toBe(0.1);
+    });
+
+    it('should add amounts exactly when paying and depositing', async () => {
+      const contract = await Contract.create({
+        terms: 'Money contract',
+        status: 'in_progress',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+      const job = await Job.create({ description: 'Cheap job', price: 0.1, paid: false, ContractId: contract.id });
+      await Job.create({ description: 'Backlog', price: 100, paid: false, ContractId: contract.id });
+
+      const deposit = await request(app)
+        .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ amount: 0.2 });
+      expect(deposit.status).toBe(200);
+      expect(deposit.body.balance).toBe(0.3);
+
+      const pay = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id);
+      expect(pay.status).toBe(200);
+      expect(pay.body.price).toBe(0.1);
+
+      await contractorProfile.reload();
+      expect(contractorProfile.balance).toBe(0.3);
+    });
+
+    it('should reject a deposit with more than two decimals', async () => {
+      const response = await request(app)
+        .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ amount: 0.001 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'amount must be a number with at most two decimals');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job } = require('../src/model');
+const { eachRow } = require('../src/utils/pagination');
+
+describe('List pagination, filtering and sorting', () => {
+  let clientProfile;
+  let contractorProfile;
+  let otherContractor;
+  let activeContract;
+  let otherContract;
+  let terminatedContract;
+
+  const list = (path, query = {}, profile = clientProfile) => request(app)
+    .get(`/api/v1${path}`)
+    .set('profile_id', profile.id)
+    .query(query);
+
+  // Follows nextCursor until the last page and returns every row
+  const listAll = async (path, query) => {
+    const rows = [];
+    let cursor;
+    do {
+      const response = await list(path, { ...query, ...(cursor && { cursor }) });
+      expect(response.status).toBe(200);
+      rows.push(...response.body.data);
+      cursor = response.body.nextCursor;
+    } while (cursor);
+    return rows;
+  };
+
+  beforeAll(async () => {
+    clientProfile = await Profile.create({
+      firstName: 'Paging',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 0,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Paging',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    otherContractor = await Profile.create({
+      firstName: 'Other',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    [activeContract, otherContract, terminatedContract] = await Contract.bulkCreate([
+      { terms: 'Active', status: 'in_progress', ClientId: clientProfile.id, ContractorId: contractorProfile.id },
+      { terms: 'Other', status: 'in_progress', ClientId: clientProfile.id, ContractorId: otherContractor.id },
+      { terms: 'Terminated', status: 'terminated', ClientId: clientProfile.id, ContractorId: contractorProfile.id }
+    ]);
+
+    await Job.bulkCreate([
+      ...[10, 20, 30, 40, 50].map((price) => ({
+        description: `Unpaid ${price}`, price, paid: false, ContractId: activeContract.id
+      })),
+      { description: 'Paid', price: 60, paid: true, paymentDate: '2030-03-01', ContractId: activeContract.id },
+      { description: 'Cancelled', price: 70, paid: false, cancelledAt: new Date(), ContractId: activeContract.id },
+      { description: 'Other unpaid', price: 80, paid: false, ContractId: otherContract.id },
+      { description: 'Old paid', price: 90, paid: true, paymentDate: '2020-01-01', ContractId: terminatedContract.id }
+    ]);
+  });
+
+  describe('GET /jobs', () => {
+    it('should return paid and unpaid jobs in the list envelope', async () => {
+      const response = await list('/jobs', { limit: 100 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(9);
+      expect(response.body.data).toHaveLength(9);
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    it('should walk every page exactly once', async () => {
+      const rows = await listAll('/jobs', { limit: 2 });
+
+      expect(rows).toHaveLength(9);
+      expect(new Set(rows.map((job) => job.id)).size).toBe(9);
+    });
+
+    it('should sort by price in both directions', async () => {
+      const ascending = await listAll('/jobs', { limit: 4, sort: 'price' });
+      const descending = await listAll('/jobs', { limit: 4, sort: '-price' });
+
+      expect(ascending.map((job) => job.price)).toEqual([10, 20, 30, 40, 50, 60, 70, 80, 90]);
+      expect(descending.map((job) => job.price)).toEqual([90, 80, 70, 60, 50, 40, 30, 20, 10]);
+    });
+
+    it('should yield every row in batches for exports', async () => {
+      const prices = [];
+      for await (const job of eachRow(Job, {
+        include: [{ model: Contract, where: { ClientId: clientProfile.id } }],
+        sort: { key: '-price', field: 'price', direction: 'DESC' },
+        batchSize: 2
+      })) {
+        prices.push(job.price);
+      }
+
+      expect(prices).toEqual([90, 80, 70, 60, 50, 40, 30, 20, 10]);
+    });
+
+    it('should filter by status', async () => {
+      const paid = await list('/jobs', { status: 'paid' });
+      const cancelledOrPaid = await list('/jobs', { status: 'cancelled,paid' });
+
+      expect(paid.body.data.map((job) => job.description).sort()).toEqual(['Old paid', 'Paid']);
+      expect(cancelledOrPaid.body.total).toBe(3);
+    });
+
+    it('should filter by price range, payment dates and counterparty', async () => {
+      const priced = await list('/jobs', { minPrice: 20, maxPrice: 40 });
+      const paidIn2030 = await list('/jobs', { paidFrom: '2030-01-01', paidTo: '2030-12-31' });
+      const withOther = await list('/jobs', { counterpartyId: otherContractor.id });
+
+      expect(priced.body.data.map((job) => job.price).sort()).toEqual([20, 30, 40]);
+      expect(paidIn2030.body.data.map((job) => job.description)).toEqual(['Paid']);
+      expect(withOther.body.data.map((job) => job.description)).toEqual(['Other unpaid']);
+    });
+
+    it('should include the whole last day of a date range', async () => {
+      await Job.update({ paymentDate: '2020-01-01T18:30:00Z' }, { where: { description: 'Old paid' } });
+
+      const sameDay = await list('/jobs', { paidFrom: '2020-01-01', paidTo: '2020-01-01' });
+      const untilEvening = await list('/jobs', { paidTo: '2020-01-01T18:00:00Z' });
+
+      expect(sameDay.body.data.map((job) => job.description)).toEqual(['Old paid']);
+      expect(untilEvening.body.data).toEqual([]);
+    });
+
+    it("should only list the profile's own jobs", async () => {
+      const response = await list('/jobs', {}, otherContractor);
+
+      expect(response.body.total).toBe(1);
+    });
+
+    it.each([
+      [{ limit: 0 }, 'limit must be an integer between 1 and 100'],
+      [{ limit: 101 }, 'limit must be an integer between 1 and 100'],
+      [{ sort: 'description' }, 'sort must be one of createdAt, price, id, optionally prefixed with -'],
+      [{ cursor: 'not-a-cursor' }, 'Invalid cursor'],
+      [{ status: 'lost' }, 'status must be one or more of paid, unpaid, cancelled'],
+      [{ minPrice: 'abc' }, 'minPrice must be a number with at most two decimals'],
+      [{ minPrice: 50, maxPrice: 10 }, 'maxPrice must not be before minPrice'],
+      [{ createdFrom: 'yesterday' }, 'createdFrom must be a date'],
+      [{ counterpartyId: 'x' }, 'counterpartyId must be a positive integer']
+    ])('should reject %p with 400', async (query, message) => {
+      const response = await list('/jobs', query);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(message);
+    });
+
+    it('should reject a cursor issued for another sort', async () => {
+      const first = await list('/jobs', { limit: 1, sort: 'price' });
+
+      const response = await list('/jobs', { limit: 1, sort: '-price', cursor: first.body.nextCursor });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid cursor');
+    });
+  });
+
+  describe('GET /jobs/unpaid', () => {
+    it('should paginate unpaid jobs of active contracts', async () => {
+      const first = await list('/jobs/unpaid', { limit: 4, sort: 'price' });
+      const second = await list('/jobs/unpaid', { limit: 4, sort: 'price', cursor: first.body.nextCursor });
+
+      expect(first.body.total).toBe(6);
+      expect(first.body.data.map((job) => job.price)).toEqual([10, 20, 30, 40]);
+      expect(second.body.data.map((job) => job.price)).toEqual([50, 80]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('should filter by contract', async () => {
+      const response = await list('/jobs/unpaid', { contractId: otherContract.id });
+
+      expect(response.body.data.map((job) => job.description)).toEqual(['Other unpaid']);
+    });
+  });
+
+  describe('GET /contracts', () => {
+    it('should list non-terminated contracts by default', async () => {
+      const response = await list('/contracts');
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.data.map((contract) => contract.id).sort()).toEqual(
+        [activeContract.id, otherContract.id].sort()
+      );
+    });
+
+    it('should filter by status and counterparty', async () => {
+      const terminated = await list('/contracts', { status: 'terminated' });
+      const withContractor = await list('/contracts', { status: 'in_progress,terminated', counterpartyId: contractorProfile.id });
+
+      expect(terminated.body.data.map((contract) => contract.id)).toEqual([terminatedContract.id]);
+      expect(withContractor.body.total).toBe(2);
+    });
+
+    it('should paginate with a cursor', async () => {
+      const rows = await listAll('/contracts', { limit: 1, sort: 'id', status: 'new,in_progress,terminated' });
+
+      expect(rows.map((contract) => contract.id)).toEqual(
+        [activeContract.id, otherContract.id, terminatedContract.id].sort((a, b) => a - b)
+      );
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../src/app');
+const ledger = require('../src/services/ledger');
+const { Profile, Contract, Job, LedgerEntry } = require('../src/model');
+
+describe('Concurrent payments', () => {
+  let contractorProfile;
+
+  beforeAll(async () => {
+    contractorProfile = await Profile.create({
+      firstName: 'Race',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+  });
+
+  const setUpClient = async (balance, prices) => {
+    const client = await Profile.create({
+      firstName: 'Race',
+      lastName: 'Client',
+      profession: 'Tester',
+      balance,
+      type: 'client'
+    });
+    const contract = await Contract.create({
+      terms: 'Race contract',
+      status: 'in_progress',
+      ClientId: client.id,
+      ContractorId: contractorProfile.id
+    });
+    const jobs = await Promise.all(prices.map(price => Job.create({
+      description: 'Race job',
+      price,
+      paid: false,
+      ContractId: contract.id
+    })));
+    return { client, jobs };
+  };
+
+  const pay = (client, job) => request(app)
+    .post(`/api/v1/jobs/${job.id}/pay`)
+    .set('profile_id', client.id);
+
+  it('should never overdraw a client paying several jobs in parallel', async () => {
+    const { client, jobs } = await setUpClient(100, [30, 30, 30, 30, 30]);
+    const contractorBefore = parseFloat((await contractorProfile.reload()).balance);
+
+    const responses = await Promise.all(jobs.map(job => pay(client, job)));
+    const statuses = responses.map(response => response.status).sort();
+
+    expect(statuses).toEqual([200, 200, 200, 400, 400]);
+
+    await client.reload();
+    await contractorProfile.reload();
+    expect(parseFloat(client.balance)).toBe(10);
+    expect(parseFloat(contractorProfile.balance)).toBe(contractorBefore + 90);
+    expect(await Job.count({ where: { id: jobs.map(job => job.id), paid: true } })).toBe(3);
+  });
+
+  it('should pay a job only once when the same payment is sent in parallel', async () => {
+    const { client, jobs: [job] } = await setUpClient(1000, [100]);
+    const contractorBefore = parseFloat((await contractorProfile.reload()).balance);
+
+    const responses = await Promise.all([pay(client, job), pay(client, job), pay(client, job)]);
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 200).length).toBe(1);
+    expect(statuses.filter(status => status !== 200).every(status => status === 404)).toBe(true);
+
+    await client.reload();
+    await contractorProfile.reload();
+    expect(parseFloat(client.balance)).toBe(900);
+    expect(parseFloat(contractorProfile.balance)).toBe(contractorBefore + 100);
+    expect(await LedgerEntry.count({ where: { JobId: job.id, kind: 'payment' } })).toBe(2);
+  });
+
+  it('should keep balances consistent with deposits racing payments', async () => {
+    const { client, jobs } = await setUpClient(50, [20, 20, 20, 20]);
+    // Outstanding work that keeps the deposits below the deposit limit
+    await Job.create({ description: 'Backlog', price: 1000, paid: false, ContractId: jobs[0].ContractId });
+
+    const deposit = () => request(app)
+      .post(`/api/v1/balances/deposit/${client.id}`)
+      .set('profile_id', client.id)
+      .send({ amount: 10 });
+
+    const responses = await Promise.all([
+      ...jobs.map(job => pay(client, job)),
+      deposit(),
+      deposit()
+    ]);
+    const paidCount = responses.slice(0, jobs.length).filter(response => response.status === 200).length;
+
+    await client.reload();
+    expect(parseFloat(client.balance)).toBe(50 + 20 - paidCount * 20);
+    expect(parseFloat(client.balance)).toBeGreaterThanOrEqual(0);
+    expect((await ledger.reconcile(client)).reconciled).toBe(true);
+  });
+
+  it('should reconcile every participant against the ledger', async () => {
+    await contractorProfile.reload();
+    expect((await ledger.reconcile(contractorProfile)).reconciled).toBe(true);
+  });
+});
@@ -0,0 +1,223 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, Payout, BalanceHold, LedgerEntry } = require('../src/model');
+const ledger = require('../src/services/ledger');
+const { setPayoutProvider } = require('../src/services/payoutProviders');
+const FakePayoutProvider = require('../src/services/payoutProviders/fake');
+
+describe('Payouts', () => {
+  let adminProfile;
+  let clientProfile;
+  let contractorProfile;
+  let provider;
+
+  const withdraw = (amount, profileId = contractorProfile.id) => request(app)
+    .post(`/api/v1/balances/withdraw/${profileId}`)
+    .set('profile_id', profileId)
+    .send({ amount });
+
+  const review = (payoutId, action, body = {}) => request(app)
+    .post(`/api/v1/admin/payouts/${payoutId}/${action}`)
+    .set('profile_id', adminProfile.id)
+    .send(body);
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Payout',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Payout',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 100,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Payout',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 500,
+      type: 'contractor'
+    });
+  });
+
+  beforeEach(() => {
+    provider = new FakePayoutProvider();
+    setPayoutProvider(provider);
+  });
+
+  describe('POST /balances/withdraw/:userId', () => {
+    it('should only allow contractors', async () => {
+      const response = await withdraw(10, clientProfile.id);
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should not allow withdrawing from another contractor's balance", async () => {
+      const response = await request(app)
+        .post(`/api/v1/balances/withdraw/${contractorProfile.id}`)
+        .set('profile_id', adminProfile.id)
+        .send({ amount: 10 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should validate the amount', async () => {
+      const response = await withdraw(-10);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('amount must be positive');
+    });
+
+    it('should create a pending payout and hold the amount', async () => {
+      const response = await withdraw(200);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ status: 'pending', amount: 200, currency: 'USD' });
+
+      const hold = await BalanceHold.findByPk(response.body.HoldId);
+      expect(hold).toMatchObject({ status: 'active', amount: 200, reason: 'payout' });
+
+      // The balance itself is untouched until the payout completes
+      await contractorProfile.reload();
+      expect(contractorProfile.balance).toBe(500);
+
+      const ledgerResponse = await request(app)
+        .get(`/api/v1/balances/${contractorProfile.id}/ledger`)
+        .set('profile_id', contractorProfile.id);
+      expect(ledgerResponse.body).toMatchObject({ balance: 500, held: 200, available: 300 });
+    });
+
+    it('should not withdraw more than the available balance', async () => {
+      const response = await withdraw(300.01);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Insufficient available balance');
+    });
+  });
+
+  describe('admin review', () => {
+    it('should be restricted to admins', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/payouts')
+        .set('profile_id', contractorProfile.id);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should list pending payouts', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/payouts')
+        .query({ status: 'pending' })
+        .set('profile_id', adminProfile.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((payout) => payout.ProfileId)).toContain(contractorProfile.id);
+      expect(response.body.data.every((payout) => payout.status === 'pending')).toBe(true);
+    });
+
+    it('should approve and complete a payout through the provider', async () => {
+      const { body: requested } = await withdraw(50);
+
+      const response = await review(requested.id, 'approve');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        status: 'completed',
+        provider: 'fake',
+        ReviewedById: adminProfile.id
+      });
+      expect(response.body.providerReference).toMatch(/^fake_/);
+      expect(provider.transfers).toEqual([
+        expect.objectContaining({ payoutId: requested.id, amount: 5000, currency: 'USD' })
+      ]);
+
+      await contractorProfile.reload();
+      expect(contractorProfile.balance).toBe(450);
+      expect((await BalanceHold.findByPk(requested.HoldId)).status).toBe('captured');
+      expect(await LedgerEntry.count({ where: { ProfileId: contractorProfile.id, kind: 'payout' } })).toBe(1);
+      expect((await ledger.reconcile(contractorProfile)).reconciled).toBe(true);
+    });
+
+    it('should refuse to approve a payout twice', async () => {
+      const completed = await Payout.findOne({ where: { ProfileId: contractorProfile.id, status: 'completed' } });
+
+      const response = await review(completed.id, 'approve');
+
+      expect(response.status).toBe(409);
+      expect(provider.transfers).toHaveLength(0);
+    });
+
+    it('should fail the payout and release the hold when the provider refuses it', async () => {
+      const { body: requested } = await withdraw(20);
+      provider.failNext('Account closed');
+
+      const response = await review(requested.id, 'approve');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ status: 'failed', failureReason: 'Account closed' });
+      expect((await BalanceHold.findByPk(requested.HoldId)).status).toBe('released');
+
+      await contractorProfile.reload();
+      expect(contractorProfile.balance).toBe(450);
+    });
+
+    it('should complete a payout the provider accepted even if the balance no longer covers it', async () => {
+      const { body: requested } = await withdraw(100);
+      // E.g. a refund that was allowed to take the balance below zero
+      await Profile.update({ balance: 40 }, { where: { id: contractorProfile.id } });
+
+      const response = await review(requested.id, 'approve');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ status: 'completed' });
+      expect((await BalanceHold.findByPk(requested.HoldId)).status).toBe('captured');
+      expect(await LedgerEntry.count({ where: { ProfileId: contractorProfile.id, kind: 'payout' } })).toBe(2);
+
+      await contractorProfile.reload();
+      expect(contractorProfile.balance).toBe(-60);
+      await contractorProfile.update({ balance: 450 });
+    });
+
+    it('should reject a pending payout and release the hold', async () => {
+      const { body: requested } = await withdraw(30);
+
+      const response = await review(requested.id, 'reject', { reason: 'Verification needed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ status: 'rejected', failureReason: 'Verification needed' });
+      expect((await BalanceHold.findByPk(requested.HoldId)).status).toBe('released');
+      expect(provider.transfers).toHaveLength(0);
+    });
+
+    it('should return 404 for an unknown payout', async () => {
+      const response = await review(999999, 'approve');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('holds', () => {
+    it('should keep held money from being spent on jobs', async () => {
+      // Holds apply to every balance, not only to contractors' payouts
+      const contract = await Contract.create({
+        terms: 'Hold contract',
+        status: 'in_progress',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+      const job = await Job.create({ description: 'Held job', price: 80, paid: false, ContractId: contract.id });
+      await BalanceHold.create({ ProfileId: clientProfile.id, amount: 30, currency: 'USD', reason: 'test' });
+
+      const response = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Insufficient balance');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job, Payment, Refund, BalanceHold } = require('../src/model');
+const ledger = require('../src/services/ledger');
+
+describe('Refunds', () => {
+  let adminProfile;
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // A job of `price` paid by the client
+  const paidJob = async (price) => {
+    const job = await Job.create({ description: `Refundable ${price}`, price, paid: false, ContractId: contract.id });
+    await request(app)
+      .post(`/api/v1/jobs/${job.id}/pay`)
+      .set('profile_id', clientProfile.id);
+    return job;
+  };
+
+  const refund = (jobId, profile, body = {}) => request(app)
+    .post(`/api/v1/jobs/${jobId}/refund`)
+    .set('profile_id', profile.id)
+    .send(body);
+
+  const balanceOf = async (profile) => (await Profile.findByPk(profile.id)).balance;
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Refund',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Refund',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 1000,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Refund',
+      lastName: 'Contractor',
+      profession: 'Refund Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Refundable work',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+  });
+
+  it('should let the contractor refund a payment in full', async () => {
+    const job = await paidJob(100);
+    const unpaid = await Job.create({ description: 'Unpaid', price: 10, paid: false, ContractId: contract.id });
+
+    const byClient = await refund(job.id, clientProfile);
+    const refunded = await refund(job.id, contractorProfile, { reason: 'Cancelled by the customer' });
+    const twice = await refund(job.id, contractorProfile);
+    const notPaid = await refund(unpaid.id, contractorProfile);
+    const missing = await refund(999999, contractorProfile);
+
+    expect(byClient.status).toBe(403);
+    expect(refunded.status).toBe(201);
+    expect(refunded.body).toMatchObject({
+      amount: 100,
+      currency: 'USD',
+      debitAmount: 100,
+      creditAmount: 100,
+      reason: 'Cancelled by the customer',
+      RefundedById: contractorProfile.id
+    });
+    expect(refunded.body.Job).toMatchObject({ paid: true });
+    expect(refunded.body.Job.Payment).toMatchObject({ amount: 100, refundedAmount: 100 });
+    expect(await balanceOf(clientProfile)).toBe(1000);
+    expect(await balanceOf(contractorProfile)).toBe(0);
+    expect((await ledger.reconcile(await Profile.findByPk(clientProfile.id))).reconciled).toBe(true);
+    expect((await ledger.reconcile(await Profile.findByPk(contractorProfile.id))).reconciled).toBe(true);
+
+    expect(twice.status).toBe(409);
+    expect(twice.body.code).toBe('payment_fully_refunded');
+    expect(notPaid.status).toBe(409);
+    expect(notPaid.body.code).toBe('job_not_refundable');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should refund a payment in parts up to its amount', async () => {
+    const job = await paidJob(80);
+
+    const first = await refund(job.id, adminProfile, { amount: 30 });
+    const tooMuch = await refund(job.id, adminProfile, { amount: 60 });
+    const rest = await refund(job.id, adminProfile);
+
+    expect(first.status).toBe(201);
+    expect(first.body.Job.Payment.refundedAmount).toBe(30);
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.code).toBe('invalid_refund_amount');
+    expect(tooMuch.body.detail).toBe('Refund cannot exceed the 50.00 USD not yet refunded');
+    expect(rest.body).toMatchObject({ amount: 50, RefundedById: adminProfile.id });
+    expect(await Refund.count({ where: { JobId: job.id } })).toBe(2);
+    expect(await balanceOf(contractorProfile)).toBe(0);
+  });
+
+  it('should apply the policy when the contractor balance does not cover the refund', async () => {
+    const job = await paidJob(40);
+    await Profile.update({ balance: 15 }, { where: { id: contractorProfile.id } });
+
+    const rejected = await refund(job.id, contractorProfile);
+    const untouched = await Payment.findOne({ where: { JobId: job.id } });
+    const chosenByContractor = await refund(job.id, contractorProfile, { insufficientBalance: 'allow_negative' });
+    const invalid = await refund(job.id, adminProfile, { insufficientBalance: 'later' });
+    const allowed = await refund(job.id, adminProfile, { insufficientBalance: 'allow_negative' });
+
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.code).toBe('contractor_insufficient_funds');
+    expect(untouched.refundedAmount).toBe(0);
+    expect(chosenByContractor.status).toBe(403);
+    expect(invalid.status).toBe(400);
+    expect(allowed.status).toBe(201);
+    expect(await balanceOf(contractorProfile)).toBe(-25);
+
+    await Profile.update({ balance: 0 }, { where: { id: contractorProfile.id } });
+  });
+
+  it('should never refund money on hold, even allowing a negative balance', async () => {
+    await Profile.update({ balance: 50 }, { where: { id: contractorProfile.id } });
+    const job = await paidJob(40);
+    // E.g. a pending payout
+    const hold = await BalanceHold.create({ ProfileId: contractorProfile.id, amount: 80, currency: 'USD', reason: 'payout' });
+
+    const held = await refund(job.id, adminProfile, { insufficientBalance: 'allow_negative' });
+    await hold.update({ status: 'released' });
+    const allowed = await refund(job.id, adminProfile, { insufficientBalance: 'allow_negative' });
+
+    expect(held.status).toBe(400);
+    expect(held.body.code).toBe('contractor_funds_held');
+    expect(allowed.status).toBe(201);
+    expect(await balanceOf(contractorProfile)).toBe(50);
+
+    await Profile.update({ balance: 0 }, { where: { id: contractorProfile.id } });
+  });
+
+  it('should net refunds out of the admin earnings reports', async () => {
+    await paidJob(60);
+    const partly = await paidJob(50);
+    await refund(partly.id, contractorProfile, { amount: 20 });
+    const period = {
+      start: new Date(Date.now() - DAY_MS).toISOString(),
+      end: new Date(Date.now() + DAY_MS).toISOString()
+    };
+
+    const profession = await request(app)
+      .get('/api/v1/admin/best-profession')
+      .query(period)
+      .set('profile_id', adminProfile.id);
+    const clients = await request(app)
+      .get('/api/v1/admin/best-clients')
+      .query(period)
+      .set('profile_id', adminProfile.id);
+
+    expect(profession.status).toBe(200);
+    expect(profession.body).toEqual({ profession: 'Refund Tester', totalEarned: 90, currency: 'USD' });
+    expect(clients.body).toEqual([{ id: clientProfile.id, fullName: 'Refund Client', paid: 90, currency: 'USD' }]);
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job } = require('../src/model');
+
+describe('Admin reports', () => {
+  let adminProfile;
+  let clientProfile;
+  let plumbing;
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // March 2031; the previous period is the 31 days before
+  const period = { start: '2031-03-01', end: '2031-03-31T23:59:59.999Z' };
+
+  const report = (name, query = {}, profile = adminProfile) => request(app)
+    .get(`/api/v1/admin/reports/${name}`)
+    .query({ ...period, ...query })
+    .set('profile_id', profile.id);
+
+  // A job of `contract` paid at `paidAt`, `hours` after it was created
+  const paidJob = async (contract, price, paidAt, hours) => {
+    const paymentDate = new Date(paidAt);
+    const job = await Job.create({ description: 'Reported', price, paid: true, paymentDate, ContractId: contract.id });
+    await Job.update(
+      { createdAt: new Date(paymentDate.getTime() - hours * HOUR_MS) },
+      { where: { id: job.id }, silent: true }
+    );
+  };
+
+  const createContractor = (lastName, profession) => Profile.create({
+    firstName: 'Report',
+    lastName,
+    profession,
+    balance: 0,
+    type: 'contractor'
+  });
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Report',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Report',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 0,
+      type: 'client'
+    });
+    const painter = await createContractor('Painter', 'Painter');
+    const plumber = await createContractor('Plumber', 'Plumber');
+    let painting;
+    [painting, plumbing] = await Promise.all([painter, plumber].map((contractor) => Contract.create({
+      terms: 'Reported work',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractor.id
+    })));
+
+    await paidJob(painting, 40, '2031-02-20T10:00:00Z', 6);
+    await paidJob(painting, 100, '2031-03-02T10:00:00Z', 24);
+    await paidJob(painting, 50, '2031-03-10T10:00:00Z', 48);
+    await paidJob(plumbing, 120, '2031-03-10T18:00:00Z', 12);
+  });
+
+  it('should report revenue per interval with the gaps filled', async () => {
+    const daily = await report('revenue');
+    const weekly = await report('revenue', { interval: 'week' });
+    const monthly = await report('revenue', { interval: 'month' });
+
+    expect(daily.status).toBe(200);
+    expect(daily.body).toMatchObject({
+      currency: 'USD',
+      interval: 'day',
+      revenue: 270,
+      jobs: 3,
+      previous: { revenue: 40, jobs: 1 },
+      change: { revenue: 575, jobs: 200 }
+    });
+    expect(daily.body.series).toHaveLength(31);
+    expect(daily.body.series[1]).toEqual({ period: '2031-03-02', revenue: 100, jobs: 1 });
+    expect(daily.body.series[2]).toEqual({ period: '2031-03-03', revenue: 0, jobs: 0 });
+
+    expect(weekly.body.series).toEqual([
+      { period: '2031-02-24', revenue: 100, jobs: 1 },
+      { period: '2031-03-03', revenue: 0, jobs: 0 },
+      { period: '2031-03-10', revenue: 170, jobs: 2 },
+      { period: '2031-03-17', revenue: 0, jobs: 0 },
+      { period: '2031-03-24', revenue: 0, jobs: 0 },
+      { period: '2031-03-31', revenue: 0, jobs: 0 }
+    ]);
+    expect(monthly.body.series).toEqual([{ period: '2031-03-01', revenue: 270, jobs: 3 }]);
+  });
+
+  it('should rank every profession and the best contractors', async () => {
+    const professions = await report('professions');
+    const contractors = await report('contractors', { limit: 1 });
+
+    expect(professions.status).toBe(200);
+    expect(professions.body.data).toEqual([
+      { rank: 1, profession: 'Painter', total: 150, jobs: 2, previousRank: 1, previousTotal: 40, change: 275 },
+      { rank: 2, profession: 'Plumber', total: 120, jobs: 1, previousRank: null, previousTotal: 0, change: null }
+    ]);
+    expect(contractors.body.data).toEqual([expect.objectContaining({
+      rank: 1,
+      fullName: 'Report Painter',
+      profession: 'Painter',
+      total: 150
+    })]);
+  });
+
+  it('should average the job price and the time to payment', async () => {
+    const summary = await report('summary');
+
+    expect(summary.status).toBe(200);
+    expect(summary.body).toMatchObject({
+      revenue: 270,
+      jobs: 3,
+      averageJobPrice: 90,
+      averageTimeToPaymentHours: 28,
+      previous: { revenue: 40, jobs: 1, averageJobPrice: 40, averageTimeToPaymentHours: 6 },
+      change: { averageJobPrice: 125 }
+    });
+    expect(new Date(summary.body.previousPeriod.end).getTime()).toBe(new Date(period.start).getTime() - 1);
+  });
+
+  it('should count whole days of the time zone, the end day included', async () => {
+    const day = await report('summary', { start: '2031-03-10', end: '2031-03-10' });
+    const best = await request(app)
+      .get('/api/v1/admin/best-profession')
+      .query({ start: '2031-03-10', end: '2031-03-10' })
+      .set('profile_id', adminProfile.id);
+    const tokyo = await report('revenue', { end: '2031-03-31', tz: 'Asia/Tokyo' });
+    const newYork = await report('summary', { start: '2031-03-09', end: '2031-03-09', tz: 'America/New_York' });
+
+    expect(day.body).toMatchObject({
+      period: { start: '2031-03-10T00:00:00.000Z', end: '2031-03-10T23:59:59.999Z' },
+      revenue: 170,
+      jobs: 2
+    });
+    expect(best.body).toEqual({ profession: 'Plumber', totalEarned: 120, currency: 'USD' });
+
+    expect(tokyo.body).toMatchObject({
+      period: { start: '2031-02-28T15:00:00.000Z', end: '2031-03-31T14:59:59.999Z' },
+      timeZone: 'Asia/Tokyo',
+      revenue: 270
+    });
+    expect(tokyo.body.series).toHaveLength(31);
+    expect(tokyo.body.series[9]).toEqual({ period: '2031-03-10', revenue: 50, jobs: 1 });
+    expect(tokyo.body.series[10]).toEqual({ period: '2031-03-11', revenue: 120, jobs: 1 });
+
+    // Clocks go forward on 9 March 2031 in New York: a 23 hour day
+    expect(newYork.body.period).toEqual({ start: '2031-03-09T05:00:00.000Z', end: '2031-03-10T03:59:59.999Z' });
+  });
+
+  it('should take relative ranges', async () => {
+    await paidJob(plumbing, 7, new Date().toISOString(), 1);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const thisMonth = await report('summary', { start: undefined, end: undefined, range: 'this_month' });
+    const last30Days = await report('summary', { start: undefined, end: undefined, range: 'last_30_days' });
+    const combined = await report('summary', { range: 'this_month' });
+    const unknown = await report('summary', { start: undefined, end: undefined, range: 'someday' });
+
+    expect(thisMonth.status).toBe(200);
+    expect(thisMonth.body).toMatchObject({
+      period: { start: `${today.slice(0, 7)}-01T00:00:00.000Z`, end: `${today}T23:59:59.999Z` },
+      revenue: 7
+    });
+    expect(last30Days.body.revenue).toBe(7);
+    expect(new Date(last30Days.body.period.end) - new Date(last30Days.body.period.start)).toBe(30 * 24 * HOUR_MS - 1);
+    expect(combined.status).toBe(400);
+    expect(combined.body.error).toBe('start cannot be combined with range; end cannot be combined with range');
+    expect(unknown.status).toBe(400);
+  });
+
+  it('should validate the period and be restricted to admins', async () => {
+    const missing = await report('summary', { start: undefined });
+    const reversed = await report('summary', { start: '2031-04-01' });
+    const notADay = await report('summary', { start: '2031-02-29' });
+    const tooLong = await report('summary', { start: '2001-01-01' });
+    const timeZone = await report('summary', { tz: 'Mars/Olympus_Mons' });
+    const interval = await report('revenue', { interval: 'year' });
+    const asClient = await report('summary', {}, clientProfile);
+
+    expect(missing.status).toBe(400);
+    expect(reversed.status).toBe(400);
+    expect(notADay.body.error).toBe('start must be a date');
+    expect(tooLong.body.error).toBe('end must be within 3660 days of start');
+    expect(timeZone.body.error).toBe('tz must be an IANA time zone such as Europe/Berlin');
+    expect(interval.status).toBe(400);
+    expect(asClient.status).toBe(403);
+  });
+});
@@ -1,12 +1,13 @@
 process.env.DB_PATH = ':memory:';
 const { sequelize } = require('../src/model');
+const { createMigrator } = require('../src/migrator');
 const seedDb = require('../scripts/seedDb');
 const fs = require('fs');
 const path = require('path');
 
 beforeAll(async () => {
-  // Sync database and seed before all tests
-  await sequelize.sync({ force: true });
+  // Migrate database and seed before all tests
+  await createMigrator(sequelize).up();
   await seedDb();
 });
 
@@ -29,7 +30,7 @@ async function setupTestDatabase() {
     fs.unlinkSync(dbPath);
   }
   try {
-    await sequelize.sync({ force: true });
+    await createMigrator(sequelize).up();
     await seedDb();
   } catch (error) {
     console.error('Failed to setup test database:', error);
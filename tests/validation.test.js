@@ -0,0 +1,119 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Profile, Contract, Job } = require('../src/model');
+
+describe('Request validation', () => {
+  let adminProfile;
+  let clientProfile;
+  let contractorProfile;
+  let contract;
+
+  beforeAll(async () => {
+    adminProfile = await Profile.create({
+      firstName: 'Validation',
+      lastName: 'Admin',
+      profession: 'Administrator',
+      type: 'admin'
+    });
+    clientProfile = await Profile.create({
+      firstName: 'Validation',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 100,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Validation',
+      lastName: 'Contractor',
+      profession: 'Tester',
+      balance: 0,
+      type: 'contractor'
+    });
+    contract = await Contract.create({
+      terms: 'Validated',
+      status: 'in_progress',
+      ClientId: clientProfile.id,
+      ContractorId: contractorProfile.id
+    });
+    await Job.create({ description: 'Validated job', price: 400, paid: false, ContractId: contract.id });
+  });
+
+  it('should answer 400 with field-level details', async () => {
+    const response = await request(app)
+      .post(`/api/v1/contracts/${contract.id}/jobs`)
+      .set('profile_id', clientProfile.id)
+      .send({ price: 0 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      { location: 'body', field: 'description', message: 'description is required' },
+      { location: 'body', field: 'price', message: expect.stringMatching(/^price /) }
+    ]);
+    expect(response.body.error).toBe(response.body.details.map((detail) => detail.message).join('; '));
+  });
+
+  it('should reject unknown fields in the body and query', async () => {
+    const body = await request(app)
+      .post(`/api/v1/contracts/${contract.id}/jobs`)
+      .set('profile_id', clientProfile.id)
+      .send({ description: 'Extra', price: 5, paid: true });
+    const query = await request(app)
+      .get('/api/v1/contracts')
+      .set('profile_id', clientProfile.id)
+      .query({ ClientId: contractorProfile.id });
+
+    expect(body.status).toBe(400);
+    expect(body.body.details).toEqual([{ location: 'body', field: 'paid', message: 'paid is not allowed' }]);
+    expect(query.status).toBe(400);
+    expect(query.body.details).toEqual([{ location: 'query', field: 'ClientId', message: 'ClientId is not allowed' }]);
+  });
+
+  it('should reject an invalid id parameter', async () => {
+    const response = await request(app)
+      .get('/api/v1/contracts/abc')
+      .set('profile_id', clientProfile.id);
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([{ location: 'params', field: 'id', message: 'id must be a positive integer' }]);
+  });
+
+  it('should reject a deposit amount sent as a string', async () => {
+    const response = await request(app)
+      .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+      .set('profile_id', clientProfile.id)
+      .send({ amount: '10' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('amount must be a number');
+  });
+
+  it('should accept a valid deposit', async () => {
+    const response = await request(app)
+      .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+      .set('profile_id', clientProfile.id)
+      .send({ amount: 10 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.balance).toBe(110);
+  });
+
+  describe('GET /admin/best-clients', () => {
+    const bestClients = (query) => request(app)
+      .get('/api/v1/admin/best-clients')
+      .set('profile_id', adminProfile.id)
+      .query(query);
+
+    it.each([
+      [{ end: '2020-12-31' }, 'start is required'],
+      [{ start: 'last year', end: '2020-12-31' }, 'start must be a date'],
+      [{ start: '2020-12-31', end: '2020-01-01' }, 'end must not be before start'],
+      [{ start: '2020-01-01', end: '2020-12-31', limit: 'ten' }, 'limit must be an integer between 1 and 100'],
+      [{ start: '2020-01-01', end: '2020-12-31', limit: 0 }, 'limit must be an integer between 1 and 100']
+    ])('should reject %p with 400', async (query, message) => {
+      const response = await bestClients(query);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(message);
+    });
+  });
+});
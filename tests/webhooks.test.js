@@ -0,0 +1,332 @@
+const dns = require('dns');
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const { Profile, Contract, Job, WebhookDelivery } = require('../src/model');
+const webhooks = require('../src/services/webhooks');
+
+describe('Webhooks', () => {
+  let receiver;
+  let receiverUrl;
+  let received = [];
+  // Status the receiver answers with; tests switch it to simulate failures
+  let answer = 200;
+
+  let clientProfile;
+  let contractorProfile;
+  let otherProfile;
+
+  const subscribe = (profile, body) => request(app)
+    .post('/api/v1/webhooks')
+    .set('profile_id', profile.id)
+    .send(body);
+
+  const deliveriesOf = (subscriptionId, profile = clientProfile, query = {}) => request(app)
+    .get(`/api/v1/webhooks/${subscriptionId}/deliveries`)
+    .set('profile_id', profile.id)
+    .query(query);
+
+  // Sends the deliveries due at `now`
+  const dispatch = (now = new Date()) => webhooks.dispatchDue({ now });
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = answer;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    clientProfile = await Profile.create({
+      firstName: 'Hook',
+      lastName: 'Client',
+      profession: 'Buyer',
+      balance: 1000,
+      type: 'client'
+    });
+    contractorProfile = await Profile.create({
+      firstName: 'Hook',
+      lastName: 'Contractor',
+      profession: 'Integrator',
+      balance: 0,
+      type: 'contractor'
+    });
+    otherProfile = await Profile.create({
+      firstName: 'Hook',
+      lastName: 'Stranger',
+      profession: 'Buyer',
+      balance: 0,
+      type: 'client'
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    answer = 200;
+    // Earlier tests' deliveries are not due anymore
+    await WebhookDelivery.update({ status: 'dead' }, { where: { status: 'pending' } });
+  });
+
+  describe('subscriptions', () => {
+    it('should create a subscription and show its secret only once', async () => {
+      const created = await subscribe(otherProfile, { url: receiverUrl, events: ['job.paid', 'job.paid'] });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ url: receiverUrl, events: ['job.paid'], active: true, ProfileId: otherProfile.id });
+      expect(created.body.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+
+      const shown = await request(app)
+        .get(`/api/v1/webhooks/${created.body.id}`)
+        .set('profile_id', otherProfile.id);
+      const listed = await request(app).get('/api/v1/webhooks').set('profile_id', otherProfile.id);
+
+      expect(shown.status).toBe(200);
+      expect(shown.body.secret).toBeUndefined();
+      expect(listed.body.data.map((subscription) => subscription.id)).toContain(created.body.id);
+      expect(listed.body.data.every((subscription) => subscription.secret === undefined)).toBe(true);
+    });
+
+    it('should reject unknown events and invalid URLs', async () => {
+      const response = await subscribe(otherProfile, { url: 'ftp://example.com/hooks', events: ['job.created'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map((detail) => detail.field).sort()).toEqual(['events', 'url']);
+    });
+
+    it('should only accept public https endpoints unless configured otherwise', async () => {
+      Object.assign(config.webhooks, { allowHttp: false, allowPrivateTargets: false });
+      try {
+        const rejected = await Promise.all([
+          'http://hooks.example.com/',
+          'https://localhost/hooks',
+          'https://127.0.0.1:8080/hooks',
+          'https://10.1.2.3/hooks',
+          'https://169.254.169.254/latest/meta-data',
+          'https://[::1]/hooks',
+          'https://[::ffff:192.168.0.1]/hooks'
+        ].map((url) => subscribe(otherProfile, { url, events: ['job.paid'] })));
+        const accepted = await subscribe(otherProfile, { url: 'https://hooks.example.com/', events: ['job.paid'] });
+
+        expect(rejected.map((response) => response.status)).toEqual([400, 400, 400, 400, 400, 400, 400]);
+        expect(rejected[0].body.details[0].message).toBe('url must be an https URL');
+        expect(rejected[4].body.details[0].message).toBe('url must not point to a local or private address');
+        expect(accepted.status).toBe(201);
+      } finally {
+        Object.assign(config.webhooks, { allowHttp: true, allowPrivateTargets: true });
+      }
+    });
+
+    it("should not show or change another profile's subscription", async () => {
+      const created = await subscribe(otherProfile, { url: receiverUrl, events: ['job.paid'] });
+
+      const shown = await request(app)
+        .get(`/api/v1/webhooks/${created.body.id}`)
+        .set('profile_id', clientProfile.id);
+      const deleted = await request(app)
+        .delete(`/api/v1/webhooks/${created.body.id}`)
+        .set('profile_id', clientProfile.id);
+
+      expect(shown.status).toBe(403);
+      expect(deleted.status).toBe(403);
+    });
+  });
+
+  describe('delivery', () => {
+    let subscription;
+    let contract;
+
+    beforeAll(async () => {
+      const response = await subscribe(clientProfile, {
+        url: receiverUrl,
+        events: ['job.paid', 'balance.deposited', 'contract.terminated']
+      });
+      subscription = response.body;
+      contract = await Contract.create({
+        terms: 'Webhooks',
+        status: 'in_progress',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+    });
+
+    afterEach(async () => {
+      config.webhooks.maxAttempts = 8;
+    });
+
+    const payJob = async (price) => {
+      const job = await Job.create({ description: `Hooked ${price}`, price, paid: false, ContractId: contract.id });
+      const response = await request(app)
+        .post(`/api/v1/jobs/${job.id}/pay`)
+        .set('profile_id', clientProfile.id);
+      expect(response.status).toBe(200);
+      return job;
+    };
+
+    it('should deliver a signed event after the change is committed', async () => {
+      const job = await payJob(100);
+
+      expect(received).toEqual([]);
+      expect(await dispatch()).toBe(1);
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      expect(headers['x-webhook-event']).toBe('job.paid');
+      expect(webhooks.verifySignature(subscription.secret, headers['x-webhook-signature'], body)).toBe(true);
+      expect(webhooks.verifySignature('whsec_other', headers['x-webhook-signature'], body)).toBe(false);
+      expect(JSON.parse(body)).toMatchObject({
+        type: 'job.paid',
+        data: { jobId: job.id, contractId: contract.id, clientId: clientProfile.id, amount: 100, currency: 'USD' }
+      });
+
+      const history = await deliveriesOf(subscription.id, clientProfile, { status: 'delivered', event: 'job.paid' });
+      expect(history.status).toBe(200);
+      expect(history.body.data[0]).toMatchObject({
+        status: 'delivered',
+        attempts: 1,
+        responseStatus: 200,
+        WebhookEvent: { type: 'job.paid', payload: { jobId: job.id } }
+      });
+    });
+
+    it('should not publish events of rolled back changes or to other profiles', async () => {
+      const job = await Job.create({ description: 'Too expensive', price: 100000, paid: false, ContractId: contract.id });
+      await request(app).post(`/api/v1/jobs/${job.id}/pay`).set('profile_id', clientProfile.id);
+      await request(app)
+        .post(`/api/v1/balances/deposit/${otherProfile.id}`)
+        .set('profile_id', otherProfile.id)
+        .send({ amount: 1 });
+
+      expect(await dispatch()).toBe(0);
+    });
+
+    it('should retry failed deliveries with an exponential backoff', async () => {
+      await payJob(10);
+      answer = 503;
+
+      const start = new Date();
+      await dispatch(start);
+      let delivery = await WebhookDelivery.findOne({ where: { WebhookSubscriptionId: subscription.id }, order: [['id', 'DESC']] });
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 503, lastError: 'Endpoint answered 503' });
+      expect(delivery.nextAttemptAt.getTime()).toBe(start.getTime() + config.webhooks.retryBaseSeconds * 1000);
+
+      // Not due yet
+      expect(await dispatch(start)).toBe(0);
+
+      await dispatch(delivery.nextAttemptAt);
+      await delivery.reload();
+      expect(delivery.attempts).toBe(2);
+      expect(delivery.nextAttemptAt.getTime() - delivery.lastAttemptAt.getTime()).toBe(2 * config.webhooks.retryBaseSeconds * 1000);
+
+      answer = 204;
+      await dispatch(delivery.nextAttemptAt);
+      await delivery.reload();
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 3, responseStatus: 204, lastError: null });
+      expect(received).toHaveLength(3);
+    });
+
+    it('should dead-letter a delivery after the last attempt and redeliver it on request', async () => {
+      config.webhooks.maxAttempts = 2;
+      await request(app)
+        .post(`/api/v1/balances/deposit/${clientProfile.id}`)
+        .set('profile_id', clientProfile.id)
+        .send({ amount: 1 });
+      answer = 500;
+
+      await dispatch();
+      let delivery = await WebhookDelivery.findOne({ where: { WebhookSubscriptionId: subscription.id }, order: [['id', 'DESC']] });
+      await dispatch(delivery.nextAttemptAt);
+      await delivery.reload();
+      expect(delivery).toMatchObject({ status: 'dead', attempts: 2, nextAttemptAt: null });
+
+      const dead = await deliveriesOf(subscription.id, clientProfile, { status: 'dead', event: 'balance.deposited' });
+      expect(dead.body.data.map((row) => row.id)).toContain(delivery.id);
+
+      answer = 200;
+      const redelivered = await request(app)
+        .post(`/api/v1/webhooks/${subscription.id}/deliveries/${delivery.id}/redeliver`)
+        .set('profile_id', clientProfile.id);
+      const again = await request(app)
+        .post(`/api/v1/webhooks/${subscription.id}/deliveries/${delivery.id}/redeliver`)
+        .set('profile_id', clientProfile.id);
+
+      expect(redelivered.status).toBe(200);
+      expect(redelivered.body).toMatchObject({ status: 'pending', attempts: 0 });
+      expect(again.status).toBe(409);
+      expect(await dispatch()).toBe(1);
+      expect(JSON.parse(received[received.length - 1].body).type).toBe('balance.deposited');
+    });
+
+    it('should record a delivery to an unreachable endpoint as a failed attempt', async () => {
+      const unreachable = await subscribe(contractorProfile, { url: 'http://127.0.0.1:1/hooks', events: ['contract.terminated'] });
+      const other = await Contract.create({
+        terms: 'Ending',
+        status: 'in_progress',
+        ClientId: clientProfile.id,
+        ContractorId: contractorProfile.id
+      });
+
+      const terminated = await request(app)
+        .post(`/api/v1/contracts/${other.id}/terminate`)
+        .set('profile_id', clientProfile.id);
+      expect(terminated.status).toBe(200);
+
+      // One delivery to each party's subscription
+      expect(await dispatch()).toBe(2);
+      const history = await deliveriesOf(unreachable.body.id, contractorProfile);
+      expect(history.body.data[0]).toMatchObject({ status: 'pending', attempts: 1, responseStatus: null });
+      expect(history.body.data[0].lastError).toBeTruthy();
+      expect(JSON.parse(received[0].body).data).toMatchObject({ contractId: other.id, status: 'terminated', actorId: clientProfile.id });
+    });
+
+    it('should hold deliveries of an inactive subscription until it is reactivated', async () => {
+      const update = (body) => request(app)
+        .patch(`/api/v1/webhooks/${subscription.id}`)
+        .set('profile_id', clientProfile.id)
+        .send(body);
+
+      await payJob(5);
+      expect((await update({ active: false })).body.active).toBe(false);
+      expect(await dispatch()).toBe(0);
+
+      // Nothing is queued for it while it is inactive
+      await payJob(6);
+
+      await update({ active: true });
+      expect(await dispatch()).toBe(1);
+    });
+
+    it('should refuse to send to private addresses, including once a host name is resolved', async () => {
+      const { body: resolved } = await subscribe(clientProfile, { url: 'https://hooks.example.com/', events: ['job.paid'] });
+      const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '10.0.0.5', family: 4 }]);
+      });
+      config.webhooks.allowPrivateTargets = false;
+      try {
+        await payJob(7);
+
+        expect(await dispatch()).toBe(2);
+        const [literal, named] = await Promise.all([subscription, resolved].map(async ({ id }) => (
+          (await deliveriesOf(id)).body.data[0]
+        )));
+        expect(literal).toMatchObject({ status: 'pending', responseStatus: null, lastError: '127.0.0.1 is a private address' });
+        expect(named).toMatchObject({ status: 'pending', lastError: 'hooks.example.com resolves to the private address 10.0.0.5' });
+        expect(lookup).toHaveBeenCalledWith('hooks.example.com', expect.objectContaining({ all: true }), expect.any(Function));
+        expect(received).toEqual([]);
+      } finally {
+        config.webhooks.allowPrivateTargets = true;
+        lookup.mockRestore();
+        await request(app).delete(`/api/v1/webhooks/${resolved.id}`).set('profile_id', clientProfile.id);
+      }
+    });
+  });
+});